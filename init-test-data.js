@@ -7,6 +7,7 @@ require('dotenv').config({ path: './config.env' });
 // Import models
 const User = require('./models/User');
 const Restaurant = require('./models/Restaurant');
+const Category = require('./models/Category');
 
 const initTestData = async () => {
   try {
@@ -17,6 +18,7 @@ const initTestData = async () => {
     // Clear existing data
     await User.deleteMany({});
     await Restaurant.deleteMany({});
+    await Category.deleteMany({});
     console.log('🧹 Datos anteriores eliminados');
 
     // Create test restaurant
@@ -51,6 +53,9 @@ const initTestData = async () => {
     await restaurant.save();
     console.log('🏪 Restaurante creado:', restaurant.name);
 
+    await Category.createDefaults(restaurant._id);
+    console.log('🏷️ Categorías por defecto creadas');
+
     // Create test user (password will be hashed by pre-save hook)
     const user = new User({
       name: 'Usuario Demo',
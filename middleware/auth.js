@@ -130,8 +130,51 @@ const authorize = (...roles) => {
   };
 };
 
+// Manager approval: managers and admins approve themselves, other users send the
+// credentials of a manager of the restaurant in `approval` ({ email, password })
+const managerApproval = async (req, res, next) => {
+  try {
+    if (['admin', 'manager'].includes(req.user.role)) {
+      req.approvedBy = req.user._id;
+      return next();
+    }
+
+    const { email, password } = req.body.approval || {};
+    if (!email || !password) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Se requiere la aprobación de un gerente'
+      });
+    }
+
+    const approver = await User.findOne({
+      email: email.toLowerCase(),
+      restaurant: req.restaurant._id,
+      role: { $in: ['admin', 'manager'] },
+      isActive: true
+    }).select('+password');
+
+    if (!approver || !(await approver.comparePassword(password))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Aprobación de gerente inválida'
+      });
+    }
+
+    req.approvedBy = approver._id;
+    next();
+  } catch (error) {
+    console.error('Manager approval error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 module.exports = {
   auth,
   optionalAuth,
-  authorize
+  authorize,
+  managerApproval
 };
@@ -0,0 +1,38 @@
+const multer = require('multer');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Spreadsheet uploads (CSV/XLSX) are kept in memory, they are parsed and discarded
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = file.originalname.slice(file.originalname.lastIndexOf('.')).toLowerCase();
+
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      const error = new Error('El archivo debe ser CSV o XLSX');
+      error.statusCode = 400;
+      return cb(error);
+    }
+
+    cb(null, true);
+  }
+});
+
+// Image uploads are kept in memory until the thumbnail is generated and both are stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new Error('La imagen debe ser JPG, PNG o WEBP');
+      error.statusCode = 400;
+      return cb(error);
+    }
+
+    cb(null, true);
+  }
+});
+
+module.exports = { spreadsheetUpload, imageUpload };
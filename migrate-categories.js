@@ -0,0 +1,76 @@
+// backend/migrate-categories.js
+// Script para migrar las categorías de texto de productos y conteos a la colección de categorías
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+// Import models
+const Restaurant = require('./models/Restaurant');
+const Category = require('./models/Category');
+const InventoryItem = require('./models/InventoryItem');
+const StockCount = require('./models/StockCount');
+
+const migrateCategories = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/restaurante_manager');
+    console.log('✅ Conectado a MongoDB');
+
+    const restaurants = await Restaurant.find().select('name');
+
+    for (const restaurant of restaurants) {
+      // Restaurants without categories start with the defaults
+      const hasCategories = await Category.exists({ restaurant: restaurant._id });
+      if (!hasCategories) {
+        await Category.createDefaults(restaurant._id);
+      }
+
+      // Raw collections: the documents still hold the old string categories
+      const itemNames = await InventoryItem.collection.distinct('category', {
+        restaurant: restaurant._id,
+        category: { $type: 'string' }
+      });
+      const countNames = await StockCount.collection.distinct('category', {
+        restaurant: restaurant._id,
+        category: { $type: 'string' }
+      });
+      const names = [...new Set([...itemNames, ...countNames])];
+
+      for (const name of names) {
+        let category = await Category.findOne({
+          restaurant: restaurant._id,
+          parent: null,
+          name,
+          isActive: true
+        });
+
+        if (!category) {
+          const sortOrder = await Category.countDocuments({ restaurant: restaurant._id, parent: null });
+          category = await Category.create({ name, sortOrder, restaurant: restaurant._id });
+        }
+
+        const items = await InventoryItem.collection.updateMany(
+          { restaurant: restaurant._id, category: name },
+          { $set: { category: category._id } }
+        );
+        const counts = await StockCount.collection.updateMany(
+          { restaurant: restaurant._id, category: name },
+          { $set: { category: category._id } }
+        );
+
+        console.log(`🏷️ ${restaurant.name} - ${name}: ${items.modifiedCount} productos, ${counts.modifiedCount} conteos`);
+      }
+    }
+
+    console.log('\n🎉 ¡Categorías migradas exitosamente!');
+  } catch (error) {
+    console.error('❌ Error migrando categorías:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Desconectado de MongoDB');
+    process.exit(0);
+  }
+};
+
+// Run the script
+migrateCategories();
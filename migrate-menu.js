@@ -0,0 +1,63 @@
+// backend/migrate-menu.js
+// Script para crear el menú a partir de los productos de inventario con precio de venta
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+// Import models
+const Restaurant = require('./models/Restaurant');
+const InventoryItem = require('./models/InventoryItem');
+const MenuItem = require('./models/MenuItem');
+
+const migrateMenu = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/restaurante_manager');
+    console.log('✅ Conectado a MongoDB');
+
+    const restaurants = await Restaurant.find().select('name');
+
+    for (const restaurant of restaurants) {
+      // Items without selling price are ingredients and stay out of the menu
+      const items = await InventoryItem.find({
+        restaurant: restaurant._id,
+        isActive: true,
+        sellingPrice: { $gt: 0 }
+      }).sort({ name: 1 });
+
+      let created = 0;
+      for (const item of items) {
+        const exists = await MenuItem.exists({
+          restaurant: restaurant._id,
+          inventoryItem: item._id,
+          isActive: true
+        });
+        if (exists) continue;
+
+        await MenuItem.create({
+          name: item.name,
+          description: item.description,
+          category: item.category,
+          inventoryItem: item._id,
+          price: item.sellingPrice,
+          displayOrder: created,
+          restaurant: restaurant._id
+        });
+        created++;
+      }
+
+      console.log(`🍽️ ${restaurant.name}: ${created} productos agregados al menú`);
+    }
+
+    console.log('\n🎉 ¡Menú migrado exitosamente!');
+  } catch (error) {
+    console.error('❌ Error migrando el menú:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Desconectado de MongoDB');
+    process.exit(0);
+  }
+};
+
+// Run the script
+migrateMenu();
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Zones of the floor plan (salón, terraza, barra...)
+const areaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del área es requerido'],
+    trim: true,
+    maxlength: [50, 'El nombre no puede exceder 50 caracteres']
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Area names are unique per restaurant
+areaSchema.index(
+  { restaurant: 1, name: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('Area', areaSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+const bundleSlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la opción del combo es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  // Units of the chosen item included in one bundle
+  quantity: {
+    type: Number,
+    min: [1, 'La cantidad debe ser al menos 1'],
+    default: 1
+  },
+  options: {
+    type: [{
+      _id: false,
+      menuItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem',
+        required: [true, 'El producto del menú es requerido']
+      },
+      // Upcharge for choosing this item (e.g. jugo natural instead of gaseosa)
+      extraPrice: {
+        type: Number,
+        min: [0, 'El recargo no puede ser negativo'],
+        default: 0
+      }
+    }],
+    validate: {
+      validator: (options) => options.length > 0,
+      message: 'Cada opción del combo debe tener al menos un producto'
+    }
+  }
+});
+
+const bundleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del combo es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+  },
+  price: {
+    type: Number,
+    required: [true, 'El precio del combo es requerido'],
+    min: [0, 'El precio no puede ser negativo']
+  },
+  slots: {
+    type: [bundleSlotSchema],
+    validate: {
+      validator: (slots) => slots.length > 0,
+      message: 'El combo debe tener al menos una opción'
+    }
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+bundleSchema.index({ restaurant: 1, isActive: 1 });
+
+// Helper to build errors the routes can return as they are
+const bundleError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Instance method to turn the menu items chosen for each slot into order lines for a channel (Order.type).
+// `selections` is a list of { slot, menuItem, modifiers }, one per slot. The bundle price is split
+// across the components in proportion to their menu price on the channel so analytics see the revenue
+// of each item; upcharges go to the item that has them and modifiers are charged on top. Each component
+// keeps the tax class of its menu item.
+bundleSchema.methods.buildOrderItems = async function(quantity, selections = [], channel) {
+  const components = [];
+
+  for (const slot of this.slots) {
+    const selection = selections.find(candidate => candidate.slot && candidate.slot.toString() === slot._id.toString());
+    if (!selection) {
+      throw bundleError(`${this.name}: debe elegir ${slot.name}`);
+    }
+
+    const option = slot.options.find(candidate => candidate.menuItem.toString() === String(selection.menuItem));
+    if (!option) {
+      throw bundleError(`${this.name}: producto no disponible en ${slot.name}`);
+    }
+
+    const menuItem = await mongoose.model('MenuItem').findOne({
+      _id: option.menuItem,
+      restaurant: this.restaurant,
+      isActive: true
+    });
+    if (!menuItem) {
+      throw bundleError(`${this.name}: producto de ${slot.name} no encontrado`);
+    }
+
+    // Throws when the item is 86'd or not offered on the channel
+    const inventoryItem = await menuItem.resolveForOrder(channel);
+
+    const modifiers = await mongoose.model('ModifierGroup')
+      .resolveSelections(this.restaurant, inventoryItem, selection.modifiers);
+
+    const station = menuItem.station
+      || await mongoose.model('Category').stationFor(menuItem.category || inventoryItem.category);
+
+    components.push({ slot, option, menuItem, inventoryItem, modifiers, station, price: menuItem.priceFor(channel) });
+  }
+
+  const unknownSlot = selections.find(selection => !this.slots.id(selection.slot));
+  if (unknownSlot) {
+    throw bundleError(`${this.name}: opción ${unknownSlot.slot} no existe en el combo`);
+  }
+
+  const listPrice = components.reduce((sum, component) => sum + component.price * component.slot.quantity, 0);
+
+  return components.map(({ slot, option, menuItem, inventoryItem, modifiers, station, price }) => {
+    const weight = listPrice > 0
+      ? price * slot.quantity / listPrice
+      : 1 / components.length;
+    const unitPrice = (this.price * weight + option.extraPrice) / slot.quantity;
+
+    return {
+      menuItem: menuItem._id,
+      inventoryItem: inventoryItem._id,
+      name: menuItem.name,
+      quantity: slot.quantity * quantity,
+      unitPrice,
+      cost: inventoryItem.costPrice, // Estimated, replaced by the actual stock cost when inventory is decremented
+      modifiers,
+      bundleSlot: slot.name,
+      taxClass: menuItem.taxClass,
+      station
+    };
+  });
+};
+
+module.exports = mongoose.model('Bundle', bundleSchema);
@@ -57,6 +57,26 @@ const cashCloseSchema = new mongoose.Schema({
       min: [0, 'El total de ventas no puede ser negativo']
     }
   },
+  // Taxes of the delivered orders by tax class
+  taxSummary: [{
+    _id: false,
+    taxClass: {
+      type: String
+    },
+    rate: {
+      type: Number
+    },
+    base: {
+      type: Number
+    },
+    amount: {
+      type: Number
+    }
+  }],
+  totalTax: {
+    type: Number,
+    default: 0
+  },
   expenses: [{
     description: {
       type: String,
@@ -167,6 +187,7 @@ cashCloseSchema.statics.getDailySummary = function(restaurantId, date) {
         totalCashCloses: { $sum: 1 },
         totalSales: { $sum: '$sales.total' },
         totalExpenses: { $sum: '$totalExpenses' },
+        totalTax: { $sum: '$totalTax' },
         netSales: { $sum: '$netSales' },
         averageDifference: { $avg: '$difference' },
         perfectCloses: {
@@ -199,6 +220,10 @@ cashCloseSchema.methods.closeCash = function(closingData, closedBy) {
   
   // Update sales total with system's record
   this.sales.total = totalSystemSales;
+
+  // Taxes collected in the sales
+  this.taxSummary = closingData.taxSummary || [];
+  this.totalTax = this.taxSummary.reduce((sum, tax) => sum + tax.amount, 0);
   
   // Calculate cash sales from system (total system sales - card sales reported by user)
   this.sales.cash = totalSystemSales - this.sales.card;
@@ -241,6 +266,8 @@ cashCloseSchema.methods.restoreCashClose = function() {
   this.sales.total = 0;
   this.sales.cash = 0;
   this.difference = undefined;
+  this.taxSummary = [];
+  this.totalTax = 0;
   this.expectedCash = this.openingCash; // Reset expected cash to opening cash
 
   return this.save();
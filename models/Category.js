@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+// Station of the items whose category (and its parents) has none
+const DEFAULT_STATION = 'cocina';
+
+// Categories every new restaurant starts with (the ones that used to be fixed)
+const DEFAULT_CATEGORIES = [
+  { name: 'Bebidas', color: '#2196F3', station: 'bar' },
+  { name: 'Snacks', color: '#FF9800' },
+  { name: 'Comida', color: '#4CAF50' },
+  { name: 'Postres', color: '#E91E63', station: 'postres' },
+  { name: 'Ingredientes', color: '#795548' },
+  { name: 'Otros', color: '#9E9E9E' }
+];
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la categoría es requerido'],
+    trim: true,
+    maxlength: [50, 'El nombre no puede exceder 50 caracteres']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9A-Fa-f]{6}$/, 'El color debe tener formato #RRGGBB'],
+    default: '#9E9E9E'
+  },
+  // Kitchen station that prepares its items (e.g. cocina, bar, postres); inherited from the parent when empty
+  station: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'La estación no puede exceder 30 caracteres']
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Category names are unique among siblings
+categorySchema.index(
+  { restaurant: 1, parent: 1, name: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Static method to create the default categories of a restaurant
+categorySchema.statics.createDefaults = function(restaurantId) {
+  return this.insertMany(DEFAULT_CATEGORIES.map((category, index) => ({
+    ...category,
+    sortOrder: index,
+    restaurant: restaurantId
+  })));
+};
+
+// Static method to get the active categories of a restaurant as a tree
+categorySchema.statics.getTree = async function(restaurantId) {
+  const categories = await this.find({ restaurant: restaurantId, isActive: true })
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+
+  const nodesById = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodesById.values()) {
+    const parent = node.parent ? nodesById.get(node.parent.toString()) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+// Static method to get a category with all its sub-categories, used to filter by category
+categorySchema.statics.getDescendantIds = async function(restaurantId, categoryId) {
+  const categories = await this.find({ restaurant: restaurantId, isActive: true }).select('parent');
+
+  const ids = [new mongoose.Types.ObjectId(categoryId)];
+  for (let index = 0; index < ids.length; index++) {
+    const parentId = ids[index].toString();
+    for (const category of categories) {
+      if (category.parent && category.parent.toString() === parentId) {
+        ids.push(category._id);
+      }
+    }
+  }
+
+  return ids;
+};
+
+// Static method to get the full path of each category (e.g. "Bebidas / Cocteles") by id
+categorySchema.statics.getPaths = async function(restaurantId) {
+  const categories = await this.find({ restaurant: restaurantId, isActive: true }).select('name parent');
+  const categoriesById = new Map(categories.map(category => [category._id.toString(), category]));
+
+  const paths = new Map();
+  for (const category of categories) {
+    const names = [];
+    const visited = new Set();
+    let current = category;
+    while (current && !visited.has(current._id.toString())) {
+      visited.add(current._id.toString());
+      names.unshift(current.name);
+      current = current.parent ? categoriesById.get(current.parent.toString()) : null;
+    }
+    paths.set(category._id.toString(), names.join(' / '));
+  }
+
+  return paths;
+};
+
+// Static method to get the kitchen station of a category, looking up its parents
+categorySchema.statics.stationFor = async function(categoryId) {
+  let category = categoryId ? await this.findById(categoryId).select('station parent') : null;
+
+  while (category) {
+    if (category.station) return category.station;
+    category = category.parent ? await this.findById(category.parent).select('station parent') : null;
+  }
+
+  return DEFAULT_STATION;
+};
+
+// Static method to get the aggregation stages that add the name, colour and parent
+// of the category grouped in `_id`, for breakdowns by category
+categorySchema.statics.lookupStages = function() {
+  return [
+    {
+      $lookup: {
+        from: 'categories',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'category'
+      }
+    },
+    { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+    {
+      $addFields: {
+        name: '$category.name',
+        color: '$category.color',
+        parent: '$category.parent'
+      }
+    },
+    { $project: { category: 0 } }
+  ];
+};
+
+module.exports = mongoose.model('Category', categorySchema);
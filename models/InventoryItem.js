@@ -1,4 +1,58 @@
 const mongoose = require('mongoose');
+const StockMovement = require('./StockMovement');
+const StockLot = require('./StockLot');
+
+// Standard units that can always be converted between each other (factor to the base unit)
+const STANDARD_CONVERSIONS = {
+  kg: { base: 'g', factor: 1000 },
+  g: { base: 'g', factor: 1 },
+  l: { base: 'ml', factor: 1000 },
+  ml: { base: 'ml', factor: 1 }
+};
+
+const UNITS = ['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete'];
+
+// Rounding left by unit conversions that still counts as having the stock
+const STOCK_TOLERANCE = 1e-6;
+
+// Digits of each barcode type (the last one is the check digit); internal codes are free text
+const BARCODE_LENGTHS = { ean13: 13, upc: 12 };
+
+const itemImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: {
+    type: String,
+    required: true
+  },
+  // Storage keys, used to remove the files
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const inventoryItemSchema = new mongoose.Schema({
   name: {
@@ -13,17 +67,42 @@ const inventoryItemSchema = new mongoose.Schema({
     maxlength: [500, 'La descripción no puede exceder 500 caracteres']
   },
   category: {
-    type: String,
-    required: [true, 'La categoría es requerida'],
-    enum: ['Bebidas', 'Snacks', 'Comida', 'Postres', 'Ingredientes', 'Otros'],
-    default: 'Otros'
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'La categoría es requerida']
   },
   sku: {
     type: String,
-    sparse: true,
     trim: true,
     uppercase: true
   },
+  barcodes: {
+    type: [{
+      _id: false,
+      code: {
+        type: String,
+        required: [true, 'El código de barras es requerido'],
+        trim: true,
+        uppercase: true,
+        maxlength: [30, 'El código de barras no puede exceder 30 caracteres']
+      },
+      type: {
+        type: String,
+        enum: ['ean13', 'upc', 'internal'],
+        default: 'internal'
+      }
+    }],
+    validate: [
+      {
+        validator: (barcodes) => barcodes.every(barcode => isValidBarcode(barcode.code, barcode.type)),
+        message: 'Código de barras inválido, revise el dígito de control'
+      },
+      {
+        validator: (barcodes) => new Set(barcodes.map(barcode => barcode.code)).size === barcodes.length,
+        message: 'El producto tiene códigos de barras repetidos'
+      }
+    ]
+  },
   quantity: {
     type: Number,
     required: [true, 'La cantidad es requerida'],
@@ -40,11 +119,17 @@ const inventoryItemSchema = new mongoose.Schema({
     min: [0, 'La cantidad máxima no puede ser negativa'],
     default: 1000
   },
+  // Current unit cost of the stock: weighted average of receipts, or of the remaining lots with FIFO
   costPrice: {
     type: Number,
     required: [true, 'El precio de costo es requerido'],
     min: [0, 'El precio de costo no puede ser negativo']
   },
+  costingMethod: {
+    type: String,
+    enum: ['average', 'fifo'],
+    default: 'average'
+  },
   sellingPrice: {
     type: Number,
     required: [true, 'El precio de venta es requerido'],
@@ -53,9 +138,36 @@ const inventoryItemSchema = new mongoose.Schema({
   unit: {
     type: String,
     required: [true, 'La unidad es requerida'],
-    enum: ['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete'],
+    enum: UNITS,
     default: 'unidad'
   },
+  // Unit the item is usually bought in (e.g. caja), defaults to the stock unit
+  purchaseUnit: {
+    type: String,
+    enum: UNITS
+  },
+  // How many stock units one of these units holds (e.g. 1 caja = 24 unidad)
+  unitConversions: {
+    type: [{
+      _id: false,
+      unit: {
+        type: String,
+        required: [true, 'La unidad de conversión es requerida'],
+        enum: UNITS
+      },
+      factor: {
+        type: Number,
+        required: [true, 'El factor de conversión es requerido'],
+        min: [0.000001, 'El factor de conversión debe ser mayor a 0']
+      }
+    }],
+    validate: {
+      validator: function(conversions) {
+        return !conversions.some(conversion => conversion.unit === this.unit);
+      },
+      message: 'No se puede definir una conversión para la unidad de stock'
+    }
+  },
   supplier: {
     name: {
       type: String,
@@ -70,6 +182,17 @@ const inventoryItemSchema = new mongoose.Schema({
       trim: true
     }
   },
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  // The first image is the one shown on the POS tiles
+  images: [itemImageSchema],
+  // Modifier groups offered when the item is sold (sizes, extras, "sin cebolla")
+  modifierGroups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModifierGroup'
+  }],
   restaurant: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Restaurant',
@@ -100,6 +223,16 @@ const inventoryItemSchema = new mongoose.Schema({
 inventoryItemSchema.index({ restaurant: 1, category: 1 });
 inventoryItemSchema.index({ restaurant: 1, isActive: 1 });
 
+// SKUs and barcodes identify a single active item per restaurant
+inventoryItemSchema.index(
+  { restaurant: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { isActive: true, sku: { $type: 'string' } } }
+);
+inventoryItemSchema.index(
+  { restaurant: 1, 'barcodes.code': 1 },
+  { unique: true, partialFilterExpression: { isActive: true, 'barcodes.code': { $exists: true } } }
+);
+
 // Pre-save middleware to calculate derived fields
 inventoryItemSchema.pre('save', function(next) {
   // Calculate total value
@@ -114,6 +247,113 @@ inventoryItemSchema.pre('save', function(next) {
   next();
 });
 
+// The purchase unit must convert to the stock unit (suggestions and purchase orders are in it).
+// Checked when the units change, so stock updates of older items are not blocked.
+inventoryItemSchema.pre('validate', function(next) {
+  const unitsChanged = this.isNew || ['purchaseUnit', 'unit', 'unitConversions'].some(path => this.isModified(path));
+  if (this.purchaseUnit && unitsChanged) {
+    try {
+      this.toStockQuantity(1, this.purchaseUnit);
+    } catch (error) {
+      this.invalidate('purchaseUnit', `No se puede convertir de ${this.purchaseUnit} a ${this.unit}, agregue una conversión de unidad`);
+    }
+  }
+  next();
+});
+
+// Static method to convert between standard units (kg/g, l/ml). Returns null if not convertible.
+inventoryItemSchema.statics.convertStandardUnits = function(quantity, fromUnit, toUnit) {
+  if (fromUnit === toUnit) {
+    return quantity;
+  }
+
+  const from = STANDARD_CONVERSIONS[fromUnit];
+  const to = STANDARD_CONVERSIONS[toUnit];
+
+  if (!from || !to || from.base !== to.base) {
+    return null;
+  }
+
+  return quantity * from.factor / to.factor;
+};
+
+// Instance method to express a quantity given in any unit in the item stock unit.
+// Uses the item conversions first, then standard conversions (also through an item conversion,
+// e.g. 500 g of an item stocked in paquete with 1 kg = 2 paquete).
+inventoryItemSchema.methods.toStockQuantity = function(quantity, unit) {
+  if (!unit || unit === this.unit) {
+    return quantity;
+  }
+
+  const convert = this.constructor.convertStandardUnits;
+  const conversions = this.unitConversions || [];
+
+  const direct = conversions.find(conversion => conversion.unit === unit);
+  if (direct) {
+    return quantity * direct.factor;
+  }
+
+  const standard = convert(quantity, unit, this.unit);
+  if (standard !== null) {
+    return standard;
+  }
+
+  for (const conversion of conversions) {
+    const inConversionUnit = convert(quantity, unit, conversion.unit);
+    if (inConversionUnit !== null) {
+      return inConversionUnit * conversion.factor;
+    }
+  }
+
+  const error = new Error(`No se puede convertir de ${unit} a ${this.unit} para ${this.name}`);
+  error.statusCode = 400;
+  throw error;
+};
+
+// Static method to check a barcode, including the check digit of EAN-13 and UPC codes
+inventoryItemSchema.statics.isValidBarcode = isValidBarcode;
+
+// Static method to find the active item scanned with a code (barcode or SKU)
+inventoryItemSchema.statics.findByCode = function(restaurantId, code) {
+  const normalized = code.trim().toUpperCase();
+
+  return this.findOne({
+    restaurant: restaurantId,
+    isActive: true,
+    $or: [
+      { 'barcodes.code': normalized },
+      { sku: normalized }
+    ]
+  });
+};
+
+// Static method to find an active item already using any of the given SKU or barcodes.
+// Codes are unique across both so a scan always resolves to one item.
+inventoryItemSchema.statics.findCodeConflict = async function(restaurantId, { sku, barcodes = [] }, excludeId) {
+  const codes = barcodes.map(barcode => String(barcode.code).trim().toUpperCase());
+  if (sku) codes.push(String(sku).trim().toUpperCase());
+  if (codes.length === 0) return null;
+
+  const filter = {
+    restaurant: restaurantId,
+    isActive: true,
+    $or: [
+      { sku: { $in: codes } },
+      { 'barcodes.code': { $in: codes } }
+    ]
+  };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  const item = await this.findOne(filter).select('name sku barcodes');
+  if (!item) return null;
+
+  const itemCodes = [item.sku, ...item.barcodes.map(barcode => barcode.code)];
+  const code = codes.find(candidate => itemCodes.includes(candidate));
+  return { item, code };
+};
+
 // Static method to get low stock items
 inventoryItemSchema.statics.getLowStockItems = function(restaurantId) {
   return this.find({
@@ -144,21 +384,355 @@ inventoryItemSchema.statics.getInventorySummary = function(restaurantId) {
         },
         categories: { $addToSet: '$category' }
       }
+    },
+    {
+      $lookup: {
+        from: 'categories',
+        localField: 'categories',
+        foreignField: '_id',
+        as: 'categoryDocs'
+      }
+    },
+    { $addFields: { categories: '$categoryDocs.name' } },
+    { $project: { categoryDocs: 0 } }
+  ]);
+};
+
+// Static method to suggest purchase quantities from stock levels and recent consumption.
+// Returns the suggestions grouped by supplier and the items skipped because their units
+// cannot be converted to the stock unit.
+inventoryItemSchema.statics.getReorderSuggestions = async function(restaurantId, lookbackDays = 30) {
+  const since = new Date();
+  since.setDate(since.getDate() - lookbackDays);
+
+  // Stock consumed by delivered orders (archived orders still count as history)
+  const consumption = await mongoose.model('Order').aggregate([
+    {
+      $match: {
+        restaurant: restaurantId,
+        status: 'delivered',
+        completedAt: { $gte: since }
+      }
+    },
+    { $unwind: '$stockConsumption' },
+    {
+      $group: {
+        _id: '$stockConsumption.inventoryItem',
+        consumed: { $sum: '$stockConsumption.quantity' }
+      }
     }
   ]);
+  const consumedById = new Map(consumption.map(entry => [entry._id.toString(), entry.consumed]));
+
+  // Quantities already ordered but not yet received, in their purchase units
+  const openPurchaseOrders = await mongoose.model('PurchaseOrder').getOpenOrders(restaurantId);
+  const openLinesById = new Map();
+  for (const purchaseOrder of openPurchaseOrders) {
+    for (const line of purchaseOrder.lines) {
+      const key = line.inventoryItem.toString();
+      if (!openLinesById.has(key)) openLinesById.set(key, []);
+      openLinesById.get(key).push(line);
+    }
+  }
+
+  const items = await this.find({ restaurant: restaurantId, isActive: true })
+    .populate('preferredSupplier', 'name leadTimeDays isActive');
+
+  const groups = new Map();
+  const skipped = [];
+  for (const item of items) {
+    const key = item._id.toString();
+    const consumed = consumedById.get(key) || 0;
+    const purchaseUnit = item.purchaseUnit || item.unit;
+
+    // An item with a unit that does not convert is flagged instead of failing every suggestion
+    let onOrder;
+    let stockUnitsPerPurchaseUnit;
+    try {
+      onOrder = (openLinesById.get(key) || []).reduce(
+        (sum, line) => sum + item.toStockQuantity(line.quantityOutstanding, line.unit),
+        0
+      );
+      stockUnitsPerPurchaseUnit = item.toStockQuantity(1, purchaseUnit);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      skipped.push({ inventoryItem: item._id, name: item.name, unit: item.unit, purchaseUnit, reason: error.message });
+      continue;
+    }
+
+    const dailyUsage = consumed / lookbackDays;
+    const supplier = item.preferredSupplier && item.preferredSupplier.isActive ? item.preferredSupplier : null;
+    const leadTimeDays = supplier ? supplier.leadTimeDays : 0;
+
+    // Reorder when stock on hand plus on order won't cover the minimum during the lead time
+    const projectedQuantity = item.quantity + onOrder;
+    const reorderPoint = item.minQuantity + dailyUsage * leadTimeDays;
+    if (projectedQuantity > reorderPoint) continue;
+
+    const suggestedQuantity = Math.ceil(Math.max(0, item.maxQuantity - projectedQuantity));
+    if (suggestedQuantity === 0) continue;
+
+    // Express the suggestion in whole purchase units (e.g. cajas of 24)
+    const purchaseQuantity = Math.ceil(suggestedQuantity / stockUnitsPerPurchaseUnit);
+    const purchaseUnitCost = item.costPrice * stockUnitsPerPurchaseUnit;
+
+    const groupKey = supplier ? supplier._id.toString() : 'none';
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        supplier: supplier ? { _id: supplier._id, name: supplier.name, leadTimeDays } : null,
+        items: [],
+        estimatedCost: 0
+      });
+    }
+
+    const group = groups.get(groupKey);
+    group.items.push({
+      inventoryItem: item._id,
+      name: item.name,
+      unit: item.unit,
+      quantity: item.quantity,
+      onOrder,
+      minQuantity: item.minQuantity,
+      maxQuantity: item.maxQuantity,
+      dailyUsage: Math.round(dailyUsage * 100) / 100,
+      daysOfCover: dailyUsage > 0 ? Math.round(item.quantity / dailyUsage * 10) / 10 : null,
+      suggestedQuantity,
+      purchaseUnit,
+      purchaseQuantity,
+      purchaseUnitCost,
+      estimatedCost: purchaseQuantity * purchaseUnitCost
+    });
+    group.estimatedCost += purchaseQuantity * purchaseUnitCost;
+  }
+
+  return { suggestions: Array.from(groups.values()), skipped };
 };
 
-// Instance method to update quantity
-inventoryItemSchema.methods.updateQuantity = function(newQuantity, operation = 'set') {
-  if (operation === 'add') {
-    this.quantity += newQuantity;
-  } else if (operation === 'subtract') {
-    this.quantity = Math.max(0, this.quantity - newQuantity);
-  } else {
-    this.quantity = Math.max(0, newQuantity);
+// Static method to atomically change the stock of an item and record the movement.
+// Options: `costPrice` is the unit cost of incoming stock, averaged into the item cost in the same
+// operation (used when receiving goods), `lot` registers the incoming stock as a new lot,
+// `restoreLots` gives stock back to the lots it was taken from, `expectedQuantity` only applies the
+// change while the stock is still that quantity and `session` runs every write inside a transaction.
+// Outgoing stock is taken from the item lots first-expiring-first-out and recorded at the item
+// average cost, or at the cost of the lots it came from for FIFO items. Stock never goes below
+// zero: taking more than there is throws an error with statusCode and changes nothing.
+inventoryItemSchema.statics.adjustStock = async function(itemId, change, movementData = {}, options = {}) {
+  // The clamp only absorbs rounding, larger shortages do not match the filter
+  const stockUpdate = { quantity: { $max: [0, { $add: ['$quantity', change] }] } };
+  if (options.costPrice !== undefined && change > 0) {
+    stockUpdate.costPrice = {
+      $cond: [
+        { $gt: ['$quantity', 0] },
+        {
+          $divide: [
+            { $add: [{ $multiply: ['$quantity', '$costPrice'] }, change * options.costPrice] },
+            { $add: ['$quantity', change] }
+          ]
+        },
+        options.costPrice
+      ]
+    };
+  } else if (options.costPrice !== undefined) {
+    stockUpdate.costPrice = options.costPrice;
   }
-  
-  return this.save();
+
+  const filter = { _id: itemId };
+  if (options.expectedQuantity !== undefined) {
+    filter.quantity = options.expectedQuantity;
+  } else if (change < 0) {
+    filter.quantity = { $gte: -change - STOCK_TOLERANCE };
+  }
+  const previous = await this.findOneAndUpdate(
+    filter,
+    [
+      { $set: stockUpdate },
+      {
+        $set: {
+          totalValue: { $multiply: ['$quantity', '$costPrice'] },
+          isLowStock: { $lte: ['$quantity', '$minQuantity'] },
+          lastUpdated: '$$NOW'
+        }
+      }
+    ],
+    { new: false, session: options.session }
+  );
+
+  if (!previous) {
+    const item = filter.quantity !== undefined ? await this.findById(itemId).session(options.session || null) : null;
+    if (!item) return null;
+
+    const error = options.expectedQuantity !== undefined
+      ? new Error(`El stock de ${item.name} cambió mientras se actualizaba. Disponible: ${item.quantity}, intente de nuevo`)
+      : new Error(`Stock insuficiente de ${item.name}. Disponible: ${item.quantity}, requerido: ${-change}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const quantityAfter = Math.max(0, previous.quantity + change);
+  let unitCost = options.costPrice !== undefined ? options.costPrice : previous.costPrice;
+
+  let lots = [];
+  if (quantityAfter < previous.quantity) {
+    const taken = previous.quantity - quantityAfter;
+    lots = await StockLot.consume(previous._id, taken, options.session);
+
+    if (previous.costingMethod === 'fifo') {
+      unitCost = costOfAllocations(lots, taken, previous.costPrice);
+    }
+  } else if (options.restoreLots && options.restoreLots.length > 0) {
+    await StockLot.restore(options.restoreLots, options.session);
+    lots = options.restoreLots;
+  } else if (options.lot && change > 0) {
+    const [lot] = await StockLot.create([{
+      inventoryItem: previous._id,
+      restaurant: previous.restaurant,
+      lotNumber: options.lot.lotNumber,
+      expiresAt: options.lot.expiresAt,
+      unitCost,
+      initialQuantity: change,
+      remainingQuantity: change,
+      purchaseOrder: movementData.purchaseOrder
+    }], { session: options.session });
+    lots = [{ lot: lot._id, quantity: change, unitCost }];
+  }
+
+  const [movement] = await StockMovement.create([{
+    unitCost,
+    ...movementData,
+    lots,
+    inventoryItem: previous._id,
+    restaurant: previous.restaurant,
+    quantity: quantityAfter - previous.quantity,
+    quantityBefore: previous.quantity,
+    quantityAfter
+  }], { session: options.session });
+
+  if (previous.costingMethod === 'fifo') {
+    await this.revalueFromLots(previous._id, options.session);
+  }
+
+  return movement;
+};
+
+// Static method to create an item recording its initial quantity as an opening adjustment, with
+// its lot, so the movement ledger adds up to the stock from the start. Returns the saved item.
+inventoryItemSchema.statics.createWithOpeningStock = async function(itemData, movementData = {}) {
+  const quantity = Number(itemData.quantity) || 0;
+  const item = new this({ ...itemData, quantity: 0 });
+  await item.save();
+
+  if (quantity <= 0) return item;
+
+  await this.adjustStock(item._id, quantity, {
+    type: 'adjustment',
+    notes: 'Stock inicial',
+    ...movementData
+  }, { costPrice: item.costPrice, lot: {} });
+
+  return this.findById(item._id);
+};
+
+// Static method to value a FIFO item from its remaining lots. Stock not covered by lots
+// (e.g. added by hand) keeps the current item cost.
+inventoryItemSchema.statics.revalueFromLots = async function(itemId, session) {
+  const item = await this.findById(itemId).session(session || null);
+  if (!item) return null;
+
+  const lots = await StockLot.find({
+    inventoryItem: item._id,
+    remainingQuantity: { $gt: 0 }
+  }).session(session || null);
+
+  let layeredQuantity = 0;
+  let layeredValue = 0;
+  for (const lot of lots) {
+    layeredQuantity += lot.remainingQuantity;
+    layeredValue += lot.remainingQuantity * lot.unitCost;
+  }
+
+  // Lots may hold more than the item after manual corrections, value only what is on hand
+  if (layeredQuantity > item.quantity) {
+    layeredValue = layeredQuantity > 0 ? layeredValue * item.quantity / layeredQuantity : 0;
+    layeredQuantity = item.quantity;
+  }
+
+  const totalValue = layeredValue + (item.quantity - layeredQuantity) * item.costPrice;
+  const costPrice = item.quantity > 0 ? totalValue / item.quantity : item.costPrice;
+
+  return this.findByIdAndUpdate(
+    item._id,
+    { totalValue, costPrice },
+    { new: true, session }
+  );
+};
+
+// Instance method to update quantity by hand. Other changes to the item are saved first and the
+// quantity goes through adjustStock, so stock changed meanwhile (sales, waste, receiving) is not
+// overwritten: 'subtract' cannot take more than there is and 'set' fails if the stock changed since
+// the item was read.
+inventoryItemSchema.methods.updateQuantity = async function(newQuantity, operation = 'set', movementData = {}) {
+  if (this.isModified()) {
+    await this.save();
+  }
+
+  let change = newQuantity;
+  const options = {};
+  if (operation === 'subtract') {
+    change = -newQuantity;
+  } else if (operation === 'set') {
+    change = newQuantity - this.quantity;
+    options.expectedQuantity = this.quantity;
+  }
+
+  if (change !== 0) {
+    await this.constructor.adjustStock(this._id, change, {
+      type: `manual_${operation}`,
+      ...movementData
+    }, options);
+  }
+
+  // Refresh the stock fields without marking them changed, a later save must not write them back
+  const updated = await this.constructor.findById(this._id);
+  ['quantity', 'costPrice', 'totalValue', 'isLowStock', 'lastUpdated'].forEach(path => {
+    this.set(path, updated[path]);
+    this.unmarkModified(path);
+  });
+
+  return this;
 };
 
+// Helper function to get the unit cost of stock taken from lots.
+// Quantity not covered by lots is valued at the fallback cost.
+function costOfAllocations(allocations, quantity, fallbackCost) {
+  if (quantity <= 0) return fallbackCost;
+
+  let allocated = 0;
+  let value = 0;
+  for (const allocation of allocations) {
+    allocated += allocation.quantity;
+    value += allocation.quantity * allocation.unitCost;
+  }
+
+  return (value + Math.max(0, quantity - allocated) * fallbackCost) / quantity;
+}
+
+// Helper function to validate a barcode of the given type.
+// EAN-13 and UPC-A use the GTIN check digit: weights 3 and 1 alternating from the right.
+function isValidBarcode(code, type = 'internal') {
+  const length = BARCODE_LENGTHS[type];
+  if (!length) {
+    return /^[A-Z0-9-]{1,30}$/i.test(code);
+  }
+
+  if (!/^\d+$/.test(code) || code.length !== length) return false;
+
+  const digits = code.split('').map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - sum % 10) % 10 === checkDigit;
+}
+
 module.exports = mongoose.model('InventoryItem', inventoryItemSchema);
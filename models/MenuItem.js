@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const CHANNELS = ['dine-in', 'takeout', 'delivery'];
+const CHANNEL_LABELS = { 'dine-in': 'mesa', takeout: 'para llevar', delivery: 'domicilio' };
+
+const menuItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  // What is sold: a stock item or a recipe (which consumes its ingredients)
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem'
+  },
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe'
+  },
+  price: {
+    type: Number,
+    required: [true, 'El precio es requerido'],
+    min: [0, 'El precio no puede ser negativo']
+  },
+  // IVA 19% (restaurant rate), IVA 5%, exento or impoconsumo 8%
+  taxClass: {
+    type: String,
+    enum: ['iva_general', 'iva_reducido', 'exento', 'impoconsumo'],
+    default: 'iva_general'
+  },
+  // Kitchen station, the one of the category when empty
+  station: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'La estación no puede exceder 30 caracteres']
+  },
+  // Course it is served in on dine-in orders, unless the order says otherwise
+  course: {
+    type: String,
+    enum: ['entrada', 'plato_fuerte', 'postre'],
+    default: 'plato_fuerte'
+  },
+  // Overrides the price on a channel (Order.type)
+  channelPrices: [{
+    _id: false,
+    channel: {
+      type: String,
+      enum: CHANNELS,
+      required: true
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, 'El precio no puede ser negativo']
+    }
+  }],
+  // Channels where the item is offered
+  channels: {
+    type: [{
+      type: String,
+      enum: CHANNELS
+    }],
+    default: CHANNELS
+  },
+  // False when the item is 86'd (sold out), stock is not touched
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  displayOrder: {
+    type: Number,
+    default: 0
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+menuItemSchema.index({ restaurant: 1, isActive: 1, displayOrder: 1 });
+
+// Pre-validate middleware to check the item sells exactly one stock item or recipe
+menuItemSchema.pre('validate', function(next) {
+  if (!this.inventoryItem === !this.recipe) {
+    this.invalidate('inventoryItem', 'Debe indicar un producto de inventario o una receta');
+  }
+
+  const channels = this.channelPrices.map(channelPrice => channelPrice.channel);
+  if (new Set(channels).size !== channels.length) {
+    this.invalidate('channelPrices', 'Hay más de un precio para el mismo canal');
+  }
+  next();
+});
+
+// Helper to build errors the routes can return as they are
+const menuError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Instance method to get the price on a channel
+menuItemSchema.methods.priceFor = function(channel) {
+  const channelPrice = this.channelPrices.find(candidate => candidate.channel === channel);
+  return channelPrice ? channelPrice.price : this.price;
+};
+
+// Instance method to get the stock item the menu item sells (the product of its recipe).
+// Throws when the item cannot be ordered on the channel.
+menuItemSchema.methods.resolveForOrder = async function(channel) {
+  if (!this.isAvailable) {
+    throw menuError(`${this.name} está agotado`);
+  }
+
+  if (!this.channels.includes(channel)) {
+    throw menuError(`${this.name} no está disponible para ${CHANNEL_LABELS[channel] || channel}`);
+  }
+
+  let inventoryItemId = this.inventoryItem;
+  if (this.recipe) {
+    const recipe = await mongoose.model('Recipe').findOne({
+      _id: this.recipe,
+      restaurant: this.restaurant,
+      isActive: true
+    });
+    inventoryItemId = recipe ? recipe.product : null;
+  }
+
+  const inventoryItem = inventoryItemId && await mongoose.model('InventoryItem').findOne({
+    _id: inventoryItemId,
+    restaurant: this.restaurant,
+    isActive: true
+  });
+
+  if (!inventoryItem) {
+    throw menuError(`${this.name}: producto de inventario no encontrado`);
+  }
+
+  return inventoryItem;
+};
+
+module.exports = mongoose.model('MenuItem', menuItemSchema);
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la opción es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  // Added to the unit price of the item (can be negative, e.g. small size)
+  priceDelta: {
+    type: Number,
+    default: 0
+  },
+  // How many times the option can be chosen for one item (e.g. extra queso x2)
+  maxQuantity: {
+    type: Number,
+    min: [1, 'La cantidad máxima debe ser al menos 1'],
+    default: 1
+  },
+  // Optional stock impact per selection; negative quantities take an ingredient out (e.g. sin cebolla)
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem'
+  },
+  quantity: {
+    type: Number
+  },
+  unit: {
+    type: String,
+    enum: ['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del grupo es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  isRequired: {
+    type: Boolean,
+    default: false
+  },
+  minSelections: {
+    type: Number,
+    min: [0, 'El mínimo de selecciones no puede ser negativo'],
+    default: 0
+  },
+  // Empty means no limit
+  maxSelections: {
+    type: Number,
+    min: [1, 'El máximo de selecciones debe ser al menos 1']
+  },
+  options: {
+    type: [modifierOptionSchema],
+    validate: {
+      validator: (options) => options.length > 0,
+      message: 'El grupo debe tener al menos una opción'
+    }
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+modifierGroupSchema.index({ restaurant: 1, isActive: 1 });
+
+// Pre-validate middleware to check the selection limits are consistent
+modifierGroupSchema.pre('validate', function(next) {
+  if (this.maxSelections && this.maxSelections < Math.max(this.minSelections, this.isRequired ? 1 : 0)) {
+    this.invalidate('maxSelections', 'El máximo de selecciones no puede ser menor al mínimo');
+  }
+  next();
+});
+
+// Helper to build errors the routes can return as they are
+const selectionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Static method to validate the modifiers chosen for an item and snapshot them for the order.
+// `selections` is a list of { option, quantity }; options must belong to the item groups.
+// Stock impact is converted to the stock unit of the affected item.
+modifierGroupSchema.statics.resolveSelections = async function(restaurantId, item, selections = []) {
+  const groups = await this.find({
+    _id: { $in: item.modifierGroups || [] },
+    restaurant: restaurantId,
+    isActive: true
+  }).populate('options.inventoryItem', 'name unit unitConversions');
+
+  const modifiers = [];
+  const selectedByGroup = new Map();
+
+  for (const selection of selections) {
+    const quantity = selection.quantity !== undefined ? Number(selection.quantity) : 1;
+    const group = groups.find(candidate => candidate.options.id(selection.option));
+    const option = group ? group.options.id(selection.option) : null;
+
+    if (!option || !option.isActive) {
+      throw selectionError(`Modificador ${selection.option} no disponible para ${item.name}`);
+    }
+
+    if (quantity > option.maxQuantity) {
+      throw selectionError(`${option.name} se puede elegir máximo ${option.maxQuantity} veces`);
+    }
+
+    const key = group._id.toString();
+    selectedByGroup.set(key, (selectedByGroup.get(key) || 0) + quantity);
+
+    const stockItem = option.inventoryItem;
+    modifiers.push({
+      group: group._id,
+      groupName: group.name,
+      option: option._id,
+      name: option.name,
+      priceDelta: option.priceDelta,
+      quantity,
+      inventoryItem: stockItem ? stockItem._id : undefined,
+      stockQuantity: stockItem && option.quantity ? stockItem.toStockQuantity(option.quantity, option.unit) : undefined
+    });
+  }
+
+  for (const group of groups) {
+    const selected = selectedByGroup.get(group._id.toString()) || 0;
+    const minSelections = Math.max(group.minSelections, group.isRequired ? 1 : 0);
+
+    if (selected < minSelections) {
+      throw selectionError(`${item.name}: debe elegir al menos ${minSelections} en ${group.name}`);
+    }
+    if (group.maxSelections && selected > group.maxSelections) {
+      throw selectionError(`${item.name}: puede elegir máximo ${group.maxSelections} en ${group.name}`);
+    }
+  }
+
+  return modifiers;
+};
+
+module.exports = mongoose.model('ModifierGroup', modifierGroupSchema);
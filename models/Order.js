@@ -1,6 +1,80 @@
 const mongoose = require('mongoose');
 
+const ALL_ROLES = ['admin', 'manager', 'employee'];
+
+// Allowed status changes and the roles that can make them
+const STATUS_TRANSITIONS = {
+  pending: { confirmed: ALL_ROLES, preparing: ALL_ROLES, cancelled: ALL_ROLES },
+  confirmed: { preparing: ALL_ROLES, cancelled: ALL_ROLES },
+  preparing: { ready: ALL_ROLES, cancelled: ['admin', 'manager'] },
+  ready: { delivered: ALL_ROLES, preparing: ALL_ROLES, cancelled: ['admin', 'manager'] },
+  delivered: { cancelled: ['admin', 'manager'] },
+  cancelled: {}
+};
+
+const STATUS_LABELS = {
+  pending: 'pendiente',
+  confirmed: 'confirmado',
+  preparing: 'en preparación',
+  ready: 'listo',
+  delivered: 'entregado',
+  cancelled: 'cancelado'
+};
+
+// Courses of a dine-in meal, in the order they are served
+const COURSES = ['entrada', 'plato_fuerte', 'postre'];
+
+const COURSE_LABELS = {
+  entrada: 'Entrada',
+  plato_fuerte: 'Plato fuerte',
+  postre: 'Postre'
+};
+
+const PAYMENT_METHODS = ['cash', 'card', 'transfer'];
+
+// Money is handled in cents to compare amounts paid and due
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+const orderItemModifierSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModifierGroup'
+  },
+  groupName: {
+    type: String
+  },
+  option: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  priceDelta: {
+    type: Number,
+    default: 0
+  },
+  quantity: {
+    type: Number,
+    min: [1, 'La cantidad debe ser al menos 1'],
+    default: 1
+  },
+  // Stock consumed (or given back when negative) per selection, in the stock unit
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem'
+  },
+  stockQuantity: {
+    type: Number
+  }
+}, { _id: false });
+
 const orderItemSchema = new mongoose.Schema({
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem'
+  },
+  // Stock item sold (the product of the recipe when the menu item is a recipe)
   inventoryItem: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'InventoryItem',
@@ -20,11 +94,65 @@ const orderItemSchema = new mongoose.Schema({
     required: [true, 'El precio unitario es requerido'],
     min: [0, 'El precio no puede ser negativo']
   },
+  // Price list the unit price came from (none when the menu price was charged)
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
+  priceListName: {
+    type: String
+  },
   cost: {
     type: Number,
     required: [true, 'El costo es requerido'],
     min: [0, 'El costo no puede ser negativo']
   },
+  modifiers: [orderItemModifierSchema],
+  // Tax class and rate in effect when the item was ordered
+  taxClass: {
+    type: String,
+    enum: ['iva_general', 'iva_reducido', 'exento', 'impoconsumo'],
+    default: 'iva_general'
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'La tarifa de impuesto no puede ser negativa']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Kitchen station that prepares the item and its progress there
+  station: {
+    type: String,
+    default: 'cocina'
+  },
+  prepStatus: {
+    type: String,
+    enum: ['pending', 'ready'],
+    default: 'pending'
+  },
+  readyAt: {
+    type: Date
+  },
+  course: {
+    type: String,
+    enum: COURSES,
+    default: 'plato_fuerte'
+  },
+  // Seat of the diner at the table, used to split the bill by seat
+  seat: {
+    type: Number,
+    min: [1, 'El asiento debe ser al menos 1']
+  },
+  // Set when the item is a component of a bundle (order.bundles)
+  bundleLine: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  bundleSlot: {
+    type: String
+  },
   totalPrice: {
     type: Number,
     required: true,
@@ -32,6 +160,146 @@ const orderItemSchema = new mongoose.Schema({
   }
 });
 
+// Bundles ordered; their price is split across the component items
+const orderBundleSchema = new mongoose.Schema({
+  bundle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bundle',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'La cantidad es requerida'],
+    min: [1, 'La cantidad debe ser al menos 1']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'El precio unitario es requerido'],
+    min: [0, 'El precio no puede ser negativo']
+  },
+  totalPrice: {
+    type: Number,
+    min: [0, 'El precio total no puede ser negativo']
+  }
+});
+
+// Discounts applied to the order: promotions, coupons and manual discounts approved by a manager
+const orderPromotionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  code: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'buy_x_get_y', 'manual'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'El descuento no puede ser negativo']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'El motivo no puede exceder 200 caracteres']
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Tenders received for the order, or for one of its checks when the bill is split
+const orderPaymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: [true, 'El método de pago es requerido']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'El monto es requerido'],
+    min: [0.01, 'El monto debe ser mayor a 0']
+  },
+  // Cash handed over by the customer and the change given back
+  tendered: {
+    type: Number
+  },
+  change: {
+    type: Number,
+    default: 0
+  },
+  // Card voucher or transfer reference
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La referencia no puede exceder 100 caracteres']
+  },
+  check: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  refundedAt: {
+    type: Date
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'El motivo no puede exceder 200 caracteres']
+  }
+});
+
+// Separate checks of a split bill; the amount is calculated from the items (and the quantity of
+// each one) the check pays, or is an equal part of the total when the check has no items
+const orderCheckSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'El nombre no puede exceder 50 caracteres']
+  },
+  seat: {
+    type: Number
+  },
+  items: [{
+    _id: false,
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true
+    }
+  }],
+  amount: {
+    type: Number,
+    default: 0
+  }
+});
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -64,25 +332,79 @@ const orderSchema = new mongoose.Schema({
     enum: ['dine-in', 'takeout', 'delivery'],
     default: 'dine-in'
   },
+  // Table of dine-in orders when the restaurant uses the floor plan; tableNumber keeps its number
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table'
+  },
   tableNumber: {
     type: String,
     trim: true
   },
   items: [orderItemSchema],
+  bundles: [orderBundleSchema],
+  // Courses of the items; held courses do not reach the kitchen until they are fired
+  courses: [{
+    _id: false,
+    course: {
+      type: String,
+      enum: COURSES,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['held', 'fired'],
+      default: 'fired'
+    },
+    heldAt: {
+      type: Date
+    },
+    firedAt: {
+      type: Date
+    },
+    // When the last item of the course was bumped
+    readyAt: {
+      type: Date
+    }
+  }],
   subtotal: {
     type: Number,
     min: [0, 'El subtotal no puede ser negativo']
   },
+  // Calculated from the items tax rates
   tax: {
     type: Number,
     default: 0,
     min: [0, 'El impuesto no puede ser negativo']
   },
+  // Prices of the items include the tax (restaurant setting when the order was created)
+  pricesIncludeTax: {
+    type: Boolean,
+    default: true
+  },
+  taxBreakdown: [{
+    _id: false,
+    taxClass: {
+      type: String
+    },
+    rate: {
+      type: Number
+    },
+    // Amount the tax is calculated on, without tax and after discounts
+    base: {
+      type: Number
+    },
+    amount: {
+      type: Number
+    }
+  }],
+  // Sum of the promotions, never more than the subtotal
   discount: {
     type: Number,
     default: 0,
     min: [0, 'El descuento no puede ser negativo']
   },
+  promotions: [orderPromotionSchema],
   total: {
     type: Number,
     min: [0, 'El total no puede ser negativo']
@@ -92,16 +414,48 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  // Every status change, the first entry is the creation of the order
+  statusHistory: [{
+    _id: false,
+    from: {
+      type: String
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'El motivo no puede exceder 200 caracteres']
+    }
+  }],
+  // Derived from the payments once there are any: paid, partially paid or refunded
   paymentStatus: {
     type: String,
     enum: ['pending', 'paid', 'refunded', 'partially_paid'],
     default: 'pending'
   },
+  // Expected method until paid, then the method of the payments (mixed for several)
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'transfer', 'mixed'],
+    enum: [...PAYMENT_METHODS, 'mixed'],
     default: 'cash'
   },
+  payments: [orderPaymentSchema],
+  splitMode: {
+    type: String,
+    enum: ['item', 'seat', 'equal']
+  },
+  checks: [orderCheckSchema],
   notes: {
     type: String,
     trim: true,
@@ -134,6 +488,33 @@ const orderSchema = new mongoose.Schema({
   inventoryDecrementedAt: {
     type: Date
   },
+  // Stock actually consumed when inventory was decremented (recipes exploded)
+  stockConsumption: [{
+    _id: false,
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem'
+    },
+    quantity: {
+      type: Number
+    },
+    unitCost: {
+      type: Number
+    },
+    lots: [{
+      _id: false,
+      lot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLot'
+      },
+      quantity: {
+        type: Number
+      },
+      unitCost: {
+        type: Number
+      }
+    }]
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -147,18 +528,90 @@ orderSchema.index({ restaurant: 1, status: 1 });
 orderSchema.index({ restaurant: 1, createdAt: -1 });
 orderSchema.index({ 'customer.name': 1 });
 
+// Price of an item line, modifiers change the price of each unit
+const itemTotal = item => {
+  const modifiersPrice = item.modifiers.reduce((sum, modifier) => sum + modifier.priceDelta * modifier.quantity, 0);
+  return Math.max(0, item.quantity * (item.unitPrice + modifiersPrice));
+};
+
+// Amount an item adds to the order total: its share of the discount is taken off and the tax
+// is added when prices do not include it
+const itemDue = (order, item) => {
+  const discountShare = order.subtotal > 0 ? order.discount * item.totalPrice / order.subtotal : 0;
+  return item.totalPrice - discountShare + (order.pricesIncludeTax ? 0 : item.taxAmount);
+};
+
 // Pre-save middleware to calculate totals
 orderSchema.pre('save', function(next) {
   // Calculate item totals
   this.items.forEach(item => {
-    item.totalPrice = item.quantity * item.unitPrice;
+    item.totalPrice = itemTotal(item);
+  });
+
+  // Bundle totals include the upcharges and modifiers of their components
+  this.bundles.forEach(bundleLine => {
+    bundleLine.totalPrice = this.items
+      .filter(item => item.bundleLine && item.bundleLine.equals(bundleLine._id))
+      .reduce((sum, item) => sum + item.totalPrice, 0);
   });
   
-  // Calculate subtotal
+  // Calculate subtotal (bundle components are already items)
   this.subtotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+  // Calculate discount from the applied promotions
+  const promotionsAmount = this.promotions.reduce((sum, promotion) => sum + promotion.amount, 0);
+  this.discount = Math.min(promotionsAmount, this.subtotal);
+
+  // Calculate taxes on the discounted price of each item, the discount is shared by price
+  const breakdown = new Map();
+  this.items.forEach(item => {
+    const discountShare = this.subtotal > 0 ? this.discount * item.totalPrice / this.subtotal : 0;
+    const taxedPrice = item.totalPrice - discountShare;
+    const base = this.pricesIncludeTax ? taxedPrice / (1 + item.taxRate) : taxedPrice;
+    item.taxAmount = base * item.taxRate;
+
+    const key = `${item.taxClass}-${item.taxRate}`;
+    const entry = breakdown.get(key) || { taxClass: item.taxClass, rate: item.taxRate, base: 0, amount: 0 };
+    entry.base += base;
+    entry.amount += item.taxAmount;
+    breakdown.set(key, entry);
+  });
+  this.taxBreakdown = [...breakdown.values()];
+  this.tax = this.items.reduce((sum, item) => sum + item.taxAmount, 0);
   
-  // Calculate total
-  this.total = this.subtotal + this.tax - this.discount;
+  // Calculate total (included taxes are already in the subtotal)
+  this.total = this.subtotal - this.discount + (this.pricesIncludeTax ? 0 : this.tax);
+
+  // Amount of each check, rounded to cents; the last check takes the rounding difference
+  if (this.checks.length > 0) {
+    this.checks.forEach((check, index) => {
+      if (index === this.checks.length - 1) {
+        const others = this.checks.slice(0, -1).reduce((sum, other) => sum + other.amount, 0);
+        check.amount = roundMoney(this.total - others);
+      } else if (check.items.length === 0) {
+        check.amount = roundMoney(this.total / this.checks.length);
+      } else {
+        check.amount = roundMoney(check.items.reduce((sum, line) => {
+          const item = this.items.id(line.item);
+          return item ? sum + itemDue(this, item) * line.quantity / item.quantity : sum;
+        }, 0));
+      }
+    });
+  }
+
+  // Payment status and method come from the payments that were not refunded
+  if (this.payments.length > 0) {
+    const active = this.payments.filter(payment => !payment.refundedAt);
+    const paid = roundMoney(active.reduce((sum, payment) => sum + payment.amount, 0));
+
+    if (active.length === 0) {
+      this.paymentStatus = ['delivered', 'cancelled'].includes(this.status) ? 'refunded' : 'pending';
+    } else {
+      this.paymentStatus = paid >= roundMoney(this.total) ? 'paid' : 'partially_paid';
+      const methods = new Set(active.map(payment => payment.method));
+      this.paymentMethod = methods.size === 1 ? active[0].method : 'mixed';
+    }
+  }
   
   // Generate order number if not exists
   if (!this.orderNumber) {
@@ -169,6 +622,22 @@ orderSchema.pre('save', function(next) {
     const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
     this.orderNumber = `${year}${month}${day}${random}`;
   }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, changedBy: this.createdBy });
+  }
+
+  // New orders fire every course of their items that was not held
+  if (this.isNew) {
+    const itemCourses = new Set(this.items.map(item => item.course));
+    const courses = this.courses.filter(entry => itemCourses.has(entry.course));
+    itemCourses.forEach(course => {
+      if (!courses.some(entry => entry.course === course)) {
+        courses.push({ course, status: 'fired', firedAt: new Date() });
+      }
+    });
+    this.courses = courses.sort((a, b) => COURSES.indexOf(a.course) - COURSES.indexOf(b.course));
+  }
   
   next();
 });
@@ -216,20 +685,39 @@ orderSchema.statics.getDailySales = function(restaurantId, date) {
   ]);
 };
 
-// Instance method to update status
-orderSchema.methods.updateStatus = async function(newStatus) {
-  const oldStatus = this.status;
+// Instance method to get the statuses a role can move the order to
+orderSchema.methods.nextStatuses = function(role) {
+  const transitions = STATUS_TRANSITIONS[this.status] || {};
+  return Object.keys(transitions).filter(status => transitions[status].includes(role));
+};
+
+// Instance method to update status following the allowed transitions.
+// Throws errors with statusCode when the change is not allowed for the user.
+orderSchema.methods.updateStatus = async function(newStatus, user, reason) {
+  const transitions = STATUS_TRANSITIONS[this.status] || {};
+  const userId = user._id;
+
+  if (!transitions[newStatus]) {
+    const allowed = Object.keys(transitions).map(status => STATUS_LABELS[status]);
+    const error = new Error(
+      `No se puede pasar un pedido ${STATUS_LABELS[this.status]} a ${STATUS_LABELS[newStatus]}` +
+      (allowed.length > 0 ? `. Estados permitidos: ${allowed.join(', ')}` : '')
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!transitions[newStatus].includes(user.role)) {
+    const error = new Error(`Solo un gerente puede pasar un pedido ${STATUS_LABELS[this.status]} a ${STATUS_LABELS[newStatus]}`);
+    error.statusCode = 403;
+    throw error;
+  }
+
+  this.statusHistory.push({ from: this.status, to: newStatus, changedBy: userId, reason });
   this.status = newStatus;
   
   if ((newStatus === 'preparing' || newStatus === 'delivered') && !this.inventoryDecrementedAt) {
-    this.inventoryDecrementedAt = new Date();
-    // Update inventory quantities
-    for (const item of this.items) {
-      await mongoose.model('InventoryItem').findByIdAndUpdate(
-        item.inventoryItem,
-        { $inc: { quantity: -item.quantity } }
-      );
-    }
+    await this.decrementInventory(userId);
   }
 
   if (newStatus === 'delivered' && !this.completedAt) {
@@ -237,33 +725,681 @@ orderSchema.methods.updateStatus = async function(newStatus) {
     this.actualTime = Math.floor((this.completedAt - this.createdAt) / (1000 * 60));
   }
 
-  // Restore inventory if order is cancelled
+  // Restore inventory and coupon uses if order is cancelled
   if (newStatus === 'cancelled') {
-    if (this.inventoryDecrementedAt) {
-      for (const item of this.items) {
-        await mongoose.model('InventoryItem').findByIdAndUpdate(
-          item.inventoryItem,
-          { $inc: { quantity: item.quantity } }
-        );
-      }
-      this.inventoryDecrementedAt = null;
-    }
+    await this.restoreInventory(userId);
+    await mongoose.model('Promotion').release(this.promotions);
     this.isActive = false; // Set isActive to false when cancelled
   }
   
   return this.save();
 };
 
-// Instance method to add item
+// Helper to build errors the routes can return as they are
+const orderError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Helper to check there is stock for every entry ({ inventoryItem, quantity }) an order takes.
+// Throws an error with statusCode for the first shortage.
+const checkStock = async (restaurantId, entries) => {
+  if (entries.length === 0) return;
+
+  const stockItems = await mongoose.model('InventoryItem').find({
+    _id: { $in: entries.map(entry => entry.inventoryItem) },
+    restaurant: restaurantId
+  }).select('name quantity');
+  const stockById = new Map(stockItems.map(item => [item._id.toString(), item]));
+
+  for (const entry of entries) {
+    const stockItem = stockById.get(entry.inventoryItem.toString());
+    if (stockItem && stockItem.quantity < entry.quantity) {
+      throw orderError(`Stock insuficiente para ${stockItem.name}. Disponible: ${stockItem.quantity}, requerido: ${entry.quantity}`);
+    }
+  }
+};
+
+// Helper to run the stock changes of an order in a transaction, so they are applied all together or
+// not at all (a sale emptying an item meanwhile must not leave the others decremented)
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(() => work(session));
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Instance method to decrement the stock consumed by the order items.
+// The cost of each item is replaced by the actual cost of the stock it consumed.
+orderSchema.methods.decrementInventory = async function(userId) {
+  const Recipe = mongoose.model('Recipe');
+  const consumption = await Recipe.explodeItems(this.restaurant, this.items);
+
+  // Reports the first shortage before anything is taken
+  await checkStock(this.restaurant, consumption);
+
+  await inTransaction(async session => {
+    for (const entry of consumption) {
+      const movement = await mongoose.model('InventoryItem').adjustStock(entry.inventoryItem, -entry.quantity, {
+        type: 'sale',
+        order: this._id,
+        user: userId
+      }, { session });
+      entry.lots = movement ? movement.lots : [];
+      entry.unitCost = movement ? movement.unitCost : undefined;
+    }
+  });
+
+  this.stockConsumption = consumption;
+  this.inventoryDecrementedAt = new Date();
+  await this.updateItemCosts();
+};
+
+// Instance method to set the cost of each item from the cost of the stock the order consumed
+orderSchema.methods.updateItemCosts = async function() {
+  const Recipe = mongoose.model('Recipe');
+  const unitCostById = new Map(
+    this.stockConsumption.map(entry => [entry.inventoryItem.toString(), entry.unitCost])
+  );
+
+  for (const item of this.items) {
+    const itemConsumption = await Recipe.explodeItems(this.restaurant, [item]);
+    const costs = itemConsumption.map(entry => unitCostById.get(entry.inventoryItem.toString()));
+
+    // Keep the estimated cost if some stock could not be found
+    if (costs.some(cost => cost === undefined)) continue;
+
+    const totalCost = itemConsumption.reduce((sum, entry, index) => sum + entry.quantity * costs[index], 0);
+    item.cost = totalCost / item.quantity;
+  }
+};
+
+// Instance method to bring the stock consumed by an order whose inventory was already decremented
+// in line with its current items: the stock of added lines is taken, the one of removed lines given back
+orderSchema.methods.reconcileInventory = async function(userId) {
+  if (!this.inventoryDecrementedAt) return;
+
+  const InventoryItem = mongoose.model('InventoryItem');
+  const required = await mongoose.model('Recipe').explodeItems(this.restaurant, this.items);
+  const requiredById = new Map(required.map(entry => [entry.inventoryItem.toString(), entry.quantity]));
+
+  const inventoryItemIds = new Set([
+    ...requiredById.keys(),
+    ...this.stockConsumption.map(entry => entry.inventoryItem.toString())
+  ]);
+
+  const changes = [...inventoryItemIds].map(inventoryItemId => {
+    const entry = this.stockConsumption.find(candidate => candidate.inventoryItem.toString() === inventoryItemId);
+    return {
+      inventoryItem: inventoryItemId,
+      quantity: Math.round(((requiredById.get(inventoryItemId) || 0) - (entry ? entry.quantity : 0)) * 1e6) / 1e6
+    };
+  });
+  await checkStock(this.restaurant, changes.filter(change => change.quantity > 0));
+
+  let consumption;
+  await inTransaction(async session => {
+    // Worked on a copy, the transaction may run again
+    consumption = this.stockConsumption.map(entry => ({
+      inventoryItem: entry.inventoryItem,
+      quantity: entry.quantity,
+      unitCost: entry.unitCost,
+      lots: entry.lots.map(lot => ({ lot: lot.lot, quantity: lot.quantity, unitCost: lot.unitCost }))
+    }));
+
+    for (const { inventoryItem: inventoryItemId, quantity: change } of changes) {
+      let entry = consumption.find(candidate => candidate.inventoryItem.toString() === inventoryItemId);
+      const consumed = entry ? entry.quantity : 0;
+
+      if (change > 0) {
+        const movement = await InventoryItem.adjustStock(inventoryItemId, -change, {
+          type: 'sale',
+          order: this._id,
+          user: userId
+        }, { session });
+        const unitCost = movement ? movement.unitCost : undefined;
+
+        if (!entry) {
+          consumption.push({ inventoryItem: inventoryItemId, quantity: 0, unitCost, lots: [] });
+          entry = consumption[consumption.length - 1];
+        } else if (entry.unitCost !== undefined && unitCost !== undefined) {
+          entry.unitCost = (entry.unitCost * consumed + unitCost * change) / (consumed + change);
+        }
+        entry.quantity = consumed + change;
+        entry.lots.push(...(movement ? movement.lots : []));
+      } else if (change < 0) {
+        // Stock comes back to the last lots it was taken from, at the cost it left with
+        const restoreLots = [];
+        let remaining = -change;
+        for (let index = entry.lots.length - 1; index >= 0 && remaining > 0; index--) {
+          const lot = entry.lots[index];
+          const quantity = Math.min(lot.quantity, remaining);
+          restoreLots.push({ lot: lot.lot, quantity, unitCost: lot.unitCost });
+          lot.quantity -= quantity;
+          remaining -= quantity;
+        }
+        entry.lots = entry.lots.filter(lot => lot.quantity > 0);
+
+        await InventoryItem.adjustStock(inventoryItemId, -change, {
+          type: 'cancellation_restore',
+          order: this._id,
+          user: userId
+        }, { restoreLots, costPrice: entry.unitCost, session });
+        entry.quantity = consumed + change;
+      }
+    }
+  });
+
+  this.stockConsumption = consumption.filter(entry => entry.quantity > 0);
+  await this.updateItemCosts();
+};
+
+// Instance method to give back the stock consumed by the order
+orderSchema.methods.restoreInventory = async function(userId) {
+  if (!this.inventoryDecrementedAt) return;
+
+  // Orders decremented before recipes existed only recorded their items
+  const consumption = this.stockConsumption.length > 0
+    ? this.stockConsumption
+    : this.items.map(item => ({ inventoryItem: item.inventoryItem, quantity: item.quantity }));
+
+  for (const entry of consumption) {
+    // Stock comes back at the cost it left with
+    await mongoose.model('InventoryItem').adjustStock(entry.inventoryItem, entry.quantity, {
+      type: 'cancellation_restore',
+      order: this._id,
+      user: userId
+    }, { restoreLots: entry.lots, costPrice: entry.unitCost });
+  }
+
+  this.stockConsumption = [];
+  this.inventoryDecrementedAt = null;
+};
+
+// Instance method to get the stations that prepare items of the order
+orderSchema.methods.kitchenStations = function() {
+  return [...new Set(this.items.map(item => item.station))];
+};
+
+// Instance method to check a course is held (orders from before courses have none held)
+orderSchema.methods.isCourseHeld = function(course) {
+  return this.courses.some(entry => entry.course === course && entry.status === 'held');
+};
+
+// Instance method to get the ticket the kitchen prepares the order from.
+// With a station only its items of fired courses are included.
+orderSchema.methods.toKitchenTicket = function(station) {
+  const items = station
+    ? this.items.filter(item => item.station === station && !this.isCourseHeld(item.course))
+    : this.items;
+
+  return {
+    order: this._id,
+    orderNumber: this.orderNumber,
+    type: this.type,
+    tableNumber: this.tableNumber,
+    customer: this.customer.name,
+    status: this.status,
+    createdAt: this.createdAt,
+    notes: this.notes,
+    courses: this.courses.map(entry => ({
+      course: entry.course,
+      label: COURSE_LABELS[entry.course],
+      status: entry.status,
+      firedAt: entry.firedAt
+    })),
+    items: items.map(item => {
+      const bundleLine = item.bundleLine && this.bundles.id(item.bundleLine);
+      return {
+        _id: item._id,
+        name: item.name,
+        quantity: item.quantity,
+        bundle: bundleLine ? bundleLine.name : undefined,
+        modifiers: item.modifiers.map(modifier => (
+          modifier.quantity > 1 ? `${modifier.name} x${modifier.quantity}` : modifier.name
+        )),
+        course: item.course,
+        station: item.station,
+        prepStatus: item.prepStatus,
+        readyAt: item.readyAt
+      };
+    })
+  };
+};
+
+// Instance method to send the tickets of the order to the room of each kitchen station.
+// `io` is the Socket.io server of the request.
+// Stations whose items were all removed can be given so their screens drop the lines.
+orderSchema.methods.notifyKitchen = function(io, type, stations = this.kitchenStations()) {
+  const restaurantId = this.restaurant._id || this.restaurant;
+
+  stations.forEach(station => {
+    io.to(`kitchen-${restaurantId}-${station}`).emit('kitchen-updated', {
+      type,
+      station,
+      ticket: this.toKitchenTicket(station)
+    });
+  });
+};
+
+// Instance method to mark an item as ready in its station (bump).
+// The order starts preparing with the first item and is ready when all of them are.
+orderSchema.methods.bumpItem = async function(itemId, user) {
+  const item = this.items.id(itemId);
+  if (!item) {
+    throw orderError('Item no encontrado en el pedido', 404);
+  }
+
+  if (!['pending', 'confirmed', 'preparing'].includes(this.status)) {
+    throw orderError('El pedido no está en cocina');
+  }
+
+  if (item.prepStatus === 'ready') {
+    throw orderError(`${item.name} ya está listo`);
+  }
+
+  if (this.isCourseHeld(item.course)) {
+    throw orderError(`${COURSE_LABELS[item.course]} está retenido, no se ha marchado`);
+  }
+
+  item.prepStatus = 'ready';
+  item.readyAt = new Date();
+
+  const courseEntry = this.courses.find(entry => entry.course === item.course);
+  const courseItems = this.items.filter(orderItem => orderItem.course === item.course);
+  if (courseEntry && courseItems.every(orderItem => orderItem.prepStatus === 'ready')) {
+    courseEntry.readyAt = item.readyAt;
+  }
+
+  if (this.status !== 'preparing') {
+    await this.updateStatus('preparing', user);
+  }
+
+  if (this.items.every(orderItem => orderItem.prepStatus === 'ready')) {
+    return this.updateStatus('ready', user);
+  }
+
+  return this.save();
+};
+
+// Instance method to send a ready item back to its station (recall)
+orderSchema.methods.recallItem = async function(itemId, user) {
+  const item = this.items.id(itemId);
+  if (!item) {
+    throw orderError('Item no encontrado en el pedido', 404);
+  }
+
+  if (!['preparing', 'ready'].includes(this.status)) {
+    throw orderError('El pedido no está en cocina');
+  }
+
+  if (item.prepStatus !== 'ready') {
+    throw orderError(`${item.name} no está listo`);
+  }
+
+  item.prepStatus = 'pending';
+  item.readyAt = undefined;
+
+  const courseEntry = this.courses.find(entry => entry.course === item.course);
+  if (courseEntry) {
+    courseEntry.readyAt = undefined;
+  }
+
+  if (this.status === 'ready') {
+    return this.updateStatus('preparing', user, `${item.name} devuelto a cocina`);
+  }
+
+  return this.save();
+};
+
+// Instance method to hold a course of a dine-in order so the kitchen does not start it
+orderSchema.methods.holdCourse = async function(course) {
+  const courseEntry = this.courses.find(entry => entry.course === course);
+  if (!courseEntry) {
+    throw orderError(`El pedido no tiene ${COURSE_LABELS[course] || course}`, 404);
+  }
+
+  if (this.type !== 'dine-in') {
+    throw orderError('Solo los pedidos en mesa pueden retener cursos');
+  }
+
+  if (!['pending', 'confirmed', 'preparing'].includes(this.status)) {
+    throw orderError('El pedido no está en cocina');
+  }
+
+  if (courseEntry.status === 'held') {
+    throw orderError(`${COURSE_LABELS[course]} ya está retenido`);
+  }
+
+  if (this.items.some(item => item.course === course && item.prepStatus === 'ready')) {
+    throw orderError(`${COURSE_LABELS[course]} ya tiene items listos`);
+  }
+
+  courseEntry.status = 'held';
+  courseEntry.heldAt = new Date();
+  courseEntry.firedAt = undefined;
+
+  return this.save();
+};
+
+// Instance method to fire a held course, sending its items to the kitchen.
+// A ready order goes back to preparing.
+orderSchema.methods.fireCourse = async function(course, user) {
+  const courseEntry = this.courses.find(entry => entry.course === course);
+  if (!courseEntry) {
+    throw orderError(`El pedido no tiene ${COURSE_LABELS[course] || course}`, 404);
+  }
+
+  if (!['pending', 'confirmed', 'preparing', 'ready'].includes(this.status)) {
+    throw orderError('El pedido no está en cocina');
+  }
+
+  if (courseEntry.status === 'fired') {
+    throw orderError(`${COURSE_LABELS[course]} ya está en marcha`);
+  }
+
+  courseEntry.status = 'fired';
+  courseEntry.firedAt = new Date();
+
+  if (this.status === 'ready') {
+    return this.updateStatus('preparing', user, `${COURSE_LABELS[course]} en marcha`);
+  }
+
+  return this.save();
+};
+
+// Instance method to take the order off its table (paid, cancelled or removed).
+// Returns the ids of the tables that changed.
+orderSchema.methods.releaseTable = async function() {
+  if (!this.table) return [];
+
+  const table = await mongoose.model('Table').findById(this.table);
+  return table ? table.release(this._id) : [];
+};
+
+// Instance method to check the lines of the order can still change (not delivered, cancelled or paid)
+orderSchema.methods.isOpen = function() {
+  return !['delivered', 'cancelled'].includes(this.status) &&
+    !['paid', 'refunded'].includes(this.paymentStatus);
+};
+
+// Instance method to add item, the order is saved with saveLineChanges
 orderSchema.methods.addItem = function(itemData) {
   this.items.push(itemData);
-  return this.save();
+  return this.items[this.items.length - 1];
+};
+
+// Instance method to change the quantity of an item, the order is saved with saveLineChanges.
+// Bundle components change with their bundle and prepared items cannot get more units.
+orderSchema.methods.adjustItem = function(itemId, quantity) {
+  const item = this.items.id(itemId);
+  if (!item) {
+    throw orderError('Item no encontrado en el pedido', 404);
+  }
+
+  if (item.bundleLine) {
+    throw orderError(`${item.name} es parte de un combo, quite el combo y agréguelo de nuevo`);
+  }
+
+  if (item.prepStatus === 'ready' && quantity > item.quantity) {
+    throw orderError(`${item.name} ya está preparado, agregue las unidades como un item nuevo`);
+  }
+
+  // Promotions are evaluated on the new total before the order is saved
+  item.quantity = quantity;
+  item.totalPrice = itemTotal(item);
+  return item;
 };
 
-// Instance method to remove item
+// Instance method to remove item, the order is saved with saveLineChanges.
+// Removing a bundle component removes the whole bundle. Returns the removed items.
 orderSchema.methods.removeItem = function(itemId) {
-  this.items.id(itemId).remove();
+  const item = this.items.id(itemId);
+  if (!item) {
+    throw orderError('Item no encontrado en el pedido', 404);
+  }
+
+  const removed = item.bundleLine
+    ? this.items.filter(orderItem => orderItem.bundleLine && orderItem.bundleLine.equals(item.bundleLine))
+    : [item];
+
+  if (removed.length === this.items.length) {
+    throw orderError('El pedido debe tener al menos un item, cancele el pedido en su lugar');
+  }
+
+  if (item.bundleLine) {
+    this.bundles.pull(item.bundleLine);
+  }
+  removed.forEach(orderItem => this.items.pull(orderItem._id));
+  return removed;
+};
+
+// Instance method to save the order after its lines changed: new courses are fired, the stock
+// is reconciled if it was already decremented and the order goes back to preparing with new
+// items to prepare (or is ready when only prepared items are left)
+orderSchema.methods.saveLineChanges = async function(user) {
+  this.items.forEach(item => {
+    if (!this.courses.some(entry => entry.course === item.course)) {
+      this.courses.push({ course: item.course, status: 'fired', firedAt: new Date() });
+    }
+  });
+  this.courses = this.courses
+    .filter(entry => this.items.some(item => item.course === entry.course))
+    .sort((a, b) => COURSES.indexOf(a.course) - COURSES.indexOf(b.course));
+
+  this.courses.forEach(entry => {
+    const courseItems = this.items.filter(item => item.course === entry.course);
+    entry.readyAt = courseItems.every(item => item.prepStatus === 'ready')
+      ? new Date(Math.max(...courseItems.map(item => item.readyAt)))
+      : undefined;
+  });
+
+  await this.reconcileInventory(user._id);
+
+  const pending = this.items.some(item => item.prepStatus === 'pending');
+  if (this.status === 'ready' && pending) {
+    return this.updateStatus('preparing', user, 'Items agregados al pedido');
+  }
+  if (this.status === 'preparing' && !pending) {
+    return this.updateStatus('ready', user);
+  }
+
   return this.save();
 };
 
+// Instance method to check the order has payments that were not refunded
+orderSchema.methods.hasPayments = function() {
+  return this.payments.some(payment => !payment.refundedAt);
+};
+
+// Instance method to get what was paid and what is still due, for the order and each check
+orderSchema.methods.paymentSummary = function() {
+  const active = this.payments.filter(payment => !payment.refundedAt);
+  const paidFor = checkId => roundMoney(active
+    .filter(payment => !checkId || (payment.check && payment.check.equals(checkId)))
+    .reduce((sum, payment) => sum + payment.amount, 0));
+
+  const total = roundMoney(this.total);
+  const paid = paidFor();
+
+  return {
+    total,
+    paid,
+    due: Math.max(0, roundMoney(total - paid)),
+    change: roundMoney(active.reduce((sum, payment) => sum + payment.change, 0)),
+    checks: this.checks.map(check => {
+      const checkPaid = paidFor(check._id);
+      return {
+        _id: check._id,
+        name: check.name,
+        seat: check.seat,
+        amount: check.amount,
+        paid: checkPaid,
+        due: Math.max(0, roundMoney(check.amount - checkPaid))
+      };
+    })
+  };
+};
+
+// Instance method to split the bill in separate checks: by item (`checks` with the items and the
+// quantity of each one they pay), by seat (shared items without seat get their own check) or in
+// `parts` equal checks. Replaces the previous split and is not allowed once something was paid.
+orderSchema.methods.splitChecks = async function(mode, { checks = [], parts } = {}) {
+  if (this.status === 'cancelled') {
+    throw orderError('El pedido está cancelado');
+  }
+
+  if (this.hasPayments()) {
+    throw orderError('El pedido ya tiene pagos, no se puede dividir la cuenta');
+  }
+
+  let newChecks;
+  if (mode === 'equal') {
+    newChecks = Array.from({ length: parts }, (value, index) => ({ name: `Cuenta ${index + 1}`, items: [] }));
+  } else if (mode === 'seat') {
+    const seats = [...new Set(this.items.map(item => item.seat).filter(Boolean))].sort((a, b) => a - b);
+    if (seats.length === 0) {
+      throw orderError('Los items del pedido no tienen asiento');
+    }
+
+    const linesOf = items => items.map(item => ({ item: item._id, quantity: item.quantity }));
+    newChecks = seats.map(seat => ({
+      name: `Asiento ${seat}`,
+      seat,
+      items: linesOf(this.items.filter(item => item.seat === seat))
+    }));
+
+    const shared = this.items.filter(item => !item.seat);
+    if (shared.length > 0) {
+      newChecks.push({ name: 'Compartido', items: linesOf(shared) });
+    }
+  } else {
+    const assigned = new Map();
+    newChecks = checks.map((check, index) => ({
+      name: check.name || `Cuenta ${index + 1}`,
+      items: check.items.map(line => {
+        const item = this.items.id(line.item);
+        if (!item) {
+          throw orderError(`Item ${line.item} no encontrado en el pedido`, 404);
+        }
+
+        // An item can be shared between checks by giving each one part of its quantity
+        const quantity = line.quantity !== undefined ? line.quantity : item.quantity;
+        assigned.set(item._id.toString(), (assigned.get(item._id.toString()) || 0) + quantity);
+        return { item: item._id, quantity };
+      })
+    }));
+
+    const unassigned = this.items.find(item => Math.abs((assigned.get(item._id.toString()) || 0) - item.quantity) > 1e-6);
+    if (unassigned) {
+      throw orderError(`Las cuentas deben repartir exactamente ${unassigned.quantity} de ${unassigned.name}`);
+    }
+  }
+
+  if (newChecks.length < 2) {
+    throw orderError('La cuenta debe dividirse en al menos dos cuentas');
+  }
+
+  this.splitMode = mode;
+  this.checks = newChecks;
+  return this.save();
+};
+
+// Instance method to join the checks of a split bill again, while none of them has payments
+orderSchema.methods.clearChecks = async function() {
+  if (this.checks.length === 0) {
+    throw orderError('La cuenta del pedido no está dividida');
+  }
+
+  if (this.payments.some(payment => !payment.refundedAt && payment.check)) {
+    throw orderError('Las cuentas ya tienen pagos, reembólselos antes de unir la cuenta');
+  }
+
+  this.splitMode = undefined;
+  this.checks = [];
+  return this.save();
+};
+
+// Instance method to record a tender for the order, or for one of its checks when the bill is split.
+// The amount defaults to what is due; cash can be tendered above the amount and gives change.
+// Returns the payment.
+orderSchema.methods.addPayment = async function(paymentData, user) {
+  if (this.status === 'cancelled') {
+    throw orderError('El pedido está cancelado');
+  }
+
+  const summary = this.paymentSummary();
+  let check = null;
+  if (this.checks.length > 0) {
+    if (!paymentData.check) {
+      throw orderError('La cuenta está dividida, indique la cuenta que se paga');
+    }
+    check = summary.checks.find(entry => entry._id.equals(paymentData.check));
+    if (!check) {
+      throw orderError('Cuenta no encontrada', 404);
+    }
+  } else if (paymentData.check) {
+    throw orderError('La cuenta del pedido no está dividida');
+  }
+
+  const due = check ? check.due : summary.due;
+  if (due <= 0) {
+    throw orderError(check ? `${check.name} ya está pagada` : 'El pedido ya está pagado');
+  }
+
+  const amount = paymentData.amount !== undefined ? roundMoney(paymentData.amount) : due;
+  if (amount > due) {
+    throw orderError(`El monto excede el saldo pendiente de ${due}`);
+  }
+
+  let tendered;
+  let change = 0;
+  if (paymentData.tendered !== undefined) {
+    if (paymentData.method !== 'cash') {
+      throw orderError('Solo los pagos en efectivo reciben un monto entregado');
+    }
+    tendered = roundMoney(paymentData.tendered);
+    if (tendered < amount) {
+      throw orderError(`El efectivo entregado es menor al monto de ${amount}`);
+    }
+    change = roundMoney(tendered - amount);
+  }
+
+  this.payments.push({
+    method: paymentData.method,
+    amount,
+    tendered,
+    change,
+    reference: paymentData.reference,
+    check: check ? check._id : undefined,
+    receivedBy: user._id
+  });
+  await this.save();
+
+  return this.payments[this.payments.length - 1];
+};
+
+// Instance method to refund a payment; the payment status is derived again from the rest
+orderSchema.methods.refundPayment = async function(paymentId, user, reason) {
+  const payment = this.payments.id(paymentId);
+  if (!payment) {
+    throw orderError('Pago no encontrado', 404);
+  }
+
+  if (payment.refundedAt) {
+    throw orderError('El pago ya fue reembolsado');
+  }
+
+  payment.refundedAt = new Date();
+  payment.refundedBy = user._id;
+  payment.refundReason = reason;
+  await this.save();
+
+  return payment;
+};
+
 module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const priceListScheduleSchema = new mongoose.Schema({
+  // Empty means every day
+  days: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  startTime: {
+    type: String,
+    required: [true, 'La hora de inicio es requerida'],
+    match: [TIME_PATTERN, 'La hora debe tener formato HH:MM']
+  },
+  // Earlier than startTime for windows that cross midnight
+  endTime: {
+    type: String,
+    required: [true, 'La hora de fin es requerida'],
+    match: [TIME_PATTERN, 'La hora debe tener formato HH:MM']
+  }
+}, { _id: false });
+
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la lista es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  // Empty means every channel (Order.type)
+  channels: [{
+    type: String,
+    enum: ['dine-in', 'takeout', 'delivery']
+  }],
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  // Empty means all day
+  schedules: [priceListScheduleSchema],
+  // The list with the highest priority wins when several apply
+  priority: {
+    type: Number,
+    default: 0
+  },
+  items: [{
+    _id: false,
+    menuItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+      required: [true, 'El producto del menú es requerido']
+    },
+    price: {
+      type: Number,
+      required: [true, 'El precio es requerido'],
+      min: [0, 'El precio no puede ser negativo']
+    }
+  }],
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+priceListSchema.index({ restaurant: 1, isActive: 1, priority: -1 });
+
+// Pre-validate middleware to check the date range and that items are not repeated
+priceListSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'La fecha de fin no puede ser anterior a la de inicio');
+  }
+
+  const menuItemIds = this.items.map(item => item.menuItem.toString());
+  if (new Set(menuItemIds).size !== menuItemIds.length) {
+    this.invalidate('items', 'Un producto del menú está repetido en la lista');
+  }
+  next();
+});
+
+// Instance method to check the list applies on a channel at a given time.
+// `localTime` is { day, time } in the restaurant timezone.
+priceListSchema.methods.appliesTo = function(channel, date, localTime) {
+  if (this.channels.length > 0 && !this.channels.includes(channel)) return false;
+  if (this.startDate && date < this.startDate) return false;
+  if (this.endDate && date > this.endDate) return false;
+  if (this.schedules.length === 0) return true;
+
+  return this.schedules.some(schedule => {
+    if (schedule.days.length > 0 && !schedule.days.includes(localTime.day)) return false;
+
+    return schedule.startTime <= schedule.endTime
+      ? localTime.time >= schedule.startTime && localTime.time < schedule.endTime
+      : localTime.time >= schedule.startTime || localTime.time < schedule.endTime;
+  });
+};
+
+// Static method to get the price list prices in effect for a channel.
+// Returns a Map of menu item id to { price, priceList, priceListName } from the list with the highest priority.
+priceListSchema.statics.resolvePrices = async function(restaurantId, channel, date = new Date()) {
+  const restaurant = await mongoose.model('Restaurant').findById(restaurantId).select('settings.timezone');
+  const localTime = toLocalTime(date, restaurant && restaurant.settings ? restaurant.settings.timezone : undefined);
+
+  const priceLists = await this.find({
+    restaurant: restaurantId,
+    isActive: true
+  }).sort({ priority: -1, createdAt: 1 });
+
+  const prices = new Map();
+  for (const priceList of priceLists) {
+    if (!priceList.appliesTo(channel, date, localTime)) continue;
+
+    for (const item of priceList.items) {
+      const key = item.menuItem.toString();
+      if (prices.has(key)) continue;
+      prices.set(key, { price: item.price, priceList: priceList._id, priceListName: priceList.name });
+    }
+  }
+
+  return prices;
+};
+
+// Helper function to get the weekday and HH:MM of a date in a timezone
+function toLocalTime(date, timeZone = 'America/Bogota') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => parts.find(candidate => candidate.type === type).value;
+
+  return {
+    day: part('weekday').toLowerCase(),
+    time: `${part('hour')}:${part('minute')}`
+  };
+}
+
+module.exports = mongoose.model('PriceList', priceListSchema);
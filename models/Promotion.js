@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la promoción es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'buy_x_get_y'],
+    required: [true, 'El tipo de promoción es requerido']
+  },
+  // Percentage (0-100) or amount off; for buy_x_get_y the percentage off the free units (100 = gratis)
+  value: {
+    type: Number,
+    required: [true, 'El valor es requerido'],
+    min: [0, 'El valor no puede ser negativo']
+  },
+  buyQuantity: {
+    type: Number,
+    min: [1, 'La cantidad a comprar debe ser al menos 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'La cantidad a llevar debe ser al menos 1']
+  },
+  // What the discount applies to: the whole order, some menu items or some categories (with sub-categories)
+  scope: {
+    type: String,
+    enum: ['order', 'items', 'categories'],
+    default: 'order'
+  },
+  menuItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  minSubtotal: {
+    type: Number,
+    min: [0, 'El subtotal mínimo no puede ser negativo'],
+    default: 0
+  },
+  // Coupon code; promotions without code apply automatically
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'El código no puede exceder 30 caracteres']
+  },
+  // Uses of the coupon, empty means no limit
+  usageLimit: {
+    type: Number,
+    min: [1, 'El límite de usos debe ser al menos 1']
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Coupon codes are unique per restaurant
+promotionSchema.index(
+  { restaurant: 1, code: 1 },
+  { unique: true, partialFilterExpression: { isActive: true, code: { $type: 'string' } } }
+);
+promotionSchema.index({ restaurant: 1, isActive: 1 });
+
+// Pre-validate middleware to check the promotion rules are consistent
+promotionSchema.pre('validate', function(next) {
+  if (this.type !== 'fixed' && this.value > 100) {
+    this.invalidate('value', 'El porcentaje no puede ser mayor a 100');
+  }
+
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Debe indicar cuántos se compran y cuántos se llevan');
+  }
+
+  if (this.scope === 'items' && this.menuItems.length === 0) {
+    this.invalidate('menuItems', 'Debe indicar los productos de la promoción');
+  }
+
+  if (this.scope === 'categories' && this.categories.length === 0) {
+    this.invalidate('categories', 'Debe indicar las categorías de la promoción');
+  }
+
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'La fecha de fin no puede ser anterior a la de inicio');
+  }
+  next();
+});
+
+// Helper to build errors the routes can return as they are; errors about a coupon carry its code
+const promotionError = (message, coupon) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  if (coupon) error.coupon = coupon;
+  return error;
+};
+
+// Instance method to check the promotion is in effect at a date (coupon uses are checked when redeemed)
+promotionSchema.methods.isValidAt = function(date = new Date()) {
+  if (this.startDate && date < this.startDate) return false;
+  if (this.endDate && date > this.endDate) return false;
+  return true;
+};
+
+// Instance method to calculate the discount on the eligible order lines.
+// `lines` are { menuItem, category, quantity, totalPrice } with the category ids of the promotion expanded.
+promotionSchema.methods.calculateDiscount = function(lines, categoryIds = []) {
+  const eligible = lines.filter(line => {
+    if (this.scope === 'items') {
+      return this.menuItems.some(id => line.menuItem && id.equals(line.menuItem));
+    }
+    if (this.scope === 'categories') {
+      return categoryIds.some(id => line.category && id.equals(line.category));
+    }
+    return true;
+  });
+
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.totalPrice, 0);
+  if (eligibleTotal <= 0) return 0;
+
+  switch (this.type) {
+    case 'percentage':
+      return eligibleTotal * this.value / 100;
+    case 'fixed':
+      return Math.min(this.value, eligibleTotal);
+    case 'buy_x_get_y': {
+      // The cheapest units of each group are the ones given away
+      const unitPrices = eligible
+        .flatMap(line => Array(line.quantity).fill(line.totalPrice / line.quantity))
+        .sort((a, b) => a - b);
+      const freeUnits = Math.floor(unitPrices.length / (this.buyQuantity + this.getQuantity)) * this.getQuantity;
+      return unitPrices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0) * this.value / 100;
+    }
+    default:
+      return 0;
+  }
+};
+
+// Static method to evaluate the automatic promotions and the coupons sent for the order items.
+// Bundle components are left out, the bundle price is already a deal. Returns the order promotions
+// ({ promotion, name, code, type, amount }) or throws when a coupon cannot be used.
+promotionSchema.statics.evaluate = async function(restaurantId, items, codes = [], date = new Date()) {
+  const lines = items.filter(item => !item.bundleLine);
+  const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+  const menuItems = await mongoose.model('MenuItem').find({
+    _id: { $in: lines.map(line => line.menuItem).filter(Boolean) }
+  }).select('category');
+  const categoryByMenuItem = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem.category]));
+  const orderLines = lines.map(line => ({
+    menuItem: line.menuItem,
+    category: line.menuItem ? categoryByMenuItem.get(line.menuItem.toString()) : undefined,
+    quantity: line.quantity,
+    totalPrice: line.totalPrice
+  }));
+
+  const normalizedCodes = [...new Set(codes.map(code => code.trim().toUpperCase()))];
+  const promotions = await this.find({
+    restaurant: restaurantId,
+    isActive: true,
+    $or: [{ code: null }, { code: { $in: normalizedCodes } }]
+  });
+
+  for (const code of normalizedCodes) {
+    const coupon = promotions.find(promotion => promotion.code === code);
+    if (!coupon) {
+      throw promotionError(`Cupón ${code} no existe`, code);
+    }
+    if (!coupon.isValidAt(date)) {
+      throw promotionError(`Cupón ${code} vencido`, code);
+    }
+    if (subtotal < coupon.minSubtotal) {
+      throw promotionError(`Cupón ${code} requiere un pedido mínimo de ${coupon.minSubtotal}`, code);
+    }
+  }
+
+  const applied = [];
+  for (const promotion of promotions) {
+    if (!promotion.isValidAt(date) || subtotal < promotion.minSubtotal) continue;
+
+    const categoryIds = [];
+    for (const categoryId of promotion.categories) {
+      categoryIds.push(...await mongoose.model('Category').getDescendantIds(restaurantId, categoryId));
+    }
+
+    const amount = promotion.calculateDiscount(orderLines, categoryIds);
+    if (amount <= 0) {
+      if (promotion.code) {
+        throw promotionError(`Cupón ${promotion.code} no aplica a los productos del pedido`, promotion.code);
+      }
+      continue;
+    }
+
+    applied.push({
+      promotion: promotion._id,
+      name: promotion.name,
+      code: promotion.code,
+      type: promotion.type,
+      amount
+    });
+  }
+
+  return applied;
+};
+
+// Static method to count the uses of the coupons of an order.
+// Fails when a coupon reached its limit in the meantime, releasing the uses already counted.
+promotionSchema.statics.redeem = async function(orderPromotions) {
+  const redeemed = [];
+
+  for (const entry of orderPromotions) {
+    if (!entry.promotion || !entry.code) continue;
+
+    const promotion = await this.findOneAndUpdate(
+      {
+        _id: entry.promotion,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true }
+    );
+
+    if (!promotion) {
+      await this.release(redeemed);
+      throw promotionError(`Cupón ${entry.code} agotado`);
+    }
+    redeemed.push(entry);
+  }
+};
+
+// Static method to give back the uses of the coupons of an order (cancelled or removed)
+promotionSchema.statics.release = async function(orderPromotions) {
+  for (const entry of orderPromotions) {
+    if (!entry.promotion || !entry.code) continue;
+
+    await this.updateOne(
+      { _id: entry.promotion, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } }
+    );
+  }
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
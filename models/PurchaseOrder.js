@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Purchase unit of the quantities and cost of the line (e.g. caja)
+  unit: {
+    type: String,
+    enum: ['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']
+  },
+  quantityOrdered: {
+    type: Number,
+    required: [true, 'La cantidad pedida es requerida'],
+    min: [0, 'La cantidad pedida no puede ser negativa']
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: [0, 'La cantidad recibida no puede ser negativa']
+  },
+  unitCost: {
+    type: Number,
+    required: [true, 'El costo unitario es requerido'],
+    min: [0, 'El costo unitario no puede ser negativo']
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Quantity still pending to be received for each line
+purchaseOrderLineSchema.virtual('quantityOutstanding').get(function() {
+  return Math.max(0, this.quantityOrdered - this.quantityReceived);
+});
+
+const receiptSchema = new mongoose.Schema({
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lines: [{
+    _id: false,
+    line: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, 'La cantidad recibida no puede ser negativa']
+    },
+    unitCost: {
+      type: Number,
+      required: true,
+      min: [0, 'El costo unitario no puede ser negativo']
+    },
+    lotNumber: {
+      type: String,
+      trim: true
+    },
+    expiresAt: {
+      type: Date
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'El proveedor es requerido']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled'],
+    default: 'draft'
+  },
+  lines: {
+    type: [purchaseOrderLineSchema],
+    validate: {
+      validator: (lines) => lines.length > 0,
+      message: 'La orden de compra debe tener al menos una línea'
+    }
+  },
+  receipts: [receiptSchema],
+  total: {
+    type: Number,
+    default: 0,
+    min: [0, 'El total no puede ser negativo']
+  },
+  expectedDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+  sentAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better performance
+purchaseOrderSchema.index({ restaurant: 1, poNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ restaurant: 1, supplier: 1, status: 1 });
+
+// Statuses in which the purchase order is still waiting for goods
+purchaseOrderSchema.statics.OPEN_STATUSES = ['sent', 'partially_received'];
+
+// Pre-save middleware to calculate totals
+purchaseOrderSchema.pre('save', function(next) {
+  this.total = this.lines.reduce((sum, line) => sum + line.quantityOrdered * line.unitCost, 0);
+
+  // Generate purchase order number if not exists
+  if (!this.poNumber) {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    this.poNumber = `OC-${year}${month}${day}${random}`;
+  }
+
+  next();
+});
+
+// Static method to get open purchase orders, optionally for one supplier
+purchaseOrderSchema.statics.getOpenOrders = function(restaurantId, supplierId) {
+  const filter = {
+    restaurant: restaurantId,
+    status: { $in: this.OPEN_STATUSES },
+    isActive: true
+  };
+
+  if (supplierId) {
+    filter.supplier = supplierId;
+  }
+
+  return this.find(filter).sort({ expectedDate: 1, createdAt: 1 });
+};
+
+// Helper to build errors the routes can return as they are
+const transitionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Instance method to mark the purchase order as sent to the supplier
+purchaseOrderSchema.methods.send = function() {
+  if (this.status !== 'draft') {
+    throw transitionError('Solo se pueden enviar órdenes de compra en borrador');
+  }
+
+  this.status = 'sent';
+  this.sentAt = new Date();
+  return this.save();
+};
+
+// Instance method to receive goods. Each received line increments stock and updates the item cost.
+// Every line is checked (quantities of a line received several times add up) and converted to the
+// stock unit before touching the stock, and the stock and the receipt are written in one transaction.
+purchaseOrderSchema.methods.receive = async function(receivedLines, userId, notes) {
+  if (!this.constructor.OPEN_STATUSES.includes(this.status)) {
+    throw transitionError('Solo se pueden recibir órdenes de compra enviadas o parcialmente recibidas');
+  }
+
+  const InventoryItem = mongoose.model('InventoryItem');
+
+  // Validate every line before touching the stock
+  const receiptLines = [];
+  const receivedByLine = new Map();
+  const itemsById = new Map();
+  for (const received of receivedLines) {
+    const line = this.lines.id(received.lineId);
+
+    if (!line) {
+      throw transitionError(`Línea ${received.lineId} no encontrada en la orden de compra`);
+    }
+
+    const lineReceived = (receivedByLine.get(line._id.toString()) || 0) + received.quantity;
+    if (lineReceived > line.quantityOutstanding) {
+      throw transitionError(`La cantidad recibida de ${line.name} excede la pendiente (${line.quantityOutstanding})`);
+    }
+    receivedByLine.set(line._id.toString(), lineReceived);
+
+    const itemId = line.inventoryItem.toString();
+    if (!itemsById.has(itemId)) {
+      itemsById.set(itemId, await InventoryItem.findById(line.inventoryItem));
+    }
+    const item = itemsById.get(itemId);
+    if (!item) {
+      throw transitionError(`El producto de ${line.name} ya no existe en el inventario`);
+    }
+
+    receiptLines.push({
+      line,
+      item,
+      quantity: received.quantity,
+      unitCost: received.unitCost !== undefined ? received.unitCost : line.unitCost,
+      // Received quantities and costs are in the purchase unit of the line (throws if not convertible)
+      stockUnitsPerUnit: item.toStockQuantity(1, line.unit),
+      lotNumber: received.lotNumber,
+      expiresAt: received.expiresAt
+    });
+  }
+
+  receiptLines.forEach(receiptLine => {
+    receiptLine.line.quantityReceived += receiptLine.quantity;
+  });
+
+  this.receipts.push({
+    receivedBy: userId,
+    notes,
+    lines: receiptLines.map(receiptLine => ({
+      line: receiptLine.line._id,
+      inventoryItem: receiptLine.line.inventoryItem,
+      quantity: receiptLine.quantity,
+      unitCost: receiptLine.unitCost,
+      lotNumber: receiptLine.lotNumber,
+      expiresAt: receiptLine.expiresAt
+    }))
+  });
+
+  const fullyReceived = this.lines.every(line => line.quantityOutstanding === 0);
+  this.status = fullyReceived ? 'received' : 'partially_received';
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      for (const receiptLine of receiptLines) {
+        await InventoryItem.adjustStock(receiptLine.item._id, receiptLine.quantity * receiptLine.stockUnitsPerUnit, {
+          type: 'receiving',
+          user: userId,
+          purchaseOrder: this._id,
+          notes: `Recepción ${this.poNumber}`
+        }, {
+          costPrice: receiptLine.unitCost / receiptLine.stockUnitsPerUnit,
+          lot: { lotNumber: receiptLine.lotNumber, expiresAt: receiptLine.expiresAt },
+          session
+        });
+      }
+
+      await this.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return this;
+};
+
+// Instance method to close the purchase order, even if some quantities were never delivered
+purchaseOrderSchema.methods.close = function() {
+  if (!['partially_received', 'received'].includes(this.status)) {
+    throw transitionError('Solo se pueden cerrar órdenes de compra recibidas o parcialmente recibidas');
+  }
+
+  this.status = 'closed';
+  this.closedAt = new Date();
+  return this.save();
+};
+
+// Instance method to cancel a purchase order that hasn't received goods
+purchaseOrderSchema.methods.cancel = function() {
+  if (!['draft', 'sent'].includes(this.status)) {
+    throw transitionError('Solo se pueden cancelar órdenes de compra en borrador o enviadas');
+  }
+
+  this.status = 'cancelled';
+  this.closedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
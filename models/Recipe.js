@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const recipeIngredientSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: [true, 'El ingrediente es requerido']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'La cantidad del ingrediente es requerida'],
+    min: [0, 'La cantidad del ingrediente no puede ser negativa']
+  },
+  unit: {
+    type: String,
+    required: [true, 'La unidad del ingrediente es requerida'],
+    enum: ['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']
+  }
+}, { _id: false });
+
+const recipeSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: [true, 'El producto es requerido']
+  },
+  ingredients: {
+    type: [recipeIngredientSchema],
+    validate: {
+      validator: (ingredients) => ingredients.length > 0,
+      message: 'La receta debe tener al menos un ingrediente'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Only one active recipe per product
+recipeSchema.index(
+  { restaurant: 1, product: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Static method to explode order items into the stock they consume.
+// Items with an active recipe consume their ingredients, the rest consume themselves.
+// Modifiers with stock impact add (or take out) stock for each unit of the item.
+recipeSchema.statics.explodeItems = async function(restaurantId, items) {
+  const productIds = items.map(item => item.inventoryItem);
+
+  const recipes = await this.find({
+    restaurant: restaurantId,
+    product: { $in: productIds },
+    isActive: true
+  }).populate('ingredients.inventoryItem', 'name unit unitConversions');
+
+  const recipesByProduct = new Map(
+    recipes.map(recipe => [recipe.product.toString(), recipe])
+  );
+
+  const consumption = new Map();
+  const addConsumption = (inventoryItemId, quantity) => {
+    const key = inventoryItemId.toString();
+    const current = consumption.get(key) || 0;
+    consumption.set(key, current + quantity);
+  };
+
+  for (const item of items) {
+    const productId = (item.inventoryItem._id || item.inventoryItem).toString();
+    const recipe = recipesByProduct.get(productId);
+
+    if (!recipe) {
+      addConsumption(productId, item.quantity);
+      continue;
+    }
+
+    for (const ingredient of recipe.ingredients) {
+      if (!ingredient.inventoryItem) continue; // Ingredient was removed
+
+      const perUnit = ingredient.inventoryItem.toStockQuantity(ingredient.quantity, ingredient.unit);
+      addConsumption(ingredient.inventoryItem._id, perUnit * item.quantity);
+    }
+  }
+
+  for (const item of items) {
+    for (const modifier of item.modifiers || []) {
+      if (!modifier.inventoryItem || !modifier.stockQuantity) continue;
+      addConsumption(modifier.inventoryItem, modifier.stockQuantity * modifier.quantity * item.quantity);
+    }
+  }
+
+  // Removed ingredients never give back more than the item consumes
+  return Array.from(consumption, ([inventoryItem, quantity]) => ({
+    inventoryItem: new mongoose.Types.ObjectId(inventoryItem),
+    quantity: Math.round(quantity * 1e6) / 1e6
+  })).filter(entry => entry.quantity > 0);
+};
+
+// Static method to find stock shortages for a set of order items
+recipeSchema.statics.checkAvailability = async function(restaurantId, items) {
+  const consumption = await this.explodeItems(restaurantId, items);
+
+  const stockItems = await mongoose.model('InventoryItem').find({
+    _id: { $in: consumption.map(entry => entry.inventoryItem) },
+    restaurant: restaurantId
+  }).select('name quantity unit isActive');
+
+  const stockById = new Map(stockItems.map(item => [item._id.toString(), item]));
+
+  const shortages = [];
+  for (const entry of consumption) {
+    const stockItem = stockById.get(entry.inventoryItem.toString());
+    const available = stockItem && stockItem.isActive ? stockItem.quantity : 0;
+
+    if (available < entry.quantity) {
+      shortages.push({
+        inventoryItem: entry.inventoryItem,
+        name: stockItem ? stockItem.name : entry.inventoryItem.toString(),
+        unit: stockItem ? stockItem.unit : undefined,
+        available,
+        required: entry.quantity
+      });
+    }
+  }
+
+  return shortages;
+};
+
+module.exports = mongoose.model('Recipe', recipeSchema);
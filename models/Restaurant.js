@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Fixed rates of the tax classes other than the general IVA
+const TAX_CLASS_RATES = {
+  iva_reducido: 0.05,
+  exento: 0,
+  impoconsumo: 0.08
+};
+
 const restaurantSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -94,11 +101,17 @@ const restaurantSchema = new mongoose.Schema({
         isOpen: { type: Boolean, default: true }
       }
     },
+    // General IVA rate (tax class iva_general)
     taxRate: {
       type: Number,
       default: 0.19,
       min: 0,
       max: 1
+    },
+    // Menu prices already include taxes (tax is taken out of them instead of added)
+    pricesIncludeTax: {
+      type: Boolean,
+      default: true
     }
   },
   isActive: {
@@ -113,6 +126,12 @@ const restaurantSchema = new mongoose.Schema({
 restaurantSchema.index({ name: 1 });
 restaurantSchema.index({ 'contact.email': 1 });
 
+// Instance method to get the rate of a tax class; the general IVA uses the restaurant rate
+restaurantSchema.methods.taxRateFor = function(taxClass = 'iva_general') {
+  if (taxClass === 'iva_general') return this.settings.taxRate;
+  return TAX_CLASS_RATES[taxClass];
+};
+
 // Remove password from JSON output
 restaurantSchema.methods.toJSON = function() {
   const restaurantObject = this.toObject();
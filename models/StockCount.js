@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+
+const countEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'La cantidad contada es requerida'],
+    min: [0, 'La cantidad contada no puede ser negativa']
+  },
+  countedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const stockCountLineSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  unit: {
+    type: String
+  },
+  // System quantity frozen when the count was opened
+  expectedQuantity: {
+    type: Number,
+    required: true
+  },
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  counts: [countEntrySchema],
+  countedQuantity: {
+    type: Number
+  },
+  variance: {
+    type: Number
+  },
+  varianceValue: {
+    type: Number
+  }
+});
+
+const stockCountSchema = new mongoose.Schema({
+  // Counted category (with its sub-categories), all products when empty
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'review', 'approved', 'cancelled'],
+    default: 'open'
+  },
+  lines: [stockCountLineSchema],
+  snapshotAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: {
+    type: Date
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+stockCountSchema.index({ restaurant: 1, status: 1, createdAt: -1 });
+
+// Pre-save middleware to calculate counted quantities and variances
+stockCountSchema.pre('save', function(next) {
+  this.lines.forEach(line => {
+    if (line.counts.length === 0) {
+      line.countedQuantity = undefined;
+      line.variance = undefined;
+      line.varianceValue = undefined;
+      return;
+    }
+
+    line.countedQuantity = line.counts.reduce((sum, entry) => sum + entry.quantity, 0);
+    line.variance = line.countedQuantity - line.expectedQuantity;
+    line.varianceValue = line.variance * line.unitCost;
+  });
+
+  next();
+});
+
+// Helper to build errors the routes can return as they are
+const countError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Static method to open a count, snapshotting the system quantities
+stockCountSchema.statics.openCount = async function(restaurantId, userId, { category, notes } = {}) {
+  const Category = mongoose.model('Category');
+
+  if (category) {
+    const exists = await Category.exists({ _id: category, restaurant: restaurantId, isActive: true });
+    if (!exists) {
+      throw countError('Categoría no encontrada');
+    }
+  }
+
+  const categoryIds = category ? await Category.getDescendantIds(restaurantId, category) : null;
+
+  // Counts overlap when they cover all products or one category contains the other
+  const openCounts = await this.find({
+    restaurant: restaurantId,
+    status: { $in: ['open', 'review'] },
+    isActive: true
+  }).select('category');
+
+  for (const openCount of openCounts) {
+    let overlaps = !categoryIds || !openCount.category;
+    if (!overlaps) {
+      const openCategoryIds = await Category.getDescendantIds(restaurantId, openCount.category);
+      overlaps = openCategoryIds.some(id => categoryIds.some(categoryId => categoryId.equals(id)));
+    }
+
+    if (overlaps) {
+      throw countError('Ya existe un conteo de inventario en curso para estos productos');
+    }
+  }
+
+  const filter = { restaurant: restaurantId, isActive: true };
+  if (categoryIds) {
+    filter.category = { $in: categoryIds };
+  }
+
+  const items = await mongoose.model('InventoryItem').find(filter).sort({ name: 1 });
+
+  return this.create({
+    category,
+    notes,
+    restaurant: restaurantId,
+    openedBy: userId,
+    snapshotAt: new Date(),
+    lines: items.map(item => ({
+      inventoryItem: item._id,
+      name: item.name,
+      unit: item.unit,
+      expectedQuantity: item.quantity,
+      unitCost: item.costPrice
+    }))
+  });
+};
+
+// Instance method to record counted quantities. A new count by the same user and
+// location replaces the previous one; counts of different users/locations add up.
+stockCountSchema.methods.recordCounts = function(counts, userId) {
+  if (this.status !== 'open') {
+    throw countError('Solo se pueden registrar conteos en un conteo abierto');
+  }
+
+  for (const count of counts) {
+    const line = this.lines.find(l => l.inventoryItem.toString() === count.inventoryItem.toString());
+
+    if (!line) {
+      throw countError(`El producto ${count.inventoryItem} no pertenece a este conteo`);
+    }
+
+    const location = count.location || '';
+    const existing = line.counts.find(entry =>
+      entry.user.toString() === userId.toString() && entry.location === location
+    );
+
+    if (existing) {
+      existing.quantity = count.quantity;
+      existing.countedAt = new Date();
+    } else {
+      line.counts.push({ user: userId, location, quantity: count.quantity });
+    }
+  }
+
+  return this.save();
+};
+
+// Instance method to send the count to review
+stockCountSchema.methods.submit = function(userId) {
+  if (this.status !== 'open') {
+    throw countError('Solo se pueden enviar a revisión conteos abiertos');
+  }
+
+  this.status = 'review';
+  this.submittedBy = userId;
+  this.submittedAt = new Date();
+  return this.save();
+};
+
+// Instance method to summarise the variances of the count
+stockCountSchema.methods.getVarianceReport = function() {
+  const countedLines = this.lines.filter(line => line.counts.length > 0);
+  const varianceLines = countedLines.filter(line => line.variance !== 0);
+
+  return {
+    totalLines: this.lines.length,
+    countedLines: countedLines.length,
+    uncountedLines: this.lines.length - countedLines.length,
+    linesWithVariance: varianceLines.length,
+    shrinkageValue: varianceLines
+      .filter(line => line.variance < 0)
+      .reduce((sum, line) => sum + line.varianceValue, 0),
+    surplusValue: varianceLines
+      .filter(line => line.variance > 0)
+      .reduce((sum, line) => sum + line.varianceValue, 0),
+    netVarianceValue: varianceLines.reduce((sum, line) => sum + line.varianceValue, 0),
+    lines: varianceLines.map(line => ({
+      inventoryItem: line.inventoryItem,
+      name: line.name,
+      unit: line.unit,
+      expectedQuantity: line.expectedQuantity,
+      countedQuantity: line.countedQuantity,
+      variance: line.variance,
+      unitCost: line.unitCost,
+      varianceValue: line.varianceValue
+    }))
+  };
+};
+
+// Instance method to approve the count and post the variances as stock adjustments.
+// Variances are applied as deltas so sales made during the count are kept.
+stockCountSchema.methods.approve = async function(userId) {
+  if (this.status !== 'review') {
+    throw countError('Solo se pueden aprobar conteos en revisión');
+  }
+
+  const InventoryItem = mongoose.model('InventoryItem');
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      for (const line of this.lines) {
+        if (line.counts.length === 0 || line.variance === 0) continue;
+
+        await InventoryItem.adjustStock(line.inventoryItem, line.variance, {
+          type: 'adjustment',
+          user: userId,
+          stockCount: this._id,
+          notes: 'Ajuste por conteo de inventario'
+        }, { session });
+      }
+
+      this.status = 'approved';
+      this.approvedBy = userId;
+      this.approvedAt = new Date();
+      await this.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return this;
+};
+
+// Instance method to cancel the count without touching the stock
+stockCountSchema.methods.cancel = function() {
+  if (!['open', 'review'].includes(this.status)) {
+    throw countError('Solo se pueden cancelar conteos abiertos o en revisión');
+  }
+
+  this.status = 'cancelled';
+  return this.save();
+};
+
+module.exports = mongoose.model('StockCount', stockCountSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const stockLotSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  lotNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'El número de lote no puede exceder 50 caracteres']
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date
+  },
+  unitCost: {
+    type: Number,
+    required: [true, 'El costo del lote es requerido'],
+    min: [0, 'El costo del lote no puede ser negativo']
+  },
+  initialQuantity: {
+    type: Number,
+    required: [true, 'La cantidad del lote es requerida'],
+    min: [0, 'La cantidad del lote no puede ser negativa']
+  },
+  remainingQuantity: {
+    type: Number,
+    required: true,
+    min: [0, 'La cantidad restante no puede ser negativa']
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  // When the lot was announced as expiring, so it is announced only once
+  expiryNotifiedAt: {
+    type: Date
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+stockLotSchema.index({ restaurant: 1, inventoryItem: 1, remainingQuantity: 1 });
+stockLotSchema.index({ restaurant: 1, expiresAt: 1 });
+
+// Static method to take stock from the lots of an item, first-expiring-first-out.
+// Lots without expiry date are consumed last, oldest received first.
+// Returns the quantity taken from each lot with the lot unit cost.
+stockLotSchema.statics.consume = async function(inventoryItemId, quantity, session) {
+  const lots = await this.find({
+    inventoryItem: inventoryItemId,
+    remainingQuantity: { $gt: 0 }
+  }).session(session || null);
+
+  lots.sort((a, b) => {
+    const aExpiry = a.expiresAt ? a.expiresAt.getTime() : Infinity;
+    const bExpiry = b.expiresAt ? b.expiresAt.getTime() : Infinity;
+    return aExpiry - bExpiry || a.receivedAt - b.receivedAt;
+  });
+
+  const allocations = [];
+  let pending = quantity;
+
+  for (const lot of lots) {
+    if (pending <= 0) break;
+
+    const take = Math.min(pending, lot.remainingQuantity);
+    const updated = await this.findOneAndUpdate(
+      { _id: lot._id, remainingQuantity: { $gte: take } },
+      { $inc: { remainingQuantity: -take } },
+      { session }
+    );
+
+    // Lot was consumed concurrently, try the next one
+    if (!updated) continue;
+
+    allocations.push({ lot: lot._id, quantity: take, unitCost: lot.unitCost });
+    pending -= take;
+  }
+
+  return allocations;
+};
+
+// Static method to give back stock to the lots it was taken from
+stockLotSchema.statics.restore = async function(allocations, session) {
+  for (const allocation of allocations) {
+    await this.updateOne(
+      { _id: allocation.lot },
+      { $inc: { remainingQuantity: allocation.quantity } },
+      { session }
+    );
+  }
+};
+
+// Static method to get lots with stock expiring within the given days (or already expired)
+stockLotSchema.statics.getExpiringLots = function(restaurantId, days) {
+  const limitDate = new Date();
+  limitDate.setDate(limitDate.getDate() + days);
+
+  const filter = {
+    remainingQuantity: { $gt: 0 },
+    expiresAt: { $ne: null, $lte: limitDate }
+  };
+
+  if (restaurantId) {
+    filter.restaurant = restaurantId;
+  }
+
+  return this.find(filter).sort({ expiresAt: 1 });
+};
+
+// Static method to get the lots that entered the expiry window since the last check, of the given
+// restaurants, and mark them as notified. Only restaurants with a screen connected are passed, so
+// lots are not marked when nobody received the alert
+stockLotSchema.statics.takeNewlyExpiring = async function(days, restaurantIds) {
+  if (restaurantIds.length === 0) return [];
+
+  const lots = await this.getExpiringLots(null, days)
+    .where({ expiryNotifiedAt: null, restaurant: { $in: restaurantIds } })
+    .populate('inventoryItem', 'name unit');
+
+  if (lots.length > 0) {
+    await this.updateMany(
+      { _id: { $in: lots.map(lot => lot._id) } },
+      { expiryNotifiedAt: new Date() }
+    );
+  }
+
+  return lots;
+};
+
+module.exports = mongoose.model('StockLot', stockLotSchema);
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+
+const stockMovementSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'El tipo de movimiento es requerido'],
+    enum: [
+      'sale',
+      'cancellation_restore',
+      'manual_set',
+      'manual_add',
+      'manual_subtract',
+      'adjustment',
+      'waste',
+      'receiving'
+    ]
+  },
+  // Signed change applied to the stock (negative for outgoing stock)
+  quantity: {
+    type: Number,
+    required: true
+  },
+  quantityBefore: {
+    type: Number,
+    required: true
+  },
+  quantityAfter: {
+    type: Number,
+    required: true
+  },
+  // Cost per unit of the item when the movement happened
+  unitCost: {
+    type: Number,
+    min: [0, 'El costo unitario no puede ser negativo']
+  },
+  reason: {
+    type: String,
+    enum: ['expired', 'damaged', 'preparation_error', 'staff_meal']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  stockCount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockCount'
+  },
+  // Lots the stock was taken from or added to
+  lots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLot'
+    },
+    quantity: {
+      type: Number
+    },
+    unitCost: {
+      type: Number
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better performance
+stockMovementSchema.index({ restaurant: 1, inventoryItem: 1, createdAt: -1 });
+stockMovementSchema.index({ restaurant: 1, type: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+// The ledger is append-only: movements can't be modified or removed
+const rejectChange = function(next) {
+  next(new Error('Los movimientos de inventario no se pueden modificar ni eliminar'));
+};
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  stockMovementSchema.pre(operation, rejectChange);
+});
+
+// Static method to get the movements of an item in a date range
+stockMovementSchema.statics.getItemMovements = function(restaurantId, inventoryItemId, startDate, endDate) {
+  const filter = {
+    restaurant: restaurantId,
+    inventoryItem: inventoryItemId
+  };
+
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = startDate;
+    if (endDate) filter.createdAt.$lte = endDate;
+  }
+
+  return this.find(filter).sort({ createdAt: -1 });
+};
+
+// Static method to summarise waste cost by reason, category and day
+stockMovementSchema.statics.getWasteSummary = async function(restaurantId, startDate, endDate) {
+  const match = {
+    restaurant: restaurantId,
+    type: 'waste',
+    createdAt: { $gte: startDate, $lte: endDate }
+  };
+  const cost = { $multiply: [{ $abs: '$quantity' }, { $ifNull: ['$unitCost', 0] }] };
+
+  const [totals, byReason, byCategory, byDay] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          totalCost: { $sum: cost },
+          totalEntries: { $sum: 1 }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$reason',
+          totalCost: { $sum: cost },
+          totalEntries: { $sum: 1 }
+        }
+      },
+      { $sort: { totalCost: -1 } }
+    ]),
+    this.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: 'inventoryitems',
+          localField: 'inventoryItem',
+          foreignField: '_id',
+          as: 'item'
+        }
+      },
+      { $unwind: '$item' },
+      {
+        $group: {
+          _id: '$item.category',
+          totalCost: { $sum: cost },
+          totalEntries: { $sum: 1 }
+        }
+      },
+      ...mongoose.model('Category').lookupStages(),
+      { $sort: { totalCost: -1 } }
+    ]),
+    this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          totalCost: { $sum: cost },
+          totalEntries: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  return {
+    totalCost: totals[0] ? totals[0].totalCost : 0,
+    totalEntries: totals[0] ? totals[0].totalEntries : 0,
+    byReason,
+    byCategory,
+    byDay
+  };
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del proveedor es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  taxId: {
+    type: String,
+    trim: true
+  },
+  contact: {
+    name: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  leadTimeDays: {
+    type: Number,
+    min: [0, 'El tiempo de entrega no puede ser negativo'],
+    default: 2
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las notas no pueden exceder 500 caracteres']
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+supplierSchema.index({ restaurant: 1, isActive: 1, name: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+
+const STATUS_LABELS = {
+  free: 'libre',
+  occupied: 'ocupada',
+  reserved: 'reservada',
+  needs_cleaning: 'por limpiar'
+};
+
+const tableSchema = new mongoose.Schema({
+  // What the staff calls the table, shown on tickets as the order tableNumber
+  number: {
+    type: String,
+    required: [true, 'El número de mesa es requerido'],
+    trim: true,
+    maxlength: [10, 'El número de mesa no puede exceder 10 caracteres']
+  },
+  area: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Area'
+  },
+  capacity: {
+    type: Number,
+    min: [1, 'La capacidad debe ser al menos 1'],
+    default: 4
+  },
+  // Place on the floor plan, in the units of the plan drawn by the client
+  position: {
+    x: {
+      type: Number,
+      default: 0
+    },
+    y: {
+      type: Number,
+      default: 0
+    },
+    width: {
+      type: Number,
+      min: [0, 'El ancho no puede ser negativo'],
+      default: 1
+    },
+    height: {
+      type: Number,
+      min: [0, 'El alto no puede ser negativo'],
+      default: 1
+    },
+    rotation: {
+      type: Number,
+      default: 0
+    },
+    shape: {
+      type: String,
+      enum: ['square', 'round', 'rectangle'],
+      default: 'square'
+    }
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_LABELS),
+    default: 'free'
+  },
+  // Open orders seated at the table (or at the tables merged into it)
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  occupiedAt: {
+    type: Date
+  },
+  // Set on the tables joined to another one; the orders go to that table
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table'
+  },
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Table numbers are unique per restaurant
+tableSchema.index(
+  { restaurant: 1, number: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+tableSchema.index({ restaurant: 1, area: 1 });
+
+// Helper to build errors the routes can return as they are
+const tableError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Static method to get the table a dine-in order sits at, by id or by number.
+// Merged tables give the table they were joined to. Returns null for a number when the
+// restaurant has no tables (free text table numbers) and throws when it cannot be used.
+tableSchema.statics.resolveForOrder = async function(restaurantId, tableId, tableNumber) {
+  if (!tableId && !tableNumber) return null;
+
+  const filter = { restaurant: restaurantId, isActive: true };
+  let table = await this.findOne(tableId ? { ...filter, _id: tableId } : { ...filter, number: tableNumber });
+
+  if (!table) {
+    if (!tableId && !await this.exists(filter)) return null;
+    throw tableError(`Mesa ${tableNumber || tableId} no encontrada`);
+  }
+
+  if (table.mergedInto) {
+    table = await this.findOne({ ...filter, _id: table.mergedInto });
+    if (!table) {
+      throw tableError('La mesa está unida a una mesa que ya no existe');
+    }
+  }
+
+  if (table.status === 'needs_cleaning') {
+    throw tableError(`Mesa ${table.number} está ${STATUS_LABELS.needs_cleaning}`);
+  }
+
+  return table;
+};
+
+// Instance method to seat an order at the table, which becomes occupied
+tableSchema.methods.occupy = async function(orderId) {
+  if (!this.orders.some(id => id.equals(orderId))) {
+    this.orders.push(orderId);
+  }
+
+  if (this.status !== 'occupied') {
+    this.status = 'occupied';
+    this.occupiedAt = new Date();
+  }
+
+  await this.save();
+  await this.syncMerged();
+  return this;
+};
+
+// Instance method to take an order off the table (paid, cancelled or moved).
+// The table is free when no order is left and the tables merged into it are split again.
+// Returns the ids of the tables that changed.
+tableSchema.methods.release = async function(orderId) {
+  if (!this.orders.some(id => id.equals(orderId))) return [];
+
+  this.orders = this.orders.filter(id => !id.equals(orderId));
+  const changed = [this._id];
+
+  if (this.orders.length === 0) {
+    this.status = 'free';
+    this.occupiedAt = undefined;
+    changed.push(...await this.split());
+  }
+
+  await this.save();
+  return changed;
+};
+
+// Instance method to join other tables to this one for a large party.
+// Their open orders move here; returns the ids of the tables that changed.
+tableSchema.methods.merge = async function(tableIds) {
+  if (this.mergedInto) {
+    throw tableError(`Mesa ${this.number} está unida a otra mesa`);
+  }
+
+  const Table = this.constructor;
+  const tables = await Table.find({
+    _id: { $in: tableIds },
+    restaurant: this.restaurant,
+    isActive: true
+  });
+
+  if (tables.length !== new Set(tableIds.map(id => id.toString())).size) {
+    throw tableError('Mesa no encontrada', 404);
+  }
+
+  for (const table of tables) {
+    if (table._id.equals(this._id)) {
+      throw tableError('Una mesa no puede unirse consigo misma');
+    }
+    if (table.mergedInto && !table.mergedInto.equals(this._id)) {
+      throw tableError(`Mesa ${table.number} ya está unida a otra mesa`);
+    }
+    if (await Table.exists({ mergedInto: table._id, isActive: true })) {
+      throw tableError(`Mesa ${table.number} tiene otras mesas unidas, sepárelas primero`);
+    }
+    if (table.status === 'needs_cleaning') {
+      throw tableError(`Mesa ${table.number} está ${STATUS_LABELS.needs_cleaning}`);
+    }
+  }
+
+  for (const table of tables) {
+    if (table.orders.length > 0) {
+      await mongoose.model('Order').updateMany(
+        { _id: { $in: table.orders } },
+        { table: this._id, tableNumber: this.number }
+      );
+      table.orders.forEach(orderId => {
+        if (!this.orders.some(id => id.equals(orderId))) this.orders.push(orderId);
+      });
+      if (this.status !== 'occupied') {
+        this.status = 'occupied';
+        this.occupiedAt = table.occupiedAt || new Date();
+      }
+    }
+
+    table.orders = [];
+    table.mergedInto = this._id;
+    await table.save();
+  }
+
+  await this.save();
+  await this.syncMerged();
+  return [this._id, ...tables.map(table => table._id)];
+};
+
+// Instance method to split the tables merged into this one, they are free again.
+// Returns the ids of the tables that changed.
+tableSchema.methods.split = async function() {
+  const Table = this.constructor;
+  const merged = await Table.find({ mergedInto: this._id }).select('_id');
+
+  await Table.updateMany(
+    { mergedInto: this._id },
+    { $set: { status: 'free', orders: [] }, $unset: { mergedInto: 1, occupiedAt: 1 } }
+  );
+
+  return merged.map(table => table._id);
+};
+
+// Instance method to copy the status of the table to the tables merged into it
+tableSchema.methods.syncMerged = function() {
+  return this.constructor.updateMany(
+    { mergedInto: this._id },
+    { status: this.status, occupiedAt: this.occupiedAt }
+  );
+};
+
+// Instance method to set the status by hand (reserved, cleaned...); occupied comes from the orders
+tableSchema.methods.setStatus = async function(status) {
+  if (this.mergedInto) {
+    throw tableError(`Mesa ${this.number} está unida a otra mesa, cambie el estado de esa mesa`);
+  }
+
+  if (status === 'occupied') {
+    throw tableError('La mesa se ocupa al abrir un pedido en ella');
+  }
+
+  if (this.orders.length > 0) {
+    throw tableError(`Mesa ${this.number} tiene pedidos abiertos`);
+  }
+
+  this.status = status;
+  this.occupiedAt = undefined;
+  await this.save();
+  await this.syncMerged();
+  return this;
+};
+
+// Static method to send the current state of some tables, and of the tables merged into them,
+// to the floor plan screens. `io` is the Socket.io server of the request.
+tableSchema.statics.broadcast = async function(io, restaurantId, tableIds, type) {
+  const tables = await this.find({
+    $or: [{ _id: { $in: tableIds } }, { mergedInto: { $in: tableIds } }]
+  }).populate('area', 'name');
+
+  io.to(`restaurant-${restaurantId}`).emit('table-updated', {
+    type,
+    tables
+  });
+};
+
+module.exports = mongoose.model('Table', tableSchema);
@@ -3,6 +3,8 @@ const { query, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const CashClose = require('../models/CashClose');
 const InventoryItem = require('../models/InventoryItem');
+const StockMovement = require('../models/StockMovement');
+const Category = require('../models/Category');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -123,8 +125,25 @@ router.get('/sales', [
       },
       { $unwind: '$items' }, // Unwind the items array
       {
+        // Order discount shared across the items in proportion to their price
         $addFields: {
-          itemProfit: { $multiply: [{ $subtract: ['$items.unitPrice', '$items.cost'] }, '$items.quantity'] }
+          itemDiscount: {
+            $cond: [
+              { $gt: ['$subtotal', 0] },
+              { $multiply: ['$discount', { $divide: ['$items.totalPrice', '$subtotal'] }] },
+              0
+            ]
+          }
+        }
+      },
+      {
+        $addFields: {
+          itemProfit: {
+            $subtract: [
+              { $subtract: ['$items.totalPrice', '$itemDiscount'] },
+              { $multiply: ['$items.cost', '$items.quantity'] }
+            ]
+          }
         }
       },
       {
@@ -132,6 +151,7 @@ router.get('/sales', [
           _id: groupFormat,
           totalOrders: { $sum: 1 },
           totalProfit: { $sum: '$itemProfit' }, // Sum itemProfit for totalProfit
+          totalDiscount: { $sum: '$itemDiscount' },
           averageOrderValue: { $avg: '$total' }, // Still use total for average order value
           ordersByStatus: {
             $push: '$status'
@@ -143,7 +163,8 @@ router.get('/sales', [
       }
     ]);
 
-    // Get payment method breakdown
+    // Get payment method breakdown from the payments not refunded (orders without payments count
+    // their whole total with their payment method)
     const paymentBreakdown = await Order.aggregate([
       {
         $match: {
@@ -153,16 +174,34 @@ router.get('/sales', [
           status: { $ne: 'cancelled' }
         }
       },
+      {
+        $project: {
+          tenders: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+              {
+                $filter: {
+                  input: '$payments',
+                  as: 'payment',
+                  cond: { $not: ['$$payment.refundedAt'] }
+                }
+              },
+              [{ method: '$paymentMethod', amount: '$total' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$tenders' },
       {
         $group: {
-          _id: '$paymentMethod',
-          total: { $sum: '$total' },
+          _id: '$tenders.method',
+          total: { $sum: '$tenders.amount' },
           count: { $sum: 1 }
         }
       }
     ]);
 
-    // Get top selling items
+    // Get top selling items (bundle components count with their share of the bundle price)
     const topItems = await Order.aggregate([
       {
         $match: {
@@ -177,19 +216,92 @@ router.get('/sales', [
         $group: {
           _id: '$items.name',
           totalQuantity: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.totalPrice' }
+          totalRevenue: { $sum: '$items.totalPrice' },
+          bundleQuantity: { $sum: { $cond: [{ $ifNull: ['$items.bundleLine', false] }, '$items.quantity', 0] } },
+          bundleRevenue: { $sum: { $cond: [{ $ifNull: ['$items.bundleLine', false] }, '$items.totalPrice', 0] } }
+        }
+      },
+      { $sort: { totalQuantity: -1 } },
+      { $limit: 10 }
+    ]);
+
+    // Get top selling bundles
+    const topBundles = await Order.aggregate([
+      {
+        $match: {
+          restaurant: req.restaurant,
+          createdAt: { $gte: start, $lte: end },
+          isActive: true,
+          status: { $ne: 'cancelled' }
+        }
+      },
+      { $unwind: '$bundles' },
+      {
+        $group: {
+          _id: '$bundles.bundle',
+          name: { $last: '$bundles.name' },
+          totalQuantity: { $sum: '$bundles.quantity' },
+          totalRevenue: { $sum: '$bundles.totalPrice' }
         }
       },
       { $sort: { totalQuantity: -1 } },
       { $limit: 10 }
     ]);
 
+    // Get discount cost by promotion, coupon and manual discounts
+    const discountBreakdown = await Order.aggregate([
+      {
+        $match: {
+          restaurant: req.restaurant,
+          createdAt: { $gte: start, $lte: end },
+          isActive: true,
+          status: { $ne: 'cancelled' }
+        }
+      },
+      { $unwind: '$promotions' },
+      {
+        $group: {
+          _id: { promotion: '$promotions.promotion', type: '$promotions.type' },
+          name: { $last: '$promotions.name' },
+          code: { $last: '$promotions.code' },
+          count: { $sum: 1 },
+          totalAmount: { $sum: '$promotions.amount' }
+        }
+      },
+      { $sort: { totalAmount: -1 } }
+    ]);
+
+    // Get sales by price list (items charged at the menu price have no list)
+    const priceListBreakdown = await Order.aggregate([
+      {
+        $match: {
+          restaurant: req.restaurant,
+          createdAt: { $gte: start, $lte: end },
+          isActive: true,
+          status: { $ne: 'cancelled' }
+        }
+      },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: { $ifNull: ['$items.priceList', null] },
+          name: { $last: '$items.priceListName' },
+          totalQuantity: { $sum: '$items.quantity' },
+          totalRevenue: { $sum: '$items.totalPrice' }
+        }
+      },
+      { $sort: { totalRevenue: -1 } }
+    ]);
+
     res.json({
       status: 'success',
       data: {
         salesData,
         paymentBreakdown,
-        topItems
+        topItems,
+        topBundles,
+        priceListBreakdown,
+        discountBreakdown
       }
     });
   } catch (error) {
@@ -204,8 +316,25 @@ router.get('/sales', [
 // @route   GET /api/analytics/inventory
 // @desc    Get inventory analytics
 // @access  Private
-router.get('/inventory', auth, async (req, res) => {
+router.get('/inventory', [
+  auth,
+  query('startDate').optional().isISO8601().withMessage('Fecha de inicio inválida'),
+  query('endDate').optional().isISO8601().withMessage('Fecha de fin inválida')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    // Waste period defaults to the last 30 days
+    const end = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const start = req.query.startDate ? new Date(req.query.startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
     // Get inventory summary
     const summary = await InventoryItem.getInventorySummary(req.restaurant);
     
@@ -233,6 +362,7 @@ router.get('/inventory', auth, async (req, res) => {
           }
         }
       },
+      ...Category.lookupStages(),
       { $sort: { totalValue: -1 } }
     ]);
 
@@ -243,7 +373,27 @@ router.get('/inventory', auth, async (req, res) => {
     })
     .sort({ lastUpdated: -1 })
     .limit(10)
-    .select('name category quantity lastUpdated');
+    .select('name category quantity lastUpdated')
+    .populate('category', 'name color');
+
+    // Get waste totals and compare them with sales in the same period
+    const wasteSummary = await StockMovement.getWasteSummary(req.restaurant._id, start, end);
+    const salesInPeriod = await Order.aggregate([
+      {
+        $match: {
+          restaurant: req.restaurant._id,
+          createdAt: { $gte: start, $lte: end },
+          status: 'delivered'
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          totalRevenue: { $sum: '$total' }
+        }
+      }
+    ]);
+    const totalRevenue = salesInPeriod[0] ? salesInPeriod[0].totalRevenue : 0;
 
     res.json({
       status: 'success',
@@ -256,7 +406,16 @@ router.get('/inventory', auth, async (req, res) => {
         },
         lowStockItems,
         categoryBreakdown,
-        recentUpdates
+        recentUpdates,
+        waste: {
+          startDate: start,
+          endDate: end,
+          ...wasteSummary,
+          totalRevenue,
+          percentOfSales: totalRevenue > 0
+            ? Math.round(wasteSummary.totalCost / totalRevenue * 10000) / 100
+            : 0
+        }
       }
     });
   } catch (error) {
@@ -370,6 +529,41 @@ router.get('/orders', [
       { $sort: { _id: 1 } }
     ]);
 
+    // Ticket times per course: from order creation to fired and from fired to ready in the kitchen
+    const courseTimes = await Order.aggregate([
+      {
+        $match: {
+          restaurant: req.restaurant,
+          createdAt: { $gte: start, $lte: end },
+          isActive: true
+        }
+      },
+      { $unwind: '$courses' },
+      {
+        $match: {
+          'courses.firedAt': { $ne: null },
+          'courses.readyAt': { $ne: null }
+        }
+      },
+      {
+        $project: {
+          course: '$courses.course',
+          fireDelayMinutes: { $divide: [{ $subtract: ['$courses.firedAt', '$createdAt'] }, 60000] },
+          ticketMinutes: { $divide: [{ $subtract: ['$courses.readyAt', '$courses.firedAt'] }, 60000] }
+        }
+      },
+      {
+        $group: {
+          _id: '$course',
+          count: { $sum: 1 },
+          averageFireDelay: { $avg: '$fireDelayMinutes' },
+          averageTicketTime: { $avg: '$ticketMinutes' },
+          maxTicketTime: { $max: '$ticketMinutes' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
     res.json({
       status: 'success',
       data: {
@@ -382,7 +576,8 @@ router.get('/orders', [
         },
         statusBreakdown,
         typeBreakdown,
-        hourlyDistribution
+        hourlyDistribution,
+        courseTimes
       }
     });
   } catch (error) {
@@ -0,0 +1,207 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Area = require('../models/Area');
+const Table = require('../models/Table');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/areas
+// @desc    Get all areas of the floor plan
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const areas = await Area.find({
+      restaurant: req.restaurant,
+      isActive: true
+    }).sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      status: 'success',
+      data: { areas }
+    });
+  } catch (error) {
+    console.error('Get areas error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/areas
+// @desc    Create area
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('El nombre es requerido y debe tener máximo 50 caracteres'),
+  body('sortOrder').optional().isInt().withMessage('El orden debe ser un número entero')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { name, sortOrder } = req.body;
+
+    const nameError = await validateName(req.restaurant, null, name);
+    if (nameError) {
+      return res.status(400).json({
+        status: 'error',
+        message: nameError
+      });
+    }
+
+    const area = new Area({
+      name,
+      sortOrder,
+      restaurant: req.restaurant
+    });
+    await area.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Área creada exitosamente',
+      data: { area }
+    });
+  } catch (error) {
+    console.error('Create area error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/areas/:id
+// @desc    Update area
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('El nombre debe tener máximo 50 caracteres'),
+  body('sortOrder').optional().isInt().withMessage('El orden debe ser un número entero')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const area = await Area.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!area) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Área no encontrada'
+      });
+    }
+
+    const { name, sortOrder } = req.body;
+
+    if (name !== undefined) {
+      const nameError = await validateName(req.restaurant, area._id, name);
+      if (nameError) {
+        return res.status(400).json({
+          status: 'error',
+          message: nameError
+        });
+      }
+      area.name = name;
+    }
+    if (sortOrder !== undefined) area.sortOrder = sortOrder;
+    await area.save();
+
+    res.json({
+      status: 'success',
+      message: 'Área actualizada exitosamente',
+      data: { area }
+    });
+  } catch (error) {
+    console.error('Update area error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/areas/:id
+// @desc    Delete area without tables
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const area = await Area.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!area) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Área no encontrada'
+      });
+    }
+
+    const hasTables = await Table.exists({
+      restaurant: req.restaurant,
+      area: area._id,
+      isActive: true
+    });
+
+    if (hasTables) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El área tiene mesas, elimínelas o muévalas a otra área primero'
+      });
+    }
+
+    area.isActive = false;
+    await area.save();
+
+    res.json({
+      status: 'success',
+      message: 'Área eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete area error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to check no other area has the same name.
+// Returns an error message or null when the name is free.
+async function validateName(restaurantId, areaId, name) {
+  const existing = await Area.findOne({
+    restaurant: restaurantId,
+    name: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'),
+    isActive: true,
+    ...(areaId && { _id: { $ne: areaId } })
+  });
+
+  if (existing) {
+    return `Ya existe el área ${existing.name}`;
+  }
+
+  return null;
+}
+
+module.exports = router;
@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Restaurant = require('../models/Restaurant');
+const Category = require('../models/Category');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -60,6 +61,7 @@ router.post('/register', [
     });
 
     await restaurant.save();
+    await Category.createDefaults(restaurant._id);
 
     // Create user
     const user = new User({
@@ -0,0 +1,270 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Bundle = require('../models/Bundle');
+const MenuItem = require('../models/MenuItem');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/bundles
+// @desc    Get all bundles
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const bundles = await Bundle.find({
+      restaurant: req.restaurant,
+      isActive: true
+    })
+    .populate('slots.options.menuItem', 'name price channelPrices isAvailable')
+    .sort({ name: 1 });
+
+    res.json({
+      status: 'success',
+      data: { bundles }
+    });
+  } catch (error) {
+    console.error('Get bundles error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/bundles/:id
+// @desc    Get single bundle
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const bundle = await Bundle.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    }).populate('slots.options.menuItem', 'name price channelPrices isAvailable');
+
+    if (!bundle) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Combo no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { bundle }
+    });
+  } catch (error) {
+    console.error('Get bundle error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/bundles
+// @desc    Create bundle
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre es requerido y debe tener máximo 100 caracteres'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
+  body('price').isFloat({ min: 0 }).withMessage('El precio debe ser un número positivo'),
+  body('slots').isArray({ min: 1 }).withMessage('Debe tener al menos una opción'),
+  body('slots.*.name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre de la opción es requerido'),
+  body('slots.*.quantity').optional().isInt({ min: 1 }).withMessage('La cantidad debe ser al menos 1'),
+  body('slots.*.options').isArray({ min: 1 }).withMessage('Cada opción debe tener al menos un producto'),
+  body('slots.*.options.*.menuItem').isMongoId().withMessage('ID de producto del menú inválido'),
+  body('slots.*.options.*.extraPrice').optional().isFloat({ min: 0 }).withMessage('El recargo debe ser un número positivo')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, price, slots } = req.body;
+
+    const slotError = await validateSlots(req.restaurant, slots);
+    if (slotError) {
+      return res.status(400).json({
+        status: 'error',
+        message: slotError
+      });
+    }
+
+    const bundle = new Bundle({
+      name,
+      description,
+      price,
+      slots,
+      restaurant: req.restaurant
+    });
+    await bundle.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Combo creado exitosamente',
+      data: { bundle }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Create bundle error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/bundles/:id
+// @desc    Update bundle (slots sent with their _id keep it)
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre debe tener máximo 100 caracteres'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('El precio debe ser un número positivo'),
+  body('slots').optional().isArray({ min: 1 }).withMessage('Debe tener al menos una opción'),
+  body('slots.*._id').optional().isMongoId().withMessage('ID de opción inválido'),
+  body('slots.*.name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre de la opción es requerido'),
+  body('slots.*.quantity').optional().isInt({ min: 1 }).withMessage('La cantidad debe ser al menos 1'),
+  body('slots.*.options').isArray({ min: 1 }).withMessage('Cada opción debe tener al menos un producto'),
+  body('slots.*.options.*.menuItem').isMongoId().withMessage('ID de producto del menú inválido'),
+  body('slots.*.options.*.extraPrice').optional().isFloat({ min: 0 }).withMessage('El recargo debe ser un número positivo')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const bundle = await Bundle.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!bundle) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Combo no encontrado'
+      });
+    }
+
+    const { name, description, price, slots } = req.body;
+
+    if (slots) {
+      const slotError = await validateSlots(req.restaurant, slots);
+      if (slotError) {
+        return res.status(400).json({
+          status: 'error',
+          message: slotError
+        });
+      }
+      bundle.slots = slots;
+    }
+
+    if (name !== undefined) bundle.name = name;
+    if (description !== undefined) bundle.description = description;
+    if (price !== undefined) bundle.price = price;
+
+    await bundle.save();
+
+    res.json({
+      status: 'success',
+      message: 'Combo actualizado exitosamente',
+      data: { bundle }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Update bundle error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/bundles/:id
+// @desc    Delete bundle
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const bundle = await Bundle.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        restaurant: req.restaurant,
+        isActive: true
+      },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!bundle) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Combo no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Combo eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete bundle error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to check the menu items offered in each slot exist and are not repeated.
+// Returns an error message or null when the slots are valid.
+async function validateSlots(restaurantId, slots) {
+  for (const slot of slots) {
+    const itemIds = (slot.options || []).map(option => option.menuItem.toString());
+
+    if (new Set(itemIds).size !== itemIds.length) {
+      return `${slot.name}: un producto está repetido`;
+    }
+
+    const found = await MenuItem.countDocuments({
+      _id: { $in: itemIds },
+      restaurant: restaurantId,
+      isActive: true
+    });
+
+    if (found !== itemIds.length) {
+      return `${slot.name}: producto no encontrado`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = router;
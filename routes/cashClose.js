@@ -287,11 +287,24 @@ router.put('/:id/close', [
     });
     const totalSalesFromOrders = deliveredOrders.reduce((sum, order) => sum + order.total, 0);
 
+    // Summarise the taxes of the orders by tax class and rate
+    const taxes = new Map();
+    deliveredOrders.forEach(order => {
+      order.taxBreakdown.forEach(tax => {
+        const key = `${tax.taxClass}-${tax.rate}`;
+        const entry = taxes.get(key) || { taxClass: tax.taxClass, rate: tax.rate, base: 0, amount: 0 };
+        entry.base += tax.base;
+        entry.amount += tax.amount;
+        taxes.set(key, entry);
+      });
+    });
+
     // Close cash
     await cashClose.closeCash({
       closingCash,
       cardSales: sales.card,
       totalSalesFromOrders,
+      taxSummary: [...taxes.values()],
       expenses,
       notes
     }, req.user._id);
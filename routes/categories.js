@@ -0,0 +1,298 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Category = require('../models/Category');
+const InventoryItem = require('../models/InventoryItem');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/categories
+// @desc    Get all categories (as a tree with ?tree=true)
+// @access  Private
+router.get('/', [
+  auth,
+  query('tree').optional().isBoolean().withMessage('Tree debe ser booleano')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const categories = req.query.tree === 'true'
+      ? await Category.getTree(req.restaurant)
+      : await Category.find({
+        restaurant: req.restaurant,
+        isActive: true
+      }).sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      status: 'success',
+      data: { categories }
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/categories/:id
+// @desc    Get single category
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    }).populate('parent', 'name color');
+
+    if (!category) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create category
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('El nombre es requerido y debe tener máximo 50 caracteres'),
+  body('parent').optional({ values: 'null' }).isMongoId().withMessage('ID de categoría padre inválido'),
+  body('sortOrder').optional().isInt().withMessage('El orden debe ser un número entero'),
+  body('color').optional().matches(/^#[0-9A-Fa-f]{6}$/).withMessage('El color debe tener formato #RRGGBB'),
+  body('station').optional({ values: 'null' }).trim().matches(/^[A-Za-z0-9_-]{1,30}$/).withMessage('La estación debe tener máximo 30 letras, números, - o _')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { name, parent = null, sortOrder, color, station } = req.body;
+
+    const categoryError = await validatePlacement(req.restaurant, null, name, parent);
+    if (categoryError) {
+      return res.status(400).json({
+        status: 'error',
+        message: categoryError
+      });
+    }
+
+    const category = new Category({
+      name,
+      parent,
+      sortOrder,
+      color,
+      station,
+      restaurant: req.restaurant
+    });
+    await category.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Categoría creada exitosamente',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update category
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('El nombre debe tener máximo 50 caracteres'),
+  body('parent').optional({ values: 'null' }).isMongoId().withMessage('ID de categoría padre inválido'),
+  body('sortOrder').optional().isInt().withMessage('El orden debe ser un número entero'),
+  body('color').optional().matches(/^#[0-9A-Fa-f]{6}$/).withMessage('El color debe tener formato #RRGGBB'),
+  body('station').optional({ values: 'null' }).trim().matches(/^[A-Za-z0-9_-]{1,30}$/).withMessage('La estación debe tener máximo 30 letras, números, - o _')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    const { name, parent, sortOrder, color, station } = req.body;
+    const newName = name !== undefined ? name : category.name;
+    const newParent = parent !== undefined ? parent : category.parent;
+
+    const categoryError = await validatePlacement(req.restaurant, category._id, newName, newParent);
+    if (categoryError) {
+      return res.status(400).json({
+        status: 'error',
+        message: categoryError
+      });
+    }
+
+    category.name = newName;
+    category.parent = newParent;
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+    if (color !== undefined) category.color = color;
+    if (station !== undefined) category.station = station;
+    await category.save();
+
+    res.json({
+      status: 'success',
+      message: 'Categoría actualizada exitosamente',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete category (only when it has no products or sub-categories)
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    const hasChildren = await Category.exists({
+      restaurant: req.restaurant,
+      parent: category._id,
+      isActive: true
+    });
+
+    if (hasChildren) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'La categoría tiene subcategorías, elimínelas o muévalas primero'
+      });
+    }
+
+    const hasItems = await InventoryItem.exists({
+      restaurant: req.restaurant,
+      category: category._id,
+      isActive: true
+    });
+
+    if (hasItems) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'La categoría tiene productos, muévalos a otra categoría primero'
+      });
+    }
+
+    category.isActive = false;
+    await category.save();
+
+    res.json({
+      status: 'success',
+      message: 'Categoría eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to check the parent exists, does not create a cycle and no sibling has the same name.
+// Returns an error message or null when the category can be placed there.
+async function validatePlacement(restaurantId, categoryId, name, parentId) {
+  if (parentId) {
+    const parent = await Category.findOne({
+      _id: parentId,
+      restaurant: restaurantId,
+      isActive: true
+    });
+
+    if (!parent) {
+      return 'Categoría padre no encontrada';
+    }
+
+    if (categoryId) {
+      const descendantIds = await Category.getDescendantIds(restaurantId, categoryId);
+      if (descendantIds.some(id => id.equals(parent._id))) {
+        return 'Una categoría no puede estar dentro de sí misma o de sus subcategorías';
+      }
+    }
+  }
+
+  const sibling = await Category.findOne({
+    restaurant: restaurantId,
+    parent: parentId || null,
+    name: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'),
+    isActive: true,
+    ...(categoryId && { _id: { $ne: categoryId } })
+  });
+
+  if (sibling) {
+    return `Ya existe la categoría ${sibling.name} en ese nivel`;
+  }
+
+  return null;
+}
+
+module.exports = router;
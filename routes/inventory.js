@@ -1,10 +1,30 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const sharp = require('sharp');
 const { body, validationResult, query } = require('express-validator');
 const InventoryItem = require('../models/InventoryItem');
+const StockMovement = require('../models/StockMovement');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const StockLot = require('../models/StockLot');
+const Category = require('../models/Category');
+const ModifierGroup = require('../models/ModifierGroup');
+const Supplier = require('../models/Supplier');
 const { auth, authorize } = require('../middleware/auth');
+const { spreadsheetUpload, imageUpload } = require('../middleware/upload');
+const { getStorage } = require('../storage');
 
 const router = express.Router();
 
+// Columns of the catalogue import/export files, in order
+const CATALOGUE_COLUMNS = [
+  'sku', 'name', 'description', 'category', 'unit', 'quantity', 'minQuantity', 'maxQuantity',
+  'costPrice', 'sellingPrice', 'costingMethod', 'purchaseUnit', 'unitConversions', 'barcodes', 'preferredSupplier'
+];
+const MAX_IMPORT_ROWS = 2000;
+const MAX_IMAGES_PER_ITEM = 5;
+const THUMBNAIL_SIZE = 300;
+
 // @route   GET /api/inventory
 // @desc    Get all inventory items
 // @access  Private
@@ -12,7 +32,7 @@ router.get('/', [
   auth,
   query('page').optional().isInt({ min: 1 }).withMessage('Página debe ser un número positivo'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100'),
-  query('category').optional().isIn(['Bebidas', 'Snacks', 'Comida', 'Postres', 'Ingredientes', 'Otros']).withMessage('Categoría inválida'),
+  query('category').optional().isMongoId().withMessage('Categoría inválida'),
   query('search').optional().trim().isLength({ max: 100 }).withMessage('Búsqueda muy larga'),
   query('lowStock').optional().isBoolean().withMessage('LowStock debe ser booleano')
 ], async (req, res) => {
@@ -36,15 +56,17 @@ router.get('/', [
       isActive: true
     };
 
+    // A category includes the products of its sub-categories
     if (req.query.category) {
-      filter.category = req.query.category;
+      filter.category = { $in: await Category.getDescendantIds(req.restaurant, req.query.category) };
     }
 
     if (req.query.search) {
       filter.$or = [
         { name: { $regex: req.query.search, $options: 'i' } },
         { description: { $regex: req.query.search, $options: 'i' } },
-        { sku: { $regex: req.query.search, $options: 'i' } }
+        { sku: { $regex: req.query.search, $options: 'i' } },
+        { 'barcodes.code': { $regex: req.query.search, $options: 'i' } }
       ];
     }
 
@@ -54,6 +76,7 @@ router.get('/', [
 
     // Get items
     const items = await InventoryItem.find(filter)
+      .populate('category', 'name color parent')
       .sort({ name: 1 })
       .skip(skip)
       .limit(limit);
@@ -91,30 +114,43 @@ router.get('/', [
   }
 });
 
-// @route   GET /api/inventory/:id
-// @desc    Get single inventory item
+// @route   GET /api/inventory/reorder-suggestions
+// @desc    Get suggested purchase quantities grouped by supplier
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/reorder-suggestions', [
+  auth,
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Días debe ser entre 1 y 365')
+], async (req, res) => {
   try {
-    const item = await InventoryItem.findOne({
-      _id: req.params.id,
-      restaurant: req.restaurant,
-      isActive: true
-    });
-
-    if (!item) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Producto no encontrado'
+        message: 'Parámetros inválidos',
+        errors: errors.array()
       });
     }
 
+    const days = parseInt(req.query.days) || 30;
+    const { suggestions, skipped } = await InventoryItem.getReorderSuggestions(req.restaurant._id, days);
+
     res.json({
       status: 'success',
-      data: { item }
+      data: {
+        days,
+        suggestions,
+        skipped
+      }
     });
   } catch (error) {
-    console.error('Get inventory item error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Get reorder suggestions error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Error interno del servidor'
@@ -122,22 +158,15 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/inventory
-// @desc    Create inventory item
+// @route   POST /api/inventory/reorder-suggestions/purchase-orders
+// @desc    Create draft purchase orders from the reorder suggestions
 // @access  Private
-router.post('/', [
+router.post('/reorder-suggestions/purchase-orders', [
   auth,
   authorize('admin', 'manager'),
-  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre es requerido y debe tener máximo 100 caracteres'),
-  body('description').optional().trim().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
-  body('category').isIn(['Bebidas', 'Snacks', 'Comida', 'Postres', 'Ingredientes', 'Otros']).withMessage('Categoría inválida'),
-  body('quantity').isInt({ min: 0 }).withMessage('La cantidad debe ser un número entero no negativo'),
-  body('minQuantity').optional().isInt({ min: 0 }).withMessage('La cantidad mínima debe ser un número entero no negativo'),
-  body('maxQuantity').optional().isInt({ min: 0 }).withMessage('La cantidad máxima debe ser un número entero no negativo'),
-  body('costPrice').isFloat({ min: 0 }).withMessage('El precio de costo debe ser un número no negativo'),
-  body('sellingPrice').isFloat({ min: 0 }).withMessage('El precio de venta debe ser un número no negativo'),
-  body('unit').isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
-  body('sku').optional().trim().isLength({ max: 20 }).withMessage('SKU no puede exceder 20 caracteres')
+  body('days').optional().isInt({ min: 1, max: 365 }).withMessage('Días debe ser entre 1 y 365'),
+  body('suppliers').optional().isArray().withMessage('Proveedores debe ser un array'),
+  body('suppliers.*').optional().isMongoId().withMessage('ID de proveedor inválido')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -149,27 +178,47 @@ router.post('/', [
       });
     }
 
-    const itemData = {
-      ...req.body,
-      restaurant: req.restaurant
-    };
+    const days = parseInt(req.body.days) || 30;
+    const { suggestions } = await InventoryItem.getReorderSuggestions(req.restaurant._id, days);
 
-    const item = new InventoryItem(itemData);
-    await item.save();
+    // Items without a preferred supplier can't be turned into a purchase order
+    const selectedGroups = suggestions.filter(group => group.supplier && (
+      !req.body.suppliers || req.body.suppliers.includes(group.supplier._id.toString())
+    ));
 
-    // Emit real-time update
-    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
-      type: 'created',
-      item
-    });
+    const purchaseOrders = [];
+    for (const group of selectedGroups) {
+      const purchaseOrder = new PurchaseOrder({
+        supplier: group.supplier._id,
+        lines: group.items.map(item => ({
+          inventoryItem: item.inventoryItem,
+          name: item.name,
+          unit: item.purchaseUnit,
+          quantityOrdered: item.purchaseQuantity,
+          unitCost: item.purchaseUnitCost
+        })),
+        notes: 'Generada desde sugerencias de reabastecimiento',
+        createdBy: req.user._id,
+        restaurant: req.restaurant
+      });
+      await purchaseOrder.save();
+      purchaseOrders.push(purchaseOrder);
+    }
 
     res.status(201).json({
       status: 'success',
-      message: 'Producto creado exitosamente',
-      data: { item }
+      message: `${purchaseOrders.length} órdenes de compra creadas en borrador`,
+      data: { purchaseOrders }
     });
   } catch (error) {
-    console.error('Create inventory item error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Create purchase orders from suggestions error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Error interno del servidor'
@@ -177,62 +226,37 @@ router.post('/', [
   }
 });
 
-// @route   PUT /api/inventory/:id
-// @desc    Update inventory item
+// @route   GET /api/inventory/expiring
+// @desc    Get lots expiring within the next days
 // @access  Private
-router.put('/:id', [
+router.get('/expiring', [
   auth,
-  authorize('admin', 'manager'),
-  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre debe tener máximo 100 caracteres'),
-  body('description').optional().trim().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
-  body('category').optional().isIn(['Bebidas', 'Snacks', 'Comida', 'Postres', 'Ingredientes', 'Otros']).withMessage('Categoría inválida'),
-  body('quantity').optional().isInt({ min: 0 }).withMessage('La cantidad debe ser un número entero no negativo'),
-  body('minQuantity').optional().isInt({ min: 0 }).withMessage('La cantidad mínima debe ser un número entero no negativo'),
-  body('maxQuantity').optional().isInt({ min: 0 }).withMessage('La cantidad máxima debe ser un número entero no negativo'),
-  body('costPrice').optional().isFloat({ min: 0 }).withMessage('El precio de costo debe ser un número no negativo'),
-  body('sellingPrice').optional().isFloat({ min: 0 }).withMessage('El precio de venta debe ser un número no negativo'),
-  body('unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida')
+  query('days').optional().isInt({ min: 0, max: 365 }).withMessage('Días debe ser entre 0 y 365')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
         status: 'error',
-        message: 'Datos inválidos',
+        message: 'Parámetros inválidos',
         errors: errors.array()
       });
     }
 
-    const item = await InventoryItem.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        restaurant: req.restaurant,
-        isActive: true
-      },
-      req.body,
-      { new: true, runValidators: true }
-    );
-
-    if (!item) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Producto no encontrado'
-      });
-    }
-
-    // Emit real-time update
-    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
-      type: 'updated',
-      item
-    });
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 7;
+    const lots = await StockLot.getExpiringLots(req.restaurant, days)
+      .populate('inventoryItem', 'name category unit');
 
     res.json({
       status: 'success',
-      message: 'Producto actualizado exitosamente',
-      data: { item }
+      data: {
+        days,
+        lots,
+        totalValue: lots.reduce((sum, lot) => sum + lot.remainingQuantity * lot.unitCost, 0)
+      }
     });
   } catch (error) {
-    console.error('Update inventory item error:', error);
+    console.error('Get expiring lots error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Error interno del servidor'
@@ -240,40 +264,69 @@ router.put('/:id', [
   }
 });
 
-// @route   DELETE /api/inventory/:id
-// @desc    Delete inventory item
+// @route   GET /api/inventory/waste
+// @desc    Get waste log
 // @access  Private
-router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+router.get('/waste', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100'),
+  query('reason').optional().isIn(['expired', 'damaged', 'preparation_error', 'staff_meal']).withMessage('Motivo inválido'),
+  query('startDate').optional().isISO8601().withMessage('Fecha de inicio inválida'),
+  query('endDate').optional().isISO8601().withMessage('Fecha de fin inválida')
+], async (req, res) => {
   try {
-    const item = await InventoryItem.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        restaurant: req.restaurant,
-        isActive: true
-      },
-      { isActive: false },
-      { new: true }
-    );
-
-    if (!item) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Producto no encontrado'
+        message: 'Parámetros inválidos',
+        errors: errors.array()
       });
     }
 
-    // Emit real-time update
-    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
-      type: 'deleted',
-      itemId: req.params.id
-    });
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      restaurant: req.restaurant,
+      type: 'waste'
+    };
+
+    if (req.query.reason) {
+      filter.reason = req.query.reason;
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      filter.createdAt = {};
+      if (req.query.startDate) filter.createdAt.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) filter.createdAt.$lte = new Date(req.query.endDate);
+    }
+
+    const waste = await StockMovement.find(filter)
+      .populate('inventoryItem', 'name category unit')
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await StockMovement.countDocuments(filter);
 
     res.json({
       status: 'success',
-      message: 'Producto eliminado exitosamente'
+      data: {
+        waste,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
     });
   } catch (error) {
-    console.error('Delete inventory item error:', error);
+    console.error('Get waste log error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Error interno del servidor'
@@ -281,54 +334,237 @@ router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) =>
   }
 });
 
-// @route   POST /api/inventory/:id/update-quantity
-// @desc    Update item quantity
+// @route   GET /api/inventory/export
+// @desc    Export the inventory catalogue as CSV or XLSX (same format as the import)
 // @access  Private
-router.post('/:id/update-quantity', [
+router.get('/export', [
   auth,
-  body('quantity').isInt({ min: 0 }).withMessage('La cantidad debe ser un número entero no negativo'),
-  body('operation').optional().isIn(['set', 'add', 'subtract']).withMessage('Operación inválida')
+  query('format').optional().isIn(['csv', 'xlsx']).withMessage('Formato inválido')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
         status: 'error',
-        message: 'Datos inválidos',
+        message: 'Parámetros inválidos',
         errors: errors.array()
       });
     }
 
-    const { quantity, operation = 'set' } = req.body;
+    const format = req.query.format || 'csv';
 
-    const item = await InventoryItem.findOne({
-      _id: req.params.id,
+    const items = await InventoryItem.find({
       restaurant: req.restaurant,
       isActive: true
+    }).sort({ name: 1 });
+    const categoryPaths = await Category.getPaths(req.restaurant);
+
+    const rows = items.map(item => itemToRow(item, categoryPaths));
+    const sheet = XLSX.utils.json_to_sheet(rows, { header: CATALOGUE_COLUMNS });
+
+    if (format === 'xlsx') {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, sheet, 'Inventario');
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', 'attachment; filename="inventario.xlsx"');
+      return res.send(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+    }
+
+    // BOM so spreadsheet programs open accents correctly
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="inventario.csv"');
+    res.send(`\ufeff${XLSX.utils.sheet_to_csv(sheet)}`);
+  } catch (error) {
+    console.error('Export inventory error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
     });
+  }
+});
 
-    if (!item) {
-      return res.status(404).json({
+// @route   POST /api/inventory/import
+// @desc    Import the inventory catalogue from CSV or XLSX, updating items with the same SKU
+// @access  Private
+router.post('/import', [
+  auth,
+  authorize('admin', 'manager'),
+  spreadsheetUpload.single('file'),
+  query('dryRun').optional().isBoolean().withMessage('DryRun debe ser booleano')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Producto no encontrado'
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Debe adjuntar un archivo CSV o XLSX'
       });
     }
 
-    await item.updateQuantity(quantity, operation);
+    const rows = readSpreadsheetRows(req.file);
 
-    // Emit real-time update
-    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
-      type: 'quantity_updated',
-      item
+    if (rows.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El archivo no tiene filas'
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `El archivo no puede tener más de ${MAX_IMPORT_ROWS} filas`
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+
+    const existingItems = await InventoryItem.find({
+      restaurant: req.restaurant,
+      isActive: true,
+      sku: { $exists: true, $ne: '' }
     });
+    const itemsBySku = new Map(existingItems.map(item => [item.sku, item]));
+    const skusInFile = new Set();
+    const barcodesInFile = new Set();
+
+    // Categories are written by path (e.g. "Bebidas / Cocteles")
+    const categoryPaths = await Category.getPaths(req.restaurant);
+    const categoryIdsByPath = new Map(
+      Array.from(categoryPaths, ([id, path]) => [path.toLowerCase(), id])
+    );
+    const supplierIds = new Set(
+      (await Supplier.distinct('_id', { restaurant: req.restaurant, isActive: true })).map(String)
+    );
+
+    const report = [];
+    for (const [index, row] of rows.entries()) {
+      // Row 1 is the header
+      const rowReport = { row: index + 2, sku: row.sku, name: row.name };
+      report.push(rowReport);
+
+      const rowRequest = { body: rowToItemData(row, categoryIdsByPath) };
+      for (const validator of itemValidators) {
+        await validator.run(rowRequest);
+      }
+
+      const rowErrors = validationResult(rowRequest);
+      if (!rowErrors.isEmpty()) {
+        rowReport.action = 'error';
+        rowReport.errors = rowErrors.array().map(error => ({ field: error.path, message: error.msg }));
+        continue;
+      }
+
+      const data = rowRequest.body;
+      const sku = data.sku ? data.sku.toUpperCase() : null;
+
+      if (!categoryPaths.has(data.category)) {
+        rowReport.action = 'error';
+        rowReport.errors = [{ field: 'category', message: 'Categoría no encontrada' }];
+        continue;
+      }
+
+      if (data.preferredSupplier && !supplierIds.has(data.preferredSupplier)) {
+        rowReport.action = 'error';
+        rowReport.errors = [{ field: 'preferredSupplier', message: 'Proveedor no encontrado' }];
+        continue;
+      }
+
+      if (sku && skusInFile.has(sku)) {
+        rowReport.action = 'error';
+        rowReport.errors = [{ field: 'sku', message: 'SKU duplicado en el archivo' }];
+        continue;
+      }
+      if (sku) skusInFile.add(sku);
+
+      // Codes repeated between rows would only fail on the unique index when importing
+      const codes = (data.barcodes || []).map(barcode => String(barcode.code).toUpperCase());
+      const repeatedCode = codes.find(code => barcodesInFile.has(code));
+      if (repeatedCode) {
+        rowReport.action = 'error';
+        rowReport.errors = [{ field: 'barcodes', message: `Código ${repeatedCode} repetido en el archivo` }];
+        continue;
+      }
+      codes.forEach(code => barcodesInFile.add(code));
+
+      const existing = sku ? itemsBySku.get(sku) : null;
+      rowReport.action = existing ? 'update' : 'create';
+
+      const conflict = await InventoryItem.findCodeConflict(req.restaurant, data, existing ? existing._id : null);
+      if (conflict) {
+        rowReport.action = 'error';
+        rowReport.errors = [{ field: 'barcodes', message: `El código ${conflict.code} ya está asignado a ${conflict.item.name}` }];
+        continue;
+      }
+
+      try {
+        if (dryRun) {
+          const candidate = new InventoryItem({
+            ...(existing ? existing.toObject() : {}),
+            ...data,
+            restaurant: req.restaurant
+          });
+          await candidate.validate();
+        } else if (existing) {
+          await applyItemUpdates(existing, data, req.user._id);
+          rowReport.item = existing._id;
+        } else {
+          // The initial quantity is recorded in the movement ledger
+          const item = await InventoryItem.createWithOpeningStock(
+            { ...data, restaurant: req.restaurant },
+            { user: req.user._id, notes: 'Stock inicial (importación)' }
+          );
+          rowReport.item = item._id;
+        }
+      } catch (error) {
+        // Codes taken by another item since the conflict check hit the unique indexes
+        if (error.code === 11000) {
+          rowReport.action = 'error';
+          rowReport.errors = [{ field: 'barcodes', message: 'Código ya asignado a otro producto' }];
+          continue;
+        }
+        if (error.name !== 'ValidationError') throw error;
+
+        rowReport.action = 'error';
+        rowReport.errors = Object.values(error.errors).map(fieldError => ({
+          field: fieldError.path,
+          message: fieldError.message
+        }));
+      }
+    }
+
+    const summary = {
+      totalRows: report.length,
+      created: report.filter(row => row.action === 'create').length,
+      updated: report.filter(row => row.action === 'update').length,
+      failed: report.filter(row => row.action === 'error').length
+    };
+
+    if (!dryRun && summary.created + summary.updated > 0) {
+      // Emit real-time update
+      req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
+        type: 'imported',
+        created: summary.created,
+        updated: summary.updated
+      });
+    }
 
     res.json({
       status: 'success',
-      message: 'Cantidad actualizada exitosamente',
-      data: { item }
+      message: dryRun ? 'Validación de importación completada' : 'Importación completada',
+      data: { dryRun, summary, rows: report }
     });
   } catch (error) {
-    console.error('Update quantity error:', error);
+    console.error('Import inventory error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Error interno del servidor'
@@ -336,19 +572,27 @@ router.post('/:id/update-quantity', [
   }
 });
 
-// @route   GET /api/inventory/low-stock
-// @desc    Get low stock items
+// @route   GET /api/inventory/lookup/:code
+// @desc    Find the item of a scanned barcode or SKU
 // @access  Private
-router.get('/low-stock', auth, async (req, res) => {
+router.get('/lookup/:code', auth, async (req, res) => {
   try {
-    const lowStockItems = await InventoryItem.getLowStockItems(req.restaurant);
+    const item = await InventoryItem.findByCode(req.restaurant, req.params.code)
+      .populate('category', 'name color parent');
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
 
     res.json({
       status: 'success',
-      data: { items: lowStockItems }
+      data: { item }
     });
   } catch (error) {
-    console.error('Get low stock items error:', error);
+    console.error('Lookup inventory item error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Error interno del servidor'
@@ -356,14 +600,846 @@ router.get('/low-stock', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/inventory/summary
-// @desc    Get inventory summary
+// @route   GET /api/inventory/:id
+// @desc    Get single inventory item
 // @access  Private
-router.get('/summary', auth, async (req, res) => {
+router.get('/:id', auth, async (req, res) => {
   try {
-    const summary = await InventoryItem.getInventorySummary(req.restaurant);
+    const item = await InventoryItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    }).populate('category', 'name color parent');
 
-    res.json({
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { item }
+    });
+  } catch (error) {
+    console.error('Get inventory item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Validation rules for a new inventory item, shared by the create route and the import
+const itemValidators = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre es requerido y debe tener máximo 100 caracteres'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
+  body('category').isMongoId().withMessage('Categoría inválida'),
+  body('quantity').isFloat({ min: 0 }).withMessage('La cantidad debe ser un número no negativo'),
+  body('minQuantity').optional().isFloat({ min: 0 }).withMessage('La cantidad mínima debe ser un número no negativo'),
+  body('maxQuantity').optional().isFloat({ min: 0 }).withMessage('La cantidad máxima debe ser un número no negativo'),
+  body('costPrice').isFloat({ min: 0 }).withMessage('El precio de costo debe ser un número no negativo'),
+  body('costingMethod').optional().isIn(['average', 'fifo']).withMessage('Método de costeo inválido'),
+  body('sellingPrice').isFloat({ min: 0 }).withMessage('El precio de venta debe ser un número no negativo'),
+  body('unit').isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
+  body('purchaseUnit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad de compra inválida'),
+  body('unitConversions').optional().isArray().withMessage('Conversiones debe ser un array')
+    .custom((conversions, { req }) => !conversions.some(conversion => conversion.unit === req.body.unit))
+    .withMessage('No se puede definir una conversión para la unidad de stock'),
+  body('unitConversions.*.unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad de conversión inválida'),
+  body('unitConversions.*.factor').optional().isFloat({ gt: 0 }).withMessage('El factor de conversión debe ser mayor a 0'),
+  body('sku').optional().trim().isLength({ max: 20 }).withMessage('SKU no puede exceder 20 caracteres'),
+  body('barcodes').optional().isArray().withMessage('Códigos de barras debe ser un array')
+    .custom(barcodes => barcodes.every(barcode => InventoryItem.isValidBarcode(String(barcode.code || '').trim().toUpperCase(), barcode.type)))
+    .withMessage('Código de barras inválido, revise el dígito de control'),
+  body('barcodes.*.type').optional().isIn(['ean13', 'upc', 'internal']).withMessage('Tipo de código de barras inválido'),
+  body('modifierGroups').optional().isArray().withMessage('Grupos de modificadores debe ser un array'),
+  body('modifierGroups.*').isMongoId().withMessage('ID de grupo de modificadores inválido'),
+  body('preferredSupplier').optional().isMongoId().withMessage('ID de proveedor inválido')
+];
+
+// @route   POST /api/inventory
+// @desc    Create inventory item
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  ...itemValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findOne({
+      _id: req.body.category,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!category) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    const conflict = await InventoryItem.findCodeConflict(req.restaurant, req.body);
+    if (conflict) {
+      return res.status(400).json({
+        status: 'error',
+        message: `El código ${conflict.code} ya está asignado a ${conflict.item.name}`
+      });
+    }
+
+    if (req.body.modifierGroups && !(await modifierGroupsExist(req.restaurant, req.body.modifierGroups))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Grupo de modificadores no encontrado'
+      });
+    }
+
+    if (req.body.preferredSupplier !== undefined && !(await supplierExists(req.restaurant, req.body.preferredSupplier))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    const itemData = {
+      ...req.body,
+      restaurant: req.restaurant
+    };
+
+    // The initial quantity is recorded in the movement ledger
+    const item = await InventoryItem.createWithOpeningStock(itemData, { user: req.user._id });
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
+      type: 'created',
+      item
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Producto creado exitosamente',
+      data: { item }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Create inventory item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/inventory/:id
+// @desc    Update inventory item
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre debe tener máximo 100 caracteres'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
+  body('category').optional().isMongoId().withMessage('Categoría inválida'),
+  body('quantity').optional().isFloat({ min: 0 }).withMessage('La cantidad debe ser un número no negativo'),
+  body('minQuantity').optional().isFloat({ min: 0 }).withMessage('La cantidad mínima debe ser un número no negativo'),
+  body('maxQuantity').optional().isFloat({ min: 0 }).withMessage('La cantidad máxima debe ser un número no negativo'),
+  body('costPrice').optional().isFloat({ min: 0 }).withMessage('El precio de costo debe ser un número no negativo'),
+  body('costingMethod').optional().isIn(['average', 'fifo']).withMessage('Método de costeo inválido'),
+  body('sellingPrice').optional().isFloat({ min: 0 }).withMessage('El precio de venta debe ser un número no negativo'),
+  body('unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
+  body('purchaseUnit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad de compra inválida'),
+  body('unitConversions').optional().isArray().withMessage('Conversiones debe ser un array')
+    .custom((conversions, { req }) => !conversions.some(conversion => conversion.unit === req.body.unit))
+    .withMessage('No se puede definir una conversión para la unidad de stock'),
+  body('unitConversions.*.unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad de conversión inválida'),
+  body('unitConversions.*.factor').optional().isFloat({ gt: 0 }).withMessage('El factor de conversión debe ser mayor a 0'),
+  body('sku').optional().trim().isLength({ max: 20 }).withMessage('SKU no puede exceder 20 caracteres'),
+  body('barcodes').optional().isArray().withMessage('Códigos de barras debe ser un array')
+    .custom(barcodes => barcodes.every(barcode => InventoryItem.isValidBarcode(String(barcode.code || '').trim().toUpperCase(), barcode.type)))
+    .withMessage('Código de barras inválido, revise el dígito de control'),
+  body('barcodes.*.type').optional().isIn(['ean13', 'upc', 'internal']).withMessage('Tipo de código de barras inválido'),
+  body('modifierGroups').optional().isArray().withMessage('Grupos de modificadores debe ser un array'),
+  body('modifierGroups.*').isMongoId().withMessage('ID de grupo de modificadores inválido'),
+  body('preferredSupplier').optional().isMongoId().withMessage('ID de proveedor inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const item = await InventoryItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    if (req.body.category !== undefined) {
+      const category = await Category.findOne({
+        _id: req.body.category,
+        restaurant: req.restaurant,
+        isActive: true
+      });
+
+      if (!category) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Categoría no encontrada'
+        });
+      }
+    }
+
+    if (req.body.sku !== undefined || req.body.barcodes !== undefined) {
+      const conflict = await InventoryItem.findCodeConflict(req.restaurant, req.body, item._id);
+      if (conflict) {
+        return res.status(400).json({
+          status: 'error',
+          message: `El código ${conflict.code} ya está asignado a ${conflict.item.name}`
+        });
+      }
+    }
+
+    if (req.body.modifierGroups && !(await modifierGroupsExist(req.restaurant, req.body.modifierGroups))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Grupo de modificadores no encontrado'
+      });
+    }
+
+    if (req.body.preferredSupplier !== undefined && !(await supplierExists(req.restaurant, req.body.preferredSupplier))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    await applyItemUpdates(item, req.body, req.user._id);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
+      type: 'updated',
+      item
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Producto actualizado exitosamente',
+      data: { item }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Update inventory item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/inventory/:id
+// @desc    Delete inventory item
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    // Returns the item before the update so its images can be cleaned up
+    const item = await InventoryItem.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        restaurant: req.restaurant,
+        isActive: true
+      },
+      { isActive: false, images: [] },
+      { new: false }
+    );
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    await removeImageFiles(item.images);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
+      type: 'deleted',
+      itemId: req.params.id
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Producto eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete inventory item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/inventory/:id/images
+// @desc    Upload an image of the item (a thumbnail is generated)
+// @access  Private
+router.post('/:id/images', [
+  auth,
+  authorize('admin', 'manager'),
+  imageUpload.single('image')
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Debe adjuntar una imagen'
+      });
+    }
+
+    const item = await InventoryItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    if (item.images.length >= MAX_IMAGES_PER_ITEM) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Un producto no puede tener más de ${MAX_IMAGES_PER_ITEM} imágenes`
+      });
+    }
+
+    // The declared type is not enough, the content must be a readable image
+    let metadata;
+    let thumbnail;
+    try {
+      metadata = await sharp(req.file.buffer).metadata();
+      thumbnail = await sharp(req.file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+        .webp({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'El archivo no es una imagen válida'
+      });
+    }
+
+    const imageId = new mongoose.Types.ObjectId();
+    const extension = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' }[req.file.mimetype];
+    const baseKey = `inventory/${req.restaurant}/${item._id}/${imageId}`;
+    const key = `${baseKey}.${extension}`;
+    const thumbnailKey = `${baseKey}-thumb.webp`;
+
+    const storage = getStorage();
+    item.images.push({
+      _id: imageId,
+      url: await storage.save(key, req.file.buffer, req.file.mimetype),
+      thumbnailUrl: await storage.save(thumbnailKey, thumbnail, 'image/webp'),
+      key,
+      thumbnailKey,
+      contentType: req.file.mimetype,
+      size: req.file.size,
+      width: metadata.width,
+      height: metadata.height
+    });
+    await item.save();
+
+    const image = item.images.id(imageId);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
+      type: 'updated',
+      item
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Imagen agregada exitosamente',
+      data: { item, image }
+    });
+  } catch (error) {
+    console.error('Upload item image error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/inventory/:id/images/:imageId
+// @desc    Delete an image of the item and its files
+// @access  Private
+router.delete('/:id/images/:imageId', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const item = await InventoryItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const image = item.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Imagen no encontrada'
+      });
+    }
+
+    item.images.pull(image._id);
+    await item.save();
+    await removeImageFiles([image]);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
+      type: 'updated',
+      item
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Imagen eliminada exitosamente',
+      data: { item }
+    });
+  } catch (error) {
+    console.error('Delete item image error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/inventory/:id/update-quantity
+// @desc    Update item quantity
+// @access  Private
+router.post('/:id/update-quantity', [
+  auth,
+  body('quantity').isFloat({ min: 0 }).withMessage('La cantidad debe ser un número no negativo'),
+  body('unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
+  body('operation').optional().isIn(['set', 'add', 'subtract']).withMessage('Operación inválida'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { unit, operation = 'set', notes } = req.body;
+
+    const item = await InventoryItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    // Quantities can be given in any unit convertible to the stock unit
+    const quantity = item.toStockQuantity(Number(req.body.quantity), unit);
+
+    await item.updateQuantity(quantity, operation, { user: req.user._id, notes });
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
+      type: 'quantity_updated',
+      item
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Cantidad actualizada exitosamente',
+      data: { item }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Update quantity error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/inventory/:id/waste
+// @desc    Log waste or spoilage of an item
+// @access  Private
+router.post('/:id/waste', [
+  auth,
+  body('quantity').isFloat({ gt: 0 }).withMessage('La cantidad debe ser mayor a 0'),
+  body('unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
+  body('reason').isIn(['expired', 'damaged', 'preparation_error', 'staff_meal']).withMessage('Motivo inválido'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { unit, reason, notes } = req.body;
+
+    const item = await InventoryItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const quantity = item.toStockQuantity(Number(req.body.quantity), unit);
+
+    if (quantity > item.quantity) {
+      return res.status(400).json({
+        status: 'error',
+        message: `La merma excede el stock de ${item.name}. Disponible: ${item.quantity}`
+      });
+    }
+
+    const movement = await InventoryItem.adjustStock(item._id, -quantity, {
+      type: 'waste',
+      reason,
+      notes,
+      user: req.user._id
+    });
+
+    const updatedItem = await InventoryItem.findById(item._id);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
+      type: 'quantity_updated',
+      item: updatedItem
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Merma registrada exitosamente',
+      data: {
+        item: updatedItem,
+        movement,
+        cost: Math.abs(movement.quantity) * movement.unitCost
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Log waste error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/inventory/:id/lots
+// @desc    Get lots of an item with remaining stock
+// @access  Private
+router.get('/:id/lots', auth, async (req, res) => {
+  try {
+    const item = await InventoryItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const lots = await StockLot.find({
+      inventoryItem: item._id,
+      remainingQuantity: { $gt: 0 }
+    }).sort({ expiresAt: 1, receivedAt: 1 });
+
+    res.json({
+      status: 'success',
+      data: { lots }
+    });
+  } catch (error) {
+    console.error('Get inventory lots error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/inventory/:id/lots
+// @desc    Receive stock as a new lot
+// @access  Private
+router.post('/:id/lots', [
+  auth,
+  authorize('admin', 'manager'),
+  body('quantity').isFloat({ gt: 0 }).withMessage('La cantidad debe ser mayor a 0'),
+  body('unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
+  body('lotNumber').optional().trim().isLength({ max: 50 }).withMessage('Número de lote muy largo'),
+  body('expiresAt').optional().isISO8601().withMessage('Fecha de vencimiento inválida'),
+  body('unitCost').optional().isFloat({ min: 0 }).withMessage('El costo del lote debe ser un número no negativo'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const item = await InventoryItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const { unit, lotNumber, expiresAt, unitCost, notes } = req.body;
+
+    // Quantity and cost may be given in a purchase unit (e.g. caja)
+    const stockUnitsPerUnit = item.toStockQuantity(1, unit);
+    const quantity = Number(req.body.quantity) * stockUnitsPerUnit;
+
+    const movement = await InventoryItem.adjustStock(item._id, quantity, {
+      type: 'receiving',
+      user: req.user._id,
+      notes
+    }, {
+      costPrice: unitCost !== undefined ? Number(unitCost) / stockUnitsPerUnit : undefined,
+      lot: { lotNumber, expiresAt: expiresAt ? new Date(expiresAt) : undefined }
+    });
+
+    const updatedItem = await InventoryItem.findById(item._id);
+    const lot = await StockLot.findById(movement.lots[0].lot);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('inventory-updated', {
+      type: 'quantity_updated',
+      item: updatedItem
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Lote registrado exitosamente',
+      data: {
+        item: updatedItem,
+        lot
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Create inventory lot error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/inventory/:id/movements
+// @desc    Get stock movements of an item
+// @access  Private
+router.get('/:id/movements', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100'),
+  query('startDate').optional().isISO8601().withMessage('Fecha de inicio inválida'),
+  query('endDate').optional().isISO8601().withMessage('Fecha de fin inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const item = await InventoryItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : undefined;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : undefined;
+
+    const movements = await StockMovement.getItemMovements(req.restaurant, item._id, startDate, endDate)
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber status')
+      .skip(skip)
+      .limit(limit);
+
+    const total = await StockMovement.countDocuments(
+      StockMovement.getItemMovements(req.restaurant, item._id, startDate, endDate).getFilter()
+    );
+
+    res.json({
+      status: 'success',
+      data: {
+        item: {
+          _id: item._id,
+          name: item.name,
+          quantity: item.quantity,
+          unit: item.unit
+        },
+        movements,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get inventory movements error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/inventory/low-stock
+// @desc    Get low stock items
+// @access  Private
+router.get('/low-stock', auth, async (req, res) => {
+  try {
+    const lowStockItems = await InventoryItem.getLowStockItems(req.restaurant);
+
+    res.json({
+      status: 'success',
+      data: { items: lowStockItems }
+    });
+  } catch (error) {
+    console.error('Get low stock items error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/inventory/summary
+// @desc    Get inventory summary
+// @access  Private
+router.get('/summary', auth, async (req, res) => {
+  try {
+    const summary = await InventoryItem.getInventorySummary(req.restaurant);
+
+    res.json({
       status: 'success',
       data: { summary: summary[0] || {
         totalItems: 0,
@@ -381,4 +1457,140 @@ router.get('/summary', auth, async (req, res) => {
   }
 });
 
+// Helper function to save changes to an item. Quantity changes go through the movement ledger.
+async function applyItemUpdates(item, data, userId) {
+  const { quantity, ...updates } = data;
+  Object.assign(item, updates);
+
+  if (quantity !== undefined && Number(quantity) !== item.quantity) {
+    await item.updateQuantity(Number(quantity), 'set', { user: userId });
+    return;
+  }
+
+  await item.save();
+
+  // FIFO items are valued from their lots, the cost set by hand only applies to stock without lots
+  if (item.costingMethod === 'fifo') {
+    const revalued = await InventoryItem.revalueFromLots(item._id);
+    item.costPrice = revalued.costPrice;
+    item.totalValue = revalued.totalValue;
+  }
+}
+
+// Helper function to check every modifier group exists in the restaurant
+async function modifierGroupsExist(restaurantId, groupIds) {
+  const uniqueIds = [...new Set(groupIds.map(String))];
+  const count = await ModifierGroup.countDocuments({
+    _id: { $in: uniqueIds },
+    restaurant: restaurantId,
+    isActive: true
+  });
+  return count === uniqueIds.length;
+}
+
+// Helper function to check the supplier is active in the restaurant
+async function supplierExists(restaurantId, supplierId) {
+  return Boolean(await Supplier.exists({
+    _id: supplierId,
+    restaurant: restaurantId,
+    isActive: true
+  }));
+}
+
+// Helper function to remove the stored files of item images.
+// Failures are only logged, a missing file must not block deleting the item.
+async function removeImageFiles(images) {
+  const storage = getStorage();
+
+  for (const image of images) {
+    for (const key of [image.key, image.thumbnailKey]) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error(`Remove image file ${key} error:`, error);
+      }
+    }
+  }
+}
+
+// Helper function to read the rows of an uploaded CSV/XLSX file, keyed by header
+function readSpreadsheetRows(file) {
+  const isCsv = file.originalname.toLowerCase().endsWith('.csv');
+
+  // CSV values are read as text so SKUs like 00123 keep their zeros
+  const workbook = isCsv
+    ? XLSX.read(file.buffer.toString('utf8').replace(/^\ufeff/, ''), { type: 'string', raw: true })
+    : XLSX.read(file.buffer, { type: 'buffer' });
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '' }) : [];
+}
+
+// Helper function to turn a spreadsheet row into item data. Empty cells are left out, categories are
+// written by path, unit conversions as "caja=24; paquete=6" and barcodes as "ean13=7701234567897; internal=A1".
+function rowToItemData(row, categoryIdsByPath) {
+  const data = {};
+
+  for (const column of CATALOGUE_COLUMNS) {
+    const value = row[column] === undefined || row[column] === null ? '' : String(row[column]).trim();
+    if (value !== '') {
+      data[column] = value;
+    }
+  }
+
+  // Unknown categories are kept as written and rejected by the validators
+  if (data.category && categoryIdsByPath.has(data.category.toLowerCase())) {
+    data.category = categoryIdsByPath.get(data.category.toLowerCase());
+  }
+
+  if (data.unitConversions) {
+    data.unitConversions = data.unitConversions
+      .split(';')
+      .map(conversion => conversion.trim())
+      .filter(Boolean)
+      .map(conversion => {
+        const [unit, factor] = conversion.split('=').map(part => part.trim());
+        return { unit, factor };
+      });
+  }
+
+  if (data.barcodes) {
+    data.barcodes = data.barcodes
+      .split(';')
+      .map(barcode => barcode.trim())
+      .filter(Boolean)
+      .map(barcode => {
+        const [type, code] = barcode.split('=').map(part => part.trim());
+        return { type, code };
+      });
+  }
+
+  return data;
+}
+
+// Helper function to turn an item into a spreadsheet row
+function itemToRow(item, categoryPaths) {
+  return {
+    sku: item.sku || '',
+    name: item.name,
+    description: item.description || '',
+    category: categoryPaths.get(item.category.toString()) || item.category.toString(),
+    unit: item.unit,
+    quantity: item.quantity,
+    minQuantity: item.minQuantity,
+    maxQuantity: item.maxQuantity,
+    costPrice: item.costPrice,
+    sellingPrice: item.sellingPrice,
+    costingMethod: item.costingMethod,
+    purchaseUnit: item.purchaseUnit || '',
+    unitConversions: (item.unitConversions || [])
+      .map(conversion => `${conversion.unit}=${conversion.factor}`)
+      .join('; '),
+    barcodes: (item.barcodes || [])
+      .map(barcode => `${barcode.type}=${barcode.code}`)
+      .join('; '),
+    preferredSupplier: item.preferredSupplier ? item.preferredSupplier.toString() : ''
+  };
+}
+
 module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/kitchen/:station
+// @desc    Get the queue of a kitchen station, oldest fired first (?includeReady=true keeps the bumped items)
+// @access  Private
+router.get('/:station', [
+  auth,
+  param('station').trim().toLowerCase().matches(/^[a-z0-9_-]{1,30}$/).withMessage('Estación inválida'),
+  query('includeReady').optional().isBoolean().withMessage('IncludeReady debe ser booleano')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { station } = req.params;
+    const includeReady = req.query.includeReady === 'true';
+
+    const orders = await Order.find({
+      restaurant: req.restaurant,
+      isActive: true,
+      status: { $in: ['pending', 'confirmed', 'preparing', 'ready'] },
+      items: {
+        $elemMatch: includeReady ? { station } : { station, prepStatus: 'pending' }
+      }
+    }).sort({ createdAt: 1 });
+
+    // Items of held courses are left out; tickets age from the first course fired
+    const now = Date.now();
+    const tickets = orders
+      .map(order => {
+        const ticket = order.toKitchenTicket(station);
+        if (!includeReady) {
+          ticket.items = ticket.items.filter(item => item.prepStatus === 'pending');
+        }
+
+        const firedTimes = order.courses
+          .filter(entry => entry.firedAt && ticket.items.some(item => item.course === entry.course))
+          .map(entry => entry.firedAt.getTime());
+        const firedAt = firedTimes.length > 0 ? new Date(Math.min(...firedTimes)) : order.createdAt;
+
+        return {
+          ...ticket,
+          firedAt,
+          ageMinutes: Math.floor((now - firedAt) / 60000)
+        };
+      })
+      .filter(ticket => ticket.items.length > 0)
+      .sort((a, b) => a.firedAt - b.firedAt);
+
+    res.json({
+      status: 'success',
+      data: { station, tickets }
+    });
+  } catch (error) {
+    console.error('Get kitchen queue error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Validation rules for the order item routes
+const itemParamValidators = [
+  param('orderId').isMongoId().withMessage('ID de pedido inválido'),
+  param('itemId').isMongoId().withMessage('ID de item inválido')
+];
+
+// @route   PUT /api/kitchen/orders/:orderId/items/:itemId/bump
+// @desc    Mark an item as ready in its station
+// @access  Private
+router.put('/orders/:orderId/items/:itemId/bump', [auth, ...itemParamValidators], async (req, res) => {
+  await changeItemPrep(req, res, 'bump');
+});
+
+// @route   PUT /api/kitchen/orders/:orderId/items/:itemId/recall
+// @desc    Send a ready item back to its station
+// @access  Private
+router.put('/orders/:orderId/items/:itemId/recall', [auth, ...itemParamValidators], async (req, res) => {
+  await changeItemPrep(req, res, 'recall');
+});
+
+// Helper function to bump or recall an order item and notify the order and station screens
+async function changeItemPrep(req, res, action) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    if (action === 'bump') {
+      await order.bumpItem(req.params.itemId, req.user);
+    } else {
+      await order.recallItem(req.params.itemId, req.user);
+    }
+
+    const item = order.items.id(req.params.itemId);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+      type: action === 'bump' ? 'item_ready' : 'item_recalled',
+      order
+    });
+    order.notifyKitchen(req.io, action === 'bump' ? 'item_ready' : 'item_recalled');
+
+    res.json({
+      status: 'success',
+      message: action === 'bump' ? `${item.name} listo` : `${item.name} devuelto a la estación`,
+      data: { order, ticket: order.toKitchenTicket(item.station) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error(`Kitchen item ${action} error:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+module.exports = router;
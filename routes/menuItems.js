@@ -0,0 +1,401 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const MenuItem = require('../models/MenuItem');
+const InventoryItem = require('../models/InventoryItem');
+const Recipe = require('../models/Recipe');
+const Category = require('../models/Category');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/menu-items
+// @desc    Get the menu (with ?channel= only the items offered there, priced for it)
+// @access  Private
+router.get('/', [
+  auth,
+  query('channel').optional().isIn(['dine-in', 'takeout', 'delivery']).withMessage('Canal inválido'),
+  query('category').optional().isMongoId().withMessage('Categoría inválida'),
+  query('available').optional().isBoolean().withMessage('Available debe ser booleano'),
+  query('search').optional().trim().isLength({ max: 100 }).withMessage('Búsqueda muy larga')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    // Build filter
+    const filter = {
+      restaurant: req.restaurant,
+      isActive: true
+    };
+
+    if (req.query.channel) {
+      filter.channels = req.query.channel;
+    }
+
+    if (req.query.category) {
+      filter.category = { $in: await Category.getDescendantIds(req.restaurant, req.query.category) };
+    }
+
+    if (req.query.available) {
+      filter.isAvailable = req.query.available === 'true';
+    }
+
+    if (req.query.search) {
+      filter.name = { $regex: req.query.search, $options: 'i' };
+    }
+
+    const menuItems = await MenuItem.find(filter)
+      .populate('category', 'name color')
+      .populate('inventoryItem', 'name unit')
+      .populate({ path: 'recipe', select: 'product', populate: { path: 'product', select: 'name unit' } })
+      .sort({ displayOrder: 1, name: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        menuItems: req.query.channel
+          ? menuItems.map(menuItem => ({ ...menuItem.toObject(), channelPrice: menuItem.priceFor(req.query.channel) }))
+          : menuItems
+      }
+    });
+  } catch (error) {
+    console.error('Get menu items error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/menu-items/:id
+// @desc    Get single menu item
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    })
+    .populate('category', 'name color')
+    .populate('inventoryItem', 'name unit quantity')
+    .populate({ path: 'recipe', select: 'product', populate: { path: 'product', select: 'name unit' } });
+
+    if (!menuItem) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto del menú no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { menuItem }
+    });
+  } catch (error) {
+    console.error('Get menu item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/menu-items
+// @desc    Create menu item
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre es requerido y debe tener máximo 100 caracteres'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
+  body('category').optional({ values: 'null' }).isMongoId().withMessage('Categoría inválida'),
+  body('inventoryItem').optional({ values: 'null' }).isMongoId().withMessage('ID de inventario inválido'),
+  body('recipe').optional({ values: 'null' }).isMongoId().withMessage('ID de receta inválido'),
+  body('price').isFloat({ min: 0 }).withMessage('El precio debe ser un número no negativo'),
+  body('taxClass').optional().isIn(['iva_general', 'iva_reducido', 'exento', 'impoconsumo']).withMessage('Clase de impuesto inválida'),
+  body('station').optional({ values: 'null' }).trim().matches(/^[A-Za-z0-9_-]{1,30}$/).withMessage('La estación debe tener máximo 30 letras, números, - o _'),
+  body('course').optional().isIn(['entrada', 'plato_fuerte', 'postre']).withMessage('Curso inválido'),
+  body('channelPrices').optional().isArray().withMessage('Precios por canal debe ser un array'),
+  body('channelPrices.*.channel').isIn(['dine-in', 'takeout', 'delivery']).withMessage('Canal inválido'),
+  body('channelPrices.*.price').isFloat({ min: 0 }).withMessage('El precio debe ser un número no negativo'),
+  body('channels').optional().isArray().withMessage('Canales debe ser un array'),
+  body('channels.*').isIn(['dine-in', 'takeout', 'delivery']).withMessage('Canal inválido'),
+  body('isAvailable').optional().isBoolean().withMessage('isAvailable debe ser booleano'),
+  body('displayOrder').optional().isInt().withMessage('El orden debe ser un número entero')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const referenceError = await validateReferences(req.restaurant, req.body);
+    if (referenceError) {
+      return res.status(400).json({
+        status: 'error',
+        message: referenceError
+      });
+    }
+
+    const {
+      name, description, category, inventoryItem, recipe, price, taxClass, station, course,
+      channelPrices, channels, isAvailable, displayOrder
+    } = req.body;
+
+    const menuItem = new MenuItem({
+      name,
+      description,
+      category,
+      inventoryItem,
+      recipe,
+      price,
+      taxClass,
+      station,
+      course,
+      channelPrices,
+      channels,
+      isAvailable,
+      displayOrder,
+      restaurant: req.restaurant
+    });
+    await menuItem.save();
+
+    req.io.to(`restaurant-${req.restaurant}`).emit('menu-updated', {
+      type: 'created',
+      menuItem
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Producto del menú creado exitosamente',
+      data: { menuItem }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Create menu item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/menu-items/:id
+// @desc    Update menu item
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre debe tener máximo 100 caracteres'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
+  body('category').optional({ values: 'null' }).isMongoId().withMessage('Categoría inválida'),
+  body('inventoryItem').optional({ values: 'null' }).isMongoId().withMessage('ID de inventario inválido'),
+  body('recipe').optional({ values: 'null' }).isMongoId().withMessage('ID de receta inválido'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('El precio debe ser un número no negativo'),
+  body('taxClass').optional().isIn(['iva_general', 'iva_reducido', 'exento', 'impoconsumo']).withMessage('Clase de impuesto inválida'),
+  body('station').optional({ values: 'null' }).trim().matches(/^[A-Za-z0-9_-]{1,30}$/).withMessage('La estación debe tener máximo 30 letras, números, - o _'),
+  body('course').optional().isIn(['entrada', 'plato_fuerte', 'postre']).withMessage('Curso inválido'),
+  body('channelPrices').optional().isArray().withMessage('Precios por canal debe ser un array'),
+  body('channelPrices.*.channel').isIn(['dine-in', 'takeout', 'delivery']).withMessage('Canal inválido'),
+  body('channelPrices.*.price').isFloat({ min: 0 }).withMessage('El precio debe ser un número no negativo'),
+  body('channels').optional().isArray().withMessage('Canales debe ser un array'),
+  body('channels.*').isIn(['dine-in', 'takeout', 'delivery']).withMessage('Canal inválido'),
+  body('isAvailable').optional().isBoolean().withMessage('isAvailable debe ser booleano'),
+  body('displayOrder').optional().isInt().withMessage('El orden debe ser un número entero')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const menuItem = await MenuItem.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!menuItem) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto del menú no encontrado'
+      });
+    }
+
+    const referenceError = await validateReferences(req.restaurant, req.body);
+    if (referenceError) {
+      return res.status(400).json({
+        status: 'error',
+        message: referenceError
+      });
+    }
+
+    const fields = ['name', 'description', 'category', 'inventoryItem', 'recipe', 'price', 'taxClass', 'station',
+      'course', 'channelPrices', 'channels', 'isAvailable', 'displayOrder'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) menuItem[field] = req.body[field];
+    });
+
+    await menuItem.save();
+
+    req.io.to(`restaurant-${req.restaurant}`).emit('menu-updated', {
+      type: 'updated',
+      menuItem
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Producto del menú actualizado exitosamente',
+      data: { menuItem }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Update menu item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/menu-items/:id/availability
+// @desc    Mark a menu item as sold out (86'd) or available again, stock is not touched
+// @access  Private
+router.put('/:id/availability', [
+  auth,
+  body('isAvailable').isBoolean().withMessage('isAvailable debe ser booleano')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const menuItem = await MenuItem.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        restaurant: req.restaurant,
+        isActive: true
+      },
+      { isAvailable: req.body.isAvailable },
+      { new: true }
+    );
+
+    if (!menuItem) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto del menú no encontrado'
+      });
+    }
+
+    req.io.to(`restaurant-${req.restaurant}`).emit('menu-updated', {
+      type: 'availability',
+      menuItem
+    });
+
+    res.json({
+      status: 'success',
+      message: menuItem.isAvailable ? 'Producto disponible nuevamente' : 'Producto marcado como agotado',
+      data: { menuItem }
+    });
+  } catch (error) {
+    console.error('Update menu item availability error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/menu-items/:id
+// @desc    Delete menu item
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        restaurant: req.restaurant,
+        isActive: true
+      },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!menuItem) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto del menú no encontrado'
+      });
+    }
+
+    req.io.to(`restaurant-${req.restaurant}`).emit('menu-updated', {
+      type: 'deleted',
+      menuItemId: req.params.id
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Producto del menú eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete menu item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to check the category, stock item and recipe sent belong to the restaurant.
+// Returns an error message or null when they exist.
+async function validateReferences(restaurantId, data) {
+  const filter = { restaurant: restaurantId, isActive: true };
+
+  if (data.category && !(await Category.exists({ ...filter, _id: data.category }))) {
+    return 'Categoría no encontrada';
+  }
+
+  if (data.inventoryItem && !(await InventoryItem.exists({ ...filter, _id: data.inventoryItem }))) {
+    return `Producto ${data.inventoryItem} no encontrado`;
+  }
+
+  if (data.recipe && !(await Recipe.exists({ ...filter, _id: data.recipe }))) {
+    return `Receta ${data.recipe} no encontrada`;
+  }
+
+  return null;
+}
+
+module.exports = router;
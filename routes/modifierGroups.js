@@ -0,0 +1,288 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ModifierGroup = require('../models/ModifierGroup');
+const InventoryItem = require('../models/InventoryItem');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/modifier-groups
+// @desc    Get all modifier groups
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const modifierGroups = await ModifierGroup.find({
+      restaurant: req.restaurant,
+      isActive: true
+    })
+    .populate('options.inventoryItem', 'name unit')
+    .sort({ name: 1 });
+
+    res.json({
+      status: 'success',
+      data: { modifierGroups }
+    });
+  } catch (error) {
+    console.error('Get modifier groups error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/modifier-groups/:id
+// @desc    Get single modifier group
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const modifierGroup = await ModifierGroup.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    }).populate('options.inventoryItem', 'name unit');
+
+    if (!modifierGroup) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Grupo de modificadores no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { modifierGroup }
+    });
+  } catch (error) {
+    console.error('Get modifier group error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/modifier-groups
+// @desc    Create modifier group
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre es requerido y debe tener máximo 100 caracteres'),
+  body('isRequired').optional().isBoolean().withMessage('isRequired debe ser booleano'),
+  body('minSelections').optional().isInt({ min: 0 }).withMessage('El mínimo de selecciones debe ser un número no negativo'),
+  body('maxSelections').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('El máximo de selecciones debe ser al menos 1'),
+  body('options').isArray({ min: 1 }).withMessage('Debe tener al menos una opción'),
+  body('options.*.name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre de la opción es requerido'),
+  body('options.*.priceDelta').optional().isFloat().withMessage('El ajuste de precio debe ser un número'),
+  body('options.*.maxQuantity').optional().isInt({ min: 1 }).withMessage('La cantidad máxima debe ser al menos 1'),
+  body('options.*.inventoryItem').optional().isMongoId().withMessage('ID de inventario inválido'),
+  body('options.*.quantity').optional().isFloat().withMessage('La cantidad de stock debe ser un número'),
+  body('options.*.unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { name, isRequired, minSelections, maxSelections, options } = req.body;
+
+    const optionError = await validateOptions(req.restaurant, options);
+    if (optionError) {
+      return res.status(400).json({
+        status: 'error',
+        message: optionError
+      });
+    }
+
+    const modifierGroup = new ModifierGroup({
+      name,
+      isRequired,
+      minSelections,
+      maxSelections,
+      options,
+      restaurant: req.restaurant
+    });
+    await modifierGroup.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Grupo de modificadores creado exitosamente',
+      data: { modifierGroup }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Create modifier group error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/modifier-groups/:id
+// @desc    Update modifier group (options sent with their _id keep it)
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre debe tener máximo 100 caracteres'),
+  body('isRequired').optional().isBoolean().withMessage('isRequired debe ser booleano'),
+  body('minSelections').optional().isInt({ min: 0 }).withMessage('El mínimo de selecciones debe ser un número no negativo'),
+  body('maxSelections').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('El máximo de selecciones debe ser al menos 1'),
+  body('options').optional().isArray({ min: 1 }).withMessage('Debe tener al menos una opción'),
+  body('options.*._id').optional().isMongoId().withMessage('ID de opción inválido'),
+  body('options.*.name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre de la opción es requerido'),
+  body('options.*.priceDelta').optional().isFloat().withMessage('El ajuste de precio debe ser un número'),
+  body('options.*.maxQuantity').optional().isInt({ min: 1 }).withMessage('La cantidad máxima debe ser al menos 1'),
+  body('options.*.inventoryItem').optional().isMongoId().withMessage('ID de inventario inválido'),
+  body('options.*.quantity').optional().isFloat().withMessage('La cantidad de stock debe ser un número'),
+  body('options.*.unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
+  body('options.*.isActive').optional().isBoolean().withMessage('isActive debe ser booleano')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const modifierGroup = await ModifierGroup.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!modifierGroup) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Grupo de modificadores no encontrado'
+      });
+    }
+
+    const { name, isRequired, minSelections, maxSelections, options } = req.body;
+
+    if (options) {
+      const optionError = await validateOptions(req.restaurant, options);
+      if (optionError) {
+        return res.status(400).json({
+          status: 'error',
+          message: optionError
+        });
+      }
+      modifierGroup.options = options;
+    }
+
+    if (name !== undefined) modifierGroup.name = name;
+    if (isRequired !== undefined) modifierGroup.isRequired = isRequired;
+    if (minSelections !== undefined) modifierGroup.minSelections = minSelections;
+    if (maxSelections !== undefined) modifierGroup.maxSelections = maxSelections;
+
+    await modifierGroup.save();
+
+    res.json({
+      status: 'success',
+      message: 'Grupo de modificadores actualizado exitosamente',
+      data: { modifierGroup }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Update modifier group error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/modifier-groups/:id
+// @desc    Delete modifier group and detach it from the items
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const modifierGroup = await ModifierGroup.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        restaurant: req.restaurant,
+        isActive: true
+      },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!modifierGroup) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Grupo de modificadores no encontrado'
+      });
+    }
+
+    await InventoryItem.updateMany(
+      { restaurant: req.restaurant, modifierGroups: modifierGroup._id },
+      { $pull: { modifierGroups: modifierGroup._id } }
+    );
+
+    res.json({
+      status: 'success',
+      message: 'Grupo de modificadores eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete modifier group error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to check the stock impact of the options: the item must exist and the unit convert.
+// Returns an error message or null when the options are valid.
+async function validateOptions(restaurantId, options) {
+  for (const option of options) {
+    if (!option.inventoryItem) continue;
+
+    if (!option.quantity || Number(option.quantity) === 0) {
+      return `${option.name}: la cantidad de stock es requerida`;
+    }
+
+    const stockItem = await InventoryItem.findOne({
+      _id: option.inventoryItem,
+      restaurant: restaurantId,
+      isActive: true
+    });
+
+    if (!stockItem) {
+      return `Producto ${option.inventoryItem} no encontrado`;
+    }
+
+    try {
+      stockItem.toStockQuantity(Number(option.quantity), option.unit);
+    } catch (error) {
+      return `${option.name}: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = router;
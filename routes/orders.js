@@ -1,8 +1,16 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult, query } = require('express-validator');
 const Order = require('../models/Order');
-const InventoryItem = require('../models/InventoryItem');
-const { auth, authorize } = require('../middleware/auth');
+const Recipe = require('../models/Recipe');
+const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const PriceList = require('../models/PriceList');
+const ModifierGroup = require('../models/ModifierGroup');
+const Bundle = require('../models/Bundle');
+const Promotion = require('../models/Promotion');
+const Table = require('../models/Table');
+const { auth, authorize, managerApproval } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -121,7 +129,8 @@ router.get('/:id', auth, async (req, res) => {
     })
     .populate('createdBy', 'name email')
     .populate('assignedTo', 'name email')
-    .populate('items.inventoryItem', 'name category unit');
+    .populate('items.inventoryItem', 'name category unit')
+    .populate('statusHistory.changedBy', 'name');
 
     if (!order) {
       return res.status(404).json({
@@ -132,7 +141,7 @@ router.get('/:id', auth, async (req, res) => {
 
     res.json({
       status: 'success',
-      data: { order }
+      data: { order, nextStatuses: order.nextStatuses(req.user.role) }
     });
   } catch (error) {
     console.error('Get order error:', error);
@@ -143,6 +152,37 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/:id/ticket
+// @desc    Get the kitchen ticket of an order (items with their modifiers)
+// @access  Private
+router.get('/:id/ticket', auth, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { ticket: order.toKitchenTicket() }
+    });
+  } catch (error) {
+    console.error('Get order ticket error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 // @route   POST /api/orders
 // @desc    Create order
 // @access  Private
@@ -152,10 +192,32 @@ router.post('/', [
   body('customer.phone').optional().trim().isLength({ max: 20 }).withMessage('Teléfono muy largo'),
   body('customer.email').optional().isEmail().normalizeEmail().withMessage('Email inválido'),
   body('type').isIn(['dine-in', 'takeout', 'delivery']).withMessage('Tipo de pedido inválido'),
+  body('table').optional().isMongoId().withMessage('ID de mesa inválido'),
   body('tableNumber').optional().trim().isLength({ max: 10 }).withMessage('Número de mesa muy largo'),
-  body('items').isArray({ min: 1 }).withMessage('Debe tener al menos un item'),
-  body('items.*.inventoryItem').isMongoId().withMessage('ID de inventario inválido'),
+  body('items').optional().isArray().withMessage('Items debe ser un array'),
+  body('items').custom((items, { req }) => (items && items.length > 0) || (req.body.bundles && req.body.bundles.length > 0))
+    .withMessage('Debe tener al menos un item o combo'),
+  body('items.*.menuItem').isMongoId().withMessage('ID de producto del menú inválido'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Cantidad debe ser al menos 1'),
+  body('items.*.course').optional().isIn(['entrada', 'plato_fuerte', 'postre']).withMessage('Curso inválido'),
+  body('items.*.seat').optional().isInt({ min: 1 }).withMessage('El asiento debe ser un número mayor a 0'),
+  body('items.*.modifiers').optional().isArray().withMessage('Modificadores debe ser un array'),
+  body('items.*.modifiers.*.option').isMongoId().withMessage('ID de modificador inválido'),
+  body('items.*.modifiers.*.quantity').optional().isInt({ min: 1 }).withMessage('Cantidad del modificador debe ser al menos 1'),
+  body('bundles').optional().isArray().withMessage('Combos debe ser un array'),
+  body('bundles.*.bundle').isMongoId().withMessage('ID de combo inválido'),
+  body('bundles.*.quantity').isInt({ min: 1 }).withMessage('Cantidad debe ser al menos 1'),
+  body('bundles.*.course').optional().isIn(['entrada', 'plato_fuerte', 'postre']).withMessage('Curso inválido'),
+  body('bundles.*.seat').optional().isInt({ min: 1 }).withMessage('El asiento debe ser un número mayor a 0'),
+  body('bundles.*.selections').isArray({ min: 1 }).withMessage('Debe elegir los productos del combo'),
+  body('bundles.*.selections.*.slot').isMongoId().withMessage('ID de opción del combo inválido'),
+  body('bundles.*.selections.*.menuItem').isMongoId().withMessage('ID de producto del menú inválido'),
+  body('bundles.*.selections.*.modifiers').optional().isArray().withMessage('Modificadores debe ser un array'),
+  body('bundles.*.selections.*.modifiers.*.option').isMongoId().withMessage('ID de modificador inválido'),
+  body('heldCourses').optional().isArray().withMessage('Cursos retenidos debe ser un array'),
+  body('heldCourses.*').isIn(['entrada', 'plato_fuerte', 'postre']).withMessage('Curso inválido'),
+  body('coupons').optional().isArray().withMessage('Cupones debe ser un array'),
+  body('coupons.*').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Código de cupón inválido'),
   body('paymentMethod').optional().isIn(['cash', 'card', 'transfer', 'mixed']).withMessage('Método de pago inválido'),
   body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
 ], async (req, res) => {
@@ -169,47 +231,50 @@ router.post('/', [
       });
     }
 
-    const { customer, type, tableNumber, items, paymentMethod = 'cash', notes } = req.body;
+    const {
+      customer, type, table: tableId, tableNumber, items = [], bundles = [], heldCourses = [], coupons = [],
+      paymentMethod = 'cash', notes
+    } = req.body;
 
-    // Validate inventory items and get prices
-    const orderItems = [];
-    for (const item of items) {
-      const inventoryItem = await InventoryItem.findOne({
-        _id: item.inventoryItem,
-        restaurant: req.restaurant,
-        isActive: true
+    // Only dine-in orders are served by courses the waiter fires
+    if (heldCourses.length > 0 && type !== 'dine-in') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Solo los pedidos en mesa pueden retener cursos'
       });
+    }
 
-      if (!inventoryItem) {
-        return res.status(400).json({
-          status: 'error',
-          message: `Producto ${item.inventoryItem} no encontrado`
-        });
-      }
+    // Dine-in orders sit at a table of the floor plan (free text numbers when the restaurant has no tables)
+    const table = type === 'dine-in' ? await Table.resolveForOrder(req.restaurant._id, tableId, tableNumber) : null;
 
-      if (inventoryItem.quantity < item.quantity) {
-        return res.status(400).json({
-          status: 'error',
-          message: `Stock insuficiente para ${inventoryItem.name}. Disponible: ${inventoryItem.quantity}`
-        });
-      }
+    // Menu items and bundles become order items priced for the channel
+    const { orderItems, orderBundles } = await buildOrderLines(req, type, items, bundles);
 
-      orderItems.push({
-        inventoryItem: inventoryItem._id,
-        name: inventoryItem.name,
-        quantity: item.quantity,
-        unitPrice: inventoryItem.sellingPrice,
-        cost: inventoryItem.costPrice, // Add cost here
-        totalPrice: inventoryItem.sellingPrice * item.quantity
+    // Validate stock of the items or of their recipe ingredients
+    const shortages = await Recipe.checkAvailability(req.restaurant, orderItems);
+    if (shortages.length > 0) {
+      const shortage = shortages[0];
+      return res.status(400).json({
+        status: 'error',
+        message: `Stock insuficiente para ${shortage.name}. Disponible: ${shortage.available}, requerido: ${shortage.required}`,
+        shortages
       });
     }
 
+    // Automatic promotions and coupons; coupon uses are counted once the order is valid
+    const promotions = await Promotion.evaluate(req.restaurant, orderItems, coupons);
+
     // Create order
     const orderData = {
       customer,
       type,
-      tableNumber,
+      table: table ? table._id : undefined,
+      tableNumber: table ? table.number : tableNumber,
       items: orderItems,
+      bundles: orderBundles,
+      courses: [...new Set(heldCourses)].map(course => ({ course, status: 'held', heldAt: new Date() })),
+      promotions,
+      pricesIncludeTax: req.restaurant.settings.pricesIncludeTax,
       paymentMethod,
       notes,
       restaurant: req.restaurant,
@@ -217,7 +282,29 @@ router.post('/', [
     };
 
     const order = new Order(orderData);
-    await order.save();
+
+    // The table is taken first; when a step fails nothing of the order is kept
+    let redeemed = false;
+    try {
+      if (table) {
+        await table.occupy(order._id);
+      }
+      await Promotion.redeem(promotions);
+      redeemed = true;
+      await order.save();
+    } catch (error) {
+      if (redeemed) {
+        await Promotion.release(promotions);
+      }
+      if (table) {
+        await table.release(order._id);
+      }
+      throw error;
+    }
+
+    if (table) {
+      await Table.broadcast(req.io, req.restaurant._id, [table._id], 'occupied');
+    }
 
     // Populate order for response
     await order.populate([
@@ -230,6 +317,7 @@ router.post('/', [
       type: 'created',
       order
     });
+    order.notifyKitchen(req.io, 'created');
 
     res.status(201).json({
       status: 'success',
@@ -237,6 +325,13 @@ router.post('/', [
       data: { order }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     console.error('Create order error:', error);
     res.status(500).json({
       status: 'error',
@@ -254,8 +349,6 @@ router.put('/:id', [
   body('customer.phone').optional().trim().isLength({ max: 20 }).withMessage('Teléfono muy largo'),
   body('customer.email').optional().isEmail().normalizeEmail().withMessage('Email inválido'),
   body('type').optional().isIn(['dine-in', 'takeout', 'delivery']).withMessage('Tipo de pedido inválido'),
-  body('tableNumber').optional().trim().isLength({ max: 10 }).withMessage('Número de mesa muy largo'),
-  body('paymentMethod').optional().isIn(['cash', 'card', 'transfer', 'mixed']).withMessage('Método de pago inválido'),
   body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
 ], async (req, res) => {
   try {
@@ -281,8 +374,28 @@ router.put('/:id', [
       });
     }
 
-    // Update order
-    Object.assign(order, req.body);
+    // The lines were priced and checked for the channel of the order
+    if (req.body.type !== undefined && req.body.type !== order.type && order.items.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No se puede cambiar el tipo de un pedido con items, sus precios son los del canal actual'
+      });
+    }
+
+    // Update order (prices, discounts, payments and the table have their own endpoints;
+    // the payment method comes from the payments)
+    const fields = ['customer', 'type', 'notes'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) order[field] = req.body[field];
+    });
+
+    // The table is free once the order is no longer eaten there
+    let releasedTables = [];
+    if (order.table && order.type !== 'dine-in') {
+      releasedTables = await order.releaseTable();
+      order.table = undefined;
+      order.tableNumber = undefined;
+    }
     await order.save();
 
     // Populate order for response
@@ -297,6 +410,9 @@ router.put('/:id', [
       type: 'updated',
       order
     });
+    if (releasedTables.length > 0) {
+      await Table.broadcast(req.io, req.restaurant._id, releasedTables, 'released');
+    }
 
     res.json({
       status: 'success',
@@ -313,11 +429,12 @@ router.put('/:id', [
 });
 
 // @route   PUT /api/orders/:id/status
-// @desc    Update order status
+// @desc    Update order status (only the allowed transitions for the user role)
 // @access  Private
 router.put('/:id/status', [
   auth,
-  body('status').isIn(['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled']).withMessage('Estado inválido')
+  body('status').isIn(['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled']).withMessage('Estado inválido'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('El motivo no puede exceder 200 caracteres')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -329,7 +446,7 @@ router.put('/:id/status', [
       });
     }
 
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     const order = await Order.findOne({
       _id: req.params.id,
@@ -344,7 +461,9 @@ router.put('/:id/status', [
       });
     }
 
-    await order.updateStatus(status);
+    await order.updateStatus(status, req.user, reason);
+
+    const releasedTables = status === 'cancelled' ? await order.releaseTable() : [];
 
     // Populate order for response
     await order.populate([
@@ -358,13 +477,24 @@ router.put('/:id/status', [
       type: 'status_updated',
       order
     });
+    order.notifyKitchen(req.io, 'status_updated');
+    if (releasedTables.length > 0) {
+      await Table.broadcast(req.io, req.restaurant._id, releasedTables, 'released');
+    }
 
     res.json({
       status: 'success',
       message: 'Estado del pedido actualizado exitosamente',
-      data: { order }
+      data: { order, nextStatuses: order.nextStatuses(req.user.role) }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     console.error('Update order status error:', error);
     res.status(500).json({
       status: 'error',
@@ -373,11 +503,193 @@ router.put('/:id/status', [
   }
 });
 
-// @route   DELETE /api/orders/:id
-// @desc    Delete order
+// @route   POST /api/orders/:id/items
+// @desc    Add items or bundles to an open order (a new round on a tab)
 // @access  Private
-router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+router.post('/:id/items', [
+  auth,
+  body('items').optional().isArray().withMessage('Items debe ser un array'),
+  body('items').custom((items, { req }) => (items && items.length > 0) || (req.body.bundles && req.body.bundles.length > 0))
+    .withMessage('Debe tener al menos un item o combo'),
+  body('items.*.menuItem').isMongoId().withMessage('ID de producto del menú inválido'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Cantidad debe ser al menos 1'),
+  body('items.*.course').optional().isIn(['entrada', 'plato_fuerte', 'postre']).withMessage('Curso inválido'),
+  body('items.*.seat').optional().isInt({ min: 1 }).withMessage('El asiento debe ser un número mayor a 0'),
+  body('items.*.modifiers').optional().isArray().withMessage('Modificadores debe ser un array'),
+  body('items.*.modifiers.*.option').isMongoId().withMessage('ID de modificador inválido'),
+  body('items.*.modifiers.*.quantity').optional().isInt({ min: 1 }).withMessage('Cantidad del modificador debe ser al menos 1'),
+  body('bundles').optional().isArray().withMessage('Combos debe ser un array'),
+  body('bundles.*.bundle').isMongoId().withMessage('ID de combo inválido'),
+  body('bundles.*.quantity').isInt({ min: 1 }).withMessage('Cantidad debe ser al menos 1'),
+  body('bundles.*.course').optional().isIn(['entrada', 'plato_fuerte', 'postre']).withMessage('Curso inválido'),
+  body('bundles.*.seat').optional().isInt({ min: 1 }).withMessage('El asiento debe ser un número mayor a 0'),
+  body('bundles.*.selections').isArray({ min: 1 }).withMessage('Debe elegir los productos del combo'),
+  body('bundles.*.selections.*.slot').isMongoId().withMessage('ID de opción del combo inválido'),
+  body('bundles.*.selections.*.menuItem').isMongoId().withMessage('ID de producto del menú inválido'),
+  body('bundles.*.selections.*.modifiers').optional().isArray().withMessage('Modificadores debe ser un array'),
+  body('bundles.*.selections.*.modifiers.*.option').isMongoId().withMessage('ID de modificador inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const order = await findOpenOrder(req);
+    const before = snapshotLines(order);
+
+    const { orderItems, orderBundles } = await buildOrderLines(req, order.type, req.body.items, req.body.bundles);
+
+    // Same stock validation as a new order, for the new lines
+    const shortages = await Recipe.checkAvailability(req.restaurant, orderItems);
+    if (shortages.length > 0) {
+      const shortage = shortages[0];
+      return res.status(400).json({
+        status: 'error',
+        message: `Stock insuficiente para ${shortage.name}. Disponible: ${shortage.available}, requerido: ${shortage.required}`,
+        shortages
+      });
+    }
+
+    orderBundles.forEach(bundleLine => order.bundles.push(bundleLine));
+    orderItems.forEach(item => order.addItem(item));
+
+    await saveLines(req, res, order, before, 'Items agregados al pedido');
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Add order items error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/orders/:id/items/:itemId
+// @desc    Change the quantity of an item of an open order
+// @access  Private
+router.put('/:id/items/:itemId', [
+  auth,
+  body('quantity').isInt({ min: 1 }).withMessage('Cantidad debe ser al menos 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const order = await findOpenOrder(req);
+    const before = snapshotLines(order);
+    const item = order.items.id(req.params.itemId);
+    const quantity = parseInt(req.body.quantity);
+
+    if (item && quantity > item.quantity) {
+      const shortages = await Recipe.checkAvailability(req.restaurant, [{
+        inventoryItem: item.inventoryItem,
+        quantity: quantity - item.quantity,
+        modifiers: item.modifiers
+      }]);
+      if (shortages.length > 0) {
+        const shortage = shortages[0];
+        return res.status(400).json({
+          status: 'error',
+          message: `Stock insuficiente para ${shortage.name}. Disponible: ${shortage.available}, requerido: ${shortage.required}`,
+          shortages
+        });
+      }
+    }
+
+    if (item && quantity < item.quantity) {
+      checkPreparedRemoval(req, [item]);
+    }
+
+    order.adjustItem(req.params.itemId, quantity);
+
+    await saveLines(req, res, order, before, 'Cantidad actualizada');
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Adjust order item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/orders/:id/items/:itemId
+// @desc    Remove an item of an open order (bundle components remove their whole bundle)
+// @access  Private
+router.delete('/:id/items/:itemId', auth, async (req, res) => {
+  try {
+    const order = await findOpenOrder(req);
+    const before = snapshotLines(order);
+
+    const item = order.items.id(req.params.itemId);
+    if (item) {
+      checkPreparedRemoval(req, item.bundleLine
+        ? order.items.filter(orderItem => orderItem.bundleLine && orderItem.bundleLine.equals(item.bundleLine))
+        : [item]);
+    }
+
+    order.removeItem(req.params.itemId);
+
+    await saveLines(req, res, order, before, 'Item eliminado del pedido');
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Remove order item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/orders/:id/table
+// @desc    Move a dine-in order to another table (by id or number)
+// @access  Private
+router.put('/:id/table', [
+  auth,
+  body('table').optional().isMongoId().withMessage('ID de mesa inválido'),
+  body('tableNumber').optional().trim().isLength({ min: 1, max: 10 }).withMessage('Número de mesa inválido'),
+  body('table').custom((table, { req }) => Boolean(table || req.body.tableNumber))
+    .withMessage('Debe indicar la mesa de destino')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
     const order = await Order.findOne({
       _id: req.params.id,
       restaurant: req.restaurant,
@@ -391,32 +703,67 @@ router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) =>
       });
     }
 
-    // Restore inventory quantities if order is not delivered
-    if (order.status !== 'delivered') {
-      for (const item of order.items) {
-        await InventoryItem.findByIdAndUpdate(
-          item.inventoryItem,
-          { $inc: { quantity: item.quantity } }
-        );
+    if (order.type !== 'dine-in' || order.paymentStatus === 'paid') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Solo se pueden mover pedidos en mesa sin pagar'
+      });
+    }
+
+    const table = await Table.resolveForOrder(req.restaurant._id, req.body.table, req.body.tableNumber);
+    if (table && order.table && table._id.equals(order.table)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `El pedido ya está en la mesa ${table.number}`
+      });
+    }
+
+    // The new table is taken before the order moves and the old one is freed after,
+    // so a failure does not leave the order without a table
+    const previousTable = order.table ? await Table.findById(order.table) : null;
+    try {
+      if (table) {
+        await table.occupy(order._id);
       }
+      order.table = table ? table._id : undefined;
+      order.tableNumber = table ? table.number : req.body.tableNumber;
+      await order.save();
+    } catch (error) {
+      if (table) {
+        await table.release(order._id);
+      }
+      throw error;
     }
 
-    // Soft delete order
-    order.isActive = false;
-    await order.save();
+    const changedTables = previousTable ? await previousTable.release(order._id) : [];
+    if (table) {
+      changedTables.push(table._id);
+    }
 
     // Emit real-time update
     req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
-      type: 'deleted',
-      orderId: req.params.id
+      type: 'table_changed',
+      order
     });
+    order.notifyKitchen(req.io, 'table_changed');
+    if (changedTables.length > 0) {
+      await Table.broadcast(req.io, req.restaurant._id, changedTables, 'order_moved');
+    }
 
     res.json({
       status: 'success',
-      message: 'Pedido eliminado exitosamente'
+      message: `Pedido movido a la mesa ${order.tableNumber}`,
+      data: { order }
     });
   } catch (error) {
-    console.error('Delete order error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Move order table error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Error interno del servidor'
@@ -424,28 +771,82 @@ router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) =>
   }
 });
 
-// @route   GET /api/orders/summary/daily
-// @desc    Get daily orders summary
+// @route   PUT /api/orders/:id/courses/:course/hold
+// @desc    Hold a course of a dine-in order so the kitchen does not start it
 // @access  Private
-router.get('/summary/daily', [
+router.put('/:id/courses/:course/hold', auth, async (req, res) => {
+  await changeCourse(req, res, 'hold');
+});
+
+// @route   PUT /api/orders/:id/courses/:course/fire
+// @desc    Fire a held course, its items reach the kitchen stations
+// @access  Private
+router.put('/:id/courses/:course/fire', auth, async (req, res) => {
+  await changeCourse(req, res, 'fire');
+});
+
+// @route   POST /api/orders/:id/coupons
+// @desc    Apply a coupon code to an order (automatic promotions are recalculated)
+// @access  Private
+router.post('/:id/coupons', [
   auth,
-  query('date').optional().isISO8601().withMessage('Fecha inválida')
+  body('code').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Código de cupón inválido')
 ], async (req, res) => {
   try {
-    const date = req.query.date ? new Date(req.query.date) : new Date();
-    const summary = await Order.getDailySales(req.restaurant, date);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const order = await findDiscountableOrder(req);
+    const code = req.body.code.toUpperCase();
+    const codes = order.promotions.filter(promotion => promotion.code).map(promotion => promotion.code);
+
+    if (codes.includes(code)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cupón ${code} ya aplicado al pedido`
+      });
+    }
+
+    const promotions = await Promotion.evaluate(req.restaurant, order.items, [...codes, code]);
+    const redeemed = promotions.filter(promotion => promotion.code === code);
+    await Promotion.redeem(redeemed);
+
+    order.promotions = [
+      ...promotions,
+      ...order.promotions.filter(promotion => promotion.type === 'manual')
+    ];
+    try {
+      await order.save();
+    } catch (error) {
+      await Promotion.release(redeemed);
+      throw error;
+    }
+
+    req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+      type: 'updated',
+      order
+    });
 
     res.json({
       status: 'success',
-      data: { summary: summary[0] || {
-        totalOrders: 0,
-        totalRevenue: 0,
-        averageOrderValue: 0,
-        statusBreakdown: []
-      }}
+      message: 'Cupón aplicado exitosamente',
+      data: { order }
     });
   } catch (error) {
-    console.error('Get daily summary error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Apply coupon error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Error interno del servidor'
@@ -453,4 +854,770 @@ router.get('/summary/daily', [
   }
 });
 
+// @route   POST /api/orders/:id/discounts
+// @desc    Apply a manual discount (amount or percentage), requires manager approval
+// @access  Private
+router.post('/:id/discounts', [
+  auth,
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('El descuento debe ser un número positivo'),
+  body('percentage').optional().isFloat({ min: 0.01, max: 100 }).withMessage('El porcentaje debe ser entre 0 y 100'),
+  body('amount').custom((amount, { req }) => (amount === undefined) !== (req.body.percentage === undefined))
+    .withMessage('Debe indicar el monto o el porcentaje del descuento'),
+  body('reason').trim().isLength({ min: 1, max: 200 }).withMessage('El motivo es requerido y debe tener máximo 200 caracteres'),
+  body('approval.email').optional().isEmail().withMessage('Email del gerente inválido'),
+  body('approval.password').optional().isString().withMessage('Contraseña del gerente inválida'),
+  managerApproval
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const order = await findDiscountableOrder(req);
+    const { amount, percentage, reason } = req.body;
+
+    order.promotions.push({
+      name: percentage !== undefined ? `Descuento manual ${percentage}%` : 'Descuento manual',
+      type: 'manual',
+      amount: percentage !== undefined ? order.subtotal * percentage / 100 : amount,
+      reason,
+      approvedBy: req.approvedBy
+    });
+    await order.save();
+
+    req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+      type: 'updated',
+      order
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Descuento aplicado exitosamente',
+      data: { order }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Apply manual discount error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/orders/:id/discounts/:discountId
+// @desc    Remove a promotion, coupon or manual discount from an order
+// @access  Private
+router.delete('/:id/discounts/:discountId', auth, async (req, res) => {
+  try {
+    const order = await findDiscountableOrder(req);
+    const discount = order.promotions.id(req.params.discountId);
+
+    if (!discount) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Descuento no encontrado'
+      });
+    }
+
+    await Promotion.release([discount]);
+    order.promotions.pull(discount._id);
+    await order.save();
+
+    req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+      type: 'updated',
+      order
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Descuento eliminado exitosamente',
+      data: { order }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Remove discount error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/orders/:id/payments
+// @desc    Get the payments of an order with what is paid and due, per check when the bill is split
+// @access  Private
+router.get('/:id/payments', auth, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    }).populate([
+      { path: 'payments.receivedBy', select: 'name email' },
+      { path: 'payments.refundedBy', select: 'name email' }
+    ]);
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        paymentStatus: order.paymentStatus,
+        splitMode: order.splitMode,
+        payments: order.payments,
+        summary: order.paymentSummary()
+      }
+    });
+  } catch (error) {
+    console.error('Get order payments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/orders/:id/checks
+// @desc    Split the bill in separate checks by item, by seat or in equal parts
+// @access  Private
+router.post('/:id/checks', [
+  auth,
+  body('mode').isIn(['item', 'seat', 'equal']).withMessage('Modo de división inválido'),
+  body('parts').custom((parts, { req }) => req.body.mode !== 'equal' || (Number.isInteger(parts) && parts >= 2 && parts <= 20))
+    .withMessage('Las partes deben ser un número entre 2 y 20'),
+  body('checks').custom((checks, { req }) => req.body.mode !== 'item' || (Array.isArray(checks) && checks.length >= 2))
+    .withMessage('Debe indicar al menos dos cuentas'),
+  body('checks.*.name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Nombre de cuenta inválido'),
+  body('checks.*.items').isArray({ min: 1 }).withMessage('Cada cuenta debe tener al menos un item'),
+  body('checks.*.items.*.item').isMongoId().withMessage('ID de item inválido'),
+  body('checks.*.items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('La cantidad debe ser mayor a 0')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    const { mode, checks, parts } = req.body;
+    await order.splitChecks(mode, { checks, parts });
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+      type: 'checks_split',
+      order
+    });
+
+    res.json({
+      status: 'success',
+      message: `Cuenta dividida en ${order.checks.length} cuentas`,
+      data: { order, summary: order.paymentSummary() }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Split order checks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/orders/:id/checks
+// @desc    Join the checks of a split bill again
+// @access  Private
+router.delete('/:id/checks', auth, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    await order.clearChecks();
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+      type: 'checks_joined',
+      order
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Cuenta unida exitosamente',
+      data: { order, summary: order.paymentSummary() }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Join order checks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/orders/:id/payments
+// @desc    Record a payment (cash, card or transfer) for the order or one of its checks
+// @access  Private
+router.post('/:id/payments', [
+  auth,
+  body('method').isIn(['cash', 'card', 'transfer']).withMessage('Método de pago inválido'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('El monto debe ser mayor a 0'),
+  body('tendered').optional().isFloat({ gt: 0 }).withMessage('El efectivo entregado debe ser mayor a 0'),
+  body('check').optional().isMongoId().withMessage('ID de cuenta inválido'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Referencia muy larga')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    const payment = await order.addPayment(req.body, req.user);
+
+    // The table is free once the order is paid
+    let releasedTables = [];
+    if (order.paymentStatus === 'paid') {
+      releasedTables = await order.releaseTable();
+    }
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+      type: 'payment_added',
+      order
+    });
+    if (releasedTables.length > 0) {
+      await Table.broadcast(req.io, req.restaurant._id, releasedTables, 'released');
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: payment.change > 0 ? `Pago registrado, cambio: ${payment.change}` : 'Pago registrado exitosamente',
+      data: { order, payment, summary: order.paymentSummary() }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Add order payment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/orders/:id/payments/:paymentId
+// @desc    Refund a payment (also of cancelled orders)
+// @access  Private
+router.delete('/:id/payments/:paymentId', [
+  auth,
+  authorize('admin', 'manager'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Motivo muy largo')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    // Cancelled orders are inactive but their payments still have to be given back
+    const order = await Order.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      $or: [{ isActive: true }, { status: 'cancelled' }]
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    const payment = await order.refundPayment(req.params.paymentId, req.user, req.body.reason);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+      type: 'payment_refunded',
+      order
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Pago reembolsado exitosamente',
+      data: { order, payment, summary: order.paymentSummary() }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Refund order payment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/orders/:id
+// @desc    Delete order
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    // Restore inventory quantities and coupon uses if order is not delivered
+    if (order.status !== 'delivered') {
+      await order.restoreInventory(req.user._id);
+      await Promotion.release(order.promotions);
+    }
+
+    // Soft delete order
+    order.isActive = false;
+    await order.save();
+
+    const releasedTables = await order.releaseTable();
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+      type: 'deleted',
+      orderId: req.params.id
+    });
+    order.notifyKitchen(req.io, 'deleted');
+    if (releasedTables.length > 0) {
+      await Table.broadcast(req.io, req.restaurant._id, releasedTables, 'released');
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Pedido eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/orders/summary/daily
+// @desc    Get daily orders summary
+// @access  Private
+router.get('/summary/daily', [
+  auth,
+  query('date').optional().isISO8601().withMessage('Fecha inválida')
+], async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const summary = await Order.getDailySales(req.restaurant, date);
+
+    res.json({
+      status: 'success',
+      data: { summary: summary[0] || {
+        totalOrders: 0,
+        totalRevenue: 0,
+        averageOrderValue: 0,
+        statusBreakdown: []
+      }}
+    });
+  } catch (error) {
+    console.error('Get daily summary error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to turn the menu items and bundles of a request into order items priced for the
+// channel, with the price lists in effect now. Throws errors with statusCode when a line cannot be ordered.
+async function buildOrderLines(req, type, items = [], bundles = []) {
+  // Price lists in effect now for the order channel (happy hour, delivery pricing...)
+  const listPrices = await PriceList.resolvePrices(req.restaurant, type);
+
+  // Validate menu items and get prices for the order channel
+  const orderItems = [];
+  for (const item of items) {
+    const menuItem = await MenuItem.findOne({
+      _id: item.menuItem,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!menuItem) {
+      const error = new Error(`Producto ${item.menuItem} no encontrado en el menú`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Throws when the item is 86'd or not offered on the channel
+    const inventoryItem = await menuItem.resolveForOrder(type);
+
+    // Validates required groups and selection limits
+    const modifiers = await ModifierGroup.resolveSelections(req.restaurant, inventoryItem, item.modifiers);
+    const modifiersPrice = modifiers.reduce((sum, modifier) => sum + modifier.priceDelta * modifier.quantity, 0);
+
+    const listPrice = listPrices.get(menuItem._id.toString());
+    const unitPrice = listPrice ? listPrice.price : menuItem.priceFor(type);
+
+    orderItems.push({
+      menuItem: menuItem._id,
+      inventoryItem: inventoryItem._id,
+      name: menuItem.name,
+      quantity: item.quantity,
+      unitPrice,
+      priceList: listPrice ? listPrice.priceList : undefined,
+      priceListName: listPrice ? listPrice.priceListName : undefined,
+      cost: inventoryItem.costPrice, // Estimated, replaced by the actual stock cost when inventory is decremented
+      modifiers,
+      taxClass: menuItem.taxClass,
+      taxRate: req.restaurant.taxRateFor(menuItem.taxClass),
+      station: menuItem.station || await Category.stationFor(menuItem.category || inventoryItem.category),
+      course: item.course || menuItem.course,
+      seat: item.seat,
+      totalPrice: (unitPrice + modifiersPrice) * item.quantity
+    });
+  }
+
+  // Bundles become component items carrying their share of the bundle price
+  const orderBundles = [];
+  for (const line of bundles) {
+    const bundle = await Bundle.findOne({
+      _id: line.bundle,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!bundle) {
+      const error = new Error(`Combo ${line.bundle} no encontrado`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const bundleLineId = new mongoose.Types.ObjectId();
+    const components = await bundle.buildOrderItems(line.quantity, line.selections, type);
+
+    for (const component of components) {
+      const modifiersPrice = component.modifiers.reduce((sum, modifier) => sum + modifier.priceDelta * modifier.quantity, 0);
+      orderItems.push({
+        ...component,
+        bundleLine: bundleLineId,
+        course: line.course,
+        seat: line.seat,
+        taxRate: req.restaurant.taxRateFor(component.taxClass),
+        totalPrice: (component.unitPrice + modifiersPrice) * component.quantity
+      });
+    }
+
+    orderBundles.push({
+      _id: bundleLineId,
+      bundle: bundle._id,
+      name: bundle.name,
+      quantity: line.quantity,
+      unitPrice: bundle.price
+    });
+  }
+
+  return { orderItems, orderBundles };
+}
+
+// Helper function to get an order whose lines can still change.
+// Throws errors with statusCode when it does not exist, is closed or its bill is split.
+async function findOpenOrder(req) {
+  const order = await Order.findOne({
+    _id: req.params.id,
+    restaurant: req.restaurant,
+    isActive: true
+  });
+
+  if (!order) {
+    const error = new Error('Pedido no encontrado');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!order.isOpen()) {
+    const error = new Error('El pedido ya fue entregado, cancelado o pagado, no se pueden cambiar sus items');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // The payments were taken for the total of these items and discounts
+  if (order.hasPayments()) {
+    const error = new Error('El pedido tiene pagos registrados, reembólselos antes de cambiar sus items');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Checks are made from the items, they would no longer add up to the total
+  if (order.checks.length > 0) {
+    const error = new Error('La cuenta está dividida, únala antes de cambiar los items');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return order;
+}
+
+// Helper function to check the user can take away items the kitchen already prepared (managers only)
+function checkPreparedRemoval(req, items) {
+  const prepared = items.find(item => item.prepStatus === 'ready');
+  if (prepared && !['admin', 'manager'].includes(req.user.role)) {
+    const error = new Error(`${prepared.name} ya fue preparado, solo un gerente puede quitarlo`);
+    error.statusCode = 403;
+    throw error;
+  }
+}
+
+// Helper function to keep the lines of an order before changing them
+function snapshotLines(order) {
+  return {
+    items: order.items.map(item => ({ _id: item._id, name: item.name, quantity: item.quantity })),
+    stations: order.kitchenStations()
+  };
+}
+
+// Helper function to recalculate the promotions, save the changed lines of an order and send
+// the line diff (added, removed and changed quantities) to the order and station screens
+async function saveLines(req, res, order, before, message) {
+  // Promotions and coupons are evaluated again as of when the order was opened. Coupons that no
+  // longer apply (below their minimum subtotal or without their items) are dropped and their use given back.
+  const coupons = order.promotions.filter(promotion => promotion.code);
+  let codes = coupons.map(promotion => promotion.code);
+  let promotions;
+  while (!promotions) {
+    try {
+      promotions = await Promotion.evaluate(req.restaurant, order.items, codes, order.createdAt);
+    } catch (error) {
+      if (!error.coupon || !codes.includes(error.coupon)) throw error;
+      codes = codes.filter(code => code !== error.coupon);
+    }
+  }
+  const removedCoupons = coupons.filter(promotion => !codes.includes(promotion.code));
+
+  order.promotions = [
+    ...promotions,
+    ...order.promotions.filter(promotion => promotion.type === 'manual')
+  ];
+
+  await order.saveLineChanges(req.user);
+  await Promotion.release(removedCoupons);
+
+  const afterById = new Map(order.items.map(item => [item._id.toString(), item]));
+  const beforeIds = new Set(before.items.map(item => item._id.toString()));
+  const lines = {
+    added: order.items
+      .filter(item => !beforeIds.has(item._id.toString()))
+      .map(item => ({ _id: item._id, name: item.name, quantity: item.quantity })),
+    removed: before.items
+      .filter(item => !afterById.has(item._id.toString()))
+      .map(item => ({ _id: item._id, name: item.name, quantity: item.quantity })),
+    changed: before.items
+      .filter(item => afterById.has(item._id.toString()) && afterById.get(item._id.toString()).quantity !== item.quantity)
+      .map(item => ({
+        _id: item._id,
+        name: item.name,
+        from: item.quantity,
+        to: afterById.get(item._id.toString()).quantity
+      }))
+  };
+
+  // Populate order for response
+  await order.populate([
+    { path: 'createdBy', select: 'name email' },
+    { path: 'items.inventoryItem', select: 'name category unit' }
+  ]);
+
+  // Emit real-time update
+  req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+    type: 'items_updated',
+    order,
+    lines,
+    removedCoupons: removedCoupons.map(promotion => promotion.code)
+  });
+  order.notifyKitchen(req.io, 'items_updated', [...new Set([...before.stations, ...order.kitchenStations()])]);
+
+  res.json({
+    status: 'success',
+    message,
+    data: { order, lines, removedCoupons: removedCoupons.map(promotion => promotion.code) }
+  });
+}
+
+// Helper function to hold or fire a course and notify the order and station screens
+async function changeCourse(req, res, action) {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    if (action === 'hold') {
+      await order.holdCourse(req.params.course);
+    } else {
+      await order.fireCourse(req.params.course, req.user);
+    }
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('order-updated', {
+      type: action === 'hold' ? 'course_held' : 'course_fired',
+      order
+    });
+    order.notifyKitchen(req.io, action === 'hold' ? 'course_held' : 'course_fired');
+
+    res.json({
+      status: 'success',
+      message: action === 'hold' ? 'Curso retenido' : 'Curso en marcha',
+      data: { order }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error(`Order course ${action} error:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+// Helper function to get an order whose discounts can still change.
+// Throws errors with statusCode when it does not exist or has payments that were not refunded.
+async function findDiscountableOrder(req) {
+  const order = await Order.findOne({
+    _id: req.params.id,
+    restaurant: req.restaurant,
+    isActive: true
+  });
+
+  if (!order) {
+    const error = new Error('Pedido no encontrado');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // The payments were taken for the total with these discounts
+  if (order.hasPayments()) {
+    const error = new Error('El pedido tiene pagos registrados, reembólselos antes de cambiar sus descuentos');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return order;
+}
+
 module.exports = router;
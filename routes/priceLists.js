@@ -0,0 +1,311 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const PriceList = require('../models/PriceList');
+const MenuItem = require('../models/MenuItem');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// @route   GET /api/price-lists
+// @desc    Get all price lists
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const priceLists = await PriceList.find({
+      restaurant: req.restaurant,
+      isActive: true
+    })
+    .populate('items.menuItem', 'name price')
+    .sort({ priority: -1, name: 1 });
+
+    res.json({
+      status: 'success',
+      data: { priceLists }
+    });
+  } catch (error) {
+    console.error('Get price lists error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/price-lists/current
+// @desc    Get the prices that would be charged now on a channel
+// @access  Private
+router.get('/current', [
+  auth,
+  query('channel').isIn(['dine-in', 'takeout', 'delivery']).withMessage('Canal inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const listPrices = await PriceList.resolvePrices(req.restaurant, req.query.channel);
+    const prices = [...listPrices].map(([menuItem, listPrice]) => ({ menuItem, ...listPrice }));
+
+    res.json({
+      status: 'success',
+      data: { prices }
+    });
+  } catch (error) {
+    console.error('Get current prices error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/price-lists/:id
+// @desc    Get single price list
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const priceList = await PriceList.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    }).populate('items.menuItem', 'name price');
+
+    if (!priceList) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lista de precios no encontrada'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { priceList }
+    });
+  } catch (error) {
+    console.error('Get price list error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/price-lists
+// @desc    Create price list
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre es requerido y debe tener máximo 100 caracteres'),
+  body('channels').optional().isArray().withMessage('Canales debe ser un array'),
+  body('channels.*').isIn(['dine-in', 'takeout', 'delivery']).withMessage('Canal inválido'),
+  body('startDate').optional({ values: 'null' }).isISO8601().withMessage('Fecha de inicio inválida'),
+  body('endDate').optional({ values: 'null' }).isISO8601().withMessage('Fecha de fin inválida'),
+  body('schedules').optional().isArray().withMessage('Horarios debe ser un array'),
+  body('schedules.*.days').optional().isArray().withMessage('Días debe ser un array'),
+  body('schedules.*.days.*').isIn(WEEKDAYS).withMessage('Día inválido'),
+  body('schedules.*.startTime').matches(TIME_PATTERN).withMessage('La hora de inicio debe tener formato HH:MM'),
+  body('schedules.*.endTime').matches(TIME_PATTERN).withMessage('La hora de fin debe tener formato HH:MM'),
+  body('priority').optional().isInt().withMessage('La prioridad debe ser un número entero'),
+  body('items').isArray({ min: 1 }).withMessage('Debe tener al menos un producto'),
+  body('items.*.menuItem').isMongoId().withMessage('ID de producto del menú inválido'),
+  body('items.*.price').isFloat({ min: 0 }).withMessage('El precio debe ser un número no negativo')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { name, channels, startDate, endDate, schedules, priority, items } = req.body;
+
+    const itemError = await validateItems(req.restaurant, items);
+    if (itemError) {
+      return res.status(400).json({
+        status: 'error',
+        message: itemError
+      });
+    }
+
+    const priceList = new PriceList({
+      name,
+      channels,
+      startDate,
+      endDate,
+      schedules,
+      priority,
+      items,
+      restaurant: req.restaurant
+    });
+    await priceList.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Lista de precios creada exitosamente',
+      data: { priceList }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Create price list error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/price-lists/:id
+// @desc    Update price list
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre debe tener máximo 100 caracteres'),
+  body('channels').optional().isArray().withMessage('Canales debe ser un array'),
+  body('channels.*').isIn(['dine-in', 'takeout', 'delivery']).withMessage('Canal inválido'),
+  body('startDate').optional({ values: 'null' }).isISO8601().withMessage('Fecha de inicio inválida'),
+  body('endDate').optional({ values: 'null' }).isISO8601().withMessage('Fecha de fin inválida'),
+  body('schedules').optional().isArray().withMessage('Horarios debe ser un array'),
+  body('schedules.*.days').optional().isArray().withMessage('Días debe ser un array'),
+  body('schedules.*.days.*').isIn(WEEKDAYS).withMessage('Día inválido'),
+  body('schedules.*.startTime').matches(TIME_PATTERN).withMessage('La hora de inicio debe tener formato HH:MM'),
+  body('schedules.*.endTime').matches(TIME_PATTERN).withMessage('La hora de fin debe tener formato HH:MM'),
+  body('priority').optional().isInt().withMessage('La prioridad debe ser un número entero'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Debe tener al menos un producto'),
+  body('items.*.menuItem').isMongoId().withMessage('ID de producto del menú inválido'),
+  body('items.*.price').isFloat({ min: 0 }).withMessage('El precio debe ser un número no negativo')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const priceList = await PriceList.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!priceList) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lista de precios no encontrada'
+      });
+    }
+
+    const { items } = req.body;
+    if (items) {
+      const itemError = await validateItems(req.restaurant, items);
+      if (itemError) {
+        return res.status(400).json({
+          status: 'error',
+          message: itemError
+        });
+      }
+    }
+
+    const fields = ['name', 'channels', 'startDate', 'endDate', 'schedules', 'priority', 'items'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) priceList[field] = req.body[field];
+    });
+
+    await priceList.save();
+
+    res.json({
+      status: 'success',
+      message: 'Lista de precios actualizada exitosamente',
+      data: { priceList }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Update price list error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/price-lists/:id
+// @desc    Delete price list
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const priceList = await PriceList.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        restaurant: req.restaurant,
+        isActive: true
+      },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!priceList) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lista de precios no encontrada'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Lista de precios eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete price list error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to check the menu items of the list exist.
+// Returns an error message or null when they do.
+async function validateItems(restaurantId, items) {
+  const menuItemIds = [...new Set(items.map(item => item.menuItem.toString()))];
+
+  const found = await MenuItem.countDocuments({
+    _id: { $in: menuItemIds },
+    restaurant: restaurantId,
+    isActive: true
+  });
+
+  if (found !== menuItemIds.length) {
+    return 'Producto del menú no encontrado';
+  }
+
+  return null;
+}
+
+module.exports = router;
@@ -0,0 +1,324 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Promotion = require('../models/Promotion');
+const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/promotions
+// @desc    Get all promotions (?coupons=true only coupons, false only automatic)
+// @access  Private
+router.get('/', [
+  auth,
+  query('coupons').optional().isBoolean().withMessage('Coupons debe ser booleano')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {
+      restaurant: req.restaurant,
+      isActive: true
+    };
+
+    if (req.query.coupons) {
+      filter.code = req.query.coupons === 'true' ? { $type: 'string' } : null;
+    }
+
+    const promotions = await Promotion.find(filter)
+      .populate('menuItems', 'name')
+      .populate('categories', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: { promotions }
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/promotions/:id
+// @desc    Get single promotion
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    })
+    .populate('menuItems', 'name')
+    .populate('categories', 'name');
+
+    if (!promotion) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promoción no encontrada'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { promotion }
+    });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/promotions
+// @desc    Create promotion or coupon
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre es requerido y debe tener máximo 100 caracteres'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
+  body('type').isIn(['percentage', 'fixed', 'buy_x_get_y']).withMessage('Tipo de promoción inválido'),
+  body('value').isFloat({ min: 0 }).withMessage('El valor debe ser un número no negativo'),
+  body('buyQuantity').optional().isInt({ min: 1 }).withMessage('La cantidad a comprar debe ser al menos 1'),
+  body('getQuantity').optional().isInt({ min: 1 }).withMessage('La cantidad a llevar debe ser al menos 1'),
+  body('scope').optional().isIn(['order', 'items', 'categories']).withMessage('Alcance inválido'),
+  body('menuItems').optional().isArray().withMessage('Productos debe ser un array'),
+  body('menuItems.*').isMongoId().withMessage('ID de producto del menú inválido'),
+  body('categories').optional().isArray().withMessage('Categorías debe ser un array'),
+  body('categories.*').isMongoId().withMessage('Categoría inválida'),
+  body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('El subtotal mínimo debe ser un número no negativo'),
+  body('code').optional({ values: 'null' }).trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('El código debe tener entre 3 y 30 letras, números, - o _'),
+  body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('El límite de usos debe ser al menos 1'),
+  body('startDate').optional({ values: 'null' }).isISO8601().withMessage('Fecha de inicio inválida'),
+  body('endDate').optional({ values: 'null' }).isISO8601().withMessage('Fecha de fin inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const referenceError = await validateReferences(req.restaurant, req.body, null);
+    if (referenceError) {
+      return res.status(400).json({
+        status: 'error',
+        message: referenceError
+      });
+    }
+
+    const {
+      name, description, type, value, buyQuantity, getQuantity, scope, menuItems, categories,
+      minSubtotal, code, usageLimit, startDate, endDate
+    } = req.body;
+
+    const promotion = new Promotion({
+      name,
+      description,
+      type,
+      value,
+      buyQuantity,
+      getQuantity,
+      scope,
+      menuItems,
+      categories,
+      minSubtotal,
+      code,
+      usageLimit,
+      startDate,
+      endDate,
+      restaurant: req.restaurant
+    });
+    await promotion.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Promoción creada exitosamente',
+      data: { promotion }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Create promotion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/promotions/:id
+// @desc    Update promotion (already applied discounts do not change)
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre debe tener máximo 100 caracteres'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('La descripción no puede exceder 500 caracteres'),
+  body('type').optional().isIn(['percentage', 'fixed', 'buy_x_get_y']).withMessage('Tipo de promoción inválido'),
+  body('value').optional().isFloat({ min: 0 }).withMessage('El valor debe ser un número no negativo'),
+  body('buyQuantity').optional().isInt({ min: 1 }).withMessage('La cantidad a comprar debe ser al menos 1'),
+  body('getQuantity').optional().isInt({ min: 1 }).withMessage('La cantidad a llevar debe ser al menos 1'),
+  body('scope').optional().isIn(['order', 'items', 'categories']).withMessage('Alcance inválido'),
+  body('menuItems').optional().isArray().withMessage('Productos debe ser un array'),
+  body('menuItems.*').isMongoId().withMessage('ID de producto del menú inválido'),
+  body('categories').optional().isArray().withMessage('Categorías debe ser un array'),
+  body('categories.*').isMongoId().withMessage('Categoría inválida'),
+  body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('El subtotal mínimo debe ser un número no negativo'),
+  body('code').optional({ values: 'null' }).trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('El código debe tener entre 3 y 30 letras, números, - o _'),
+  body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('El límite de usos debe ser al menos 1'),
+  body('startDate').optional({ values: 'null' }).isISO8601().withMessage('Fecha de inicio inválida'),
+  body('endDate').optional({ values: 'null' }).isISO8601().withMessage('Fecha de fin inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!promotion) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promoción no encontrada'
+      });
+    }
+
+    const referenceError = await validateReferences(req.restaurant, req.body, promotion._id);
+    if (referenceError) {
+      return res.status(400).json({
+        status: 'error',
+        message: referenceError
+      });
+    }
+
+    const fields = ['name', 'description', 'type', 'value', 'buyQuantity', 'getQuantity', 'scope', 'menuItems',
+      'categories', 'minSubtotal', 'code', 'usageLimit', 'startDate', 'endDate'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+
+    await promotion.save();
+
+    res.json({
+      status: 'success',
+      message: 'Promoción actualizada exitosamente',
+      data: { promotion }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Update promotion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/promotions/:id
+// @desc    Delete promotion
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        restaurant: req.restaurant,
+        isActive: true
+      },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!promotion) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promoción no encontrada'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Promoción eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to check the menu items and categories exist and the coupon code is free.
+// Returns an error message or null when they are valid.
+async function validateReferences(restaurantId, data, promotionId) {
+  const filter = { restaurant: restaurantId, isActive: true };
+
+  if (data.menuItems && data.menuItems.length > 0) {
+    const found = await MenuItem.countDocuments({ ...filter, _id: { $in: data.menuItems } });
+    if (found !== new Set(data.menuItems).size) {
+      return 'Producto del menú no encontrado';
+    }
+  }
+
+  if (data.categories && data.categories.length > 0) {
+    const found = await Category.countDocuments({ ...filter, _id: { $in: data.categories } });
+    if (found !== new Set(data.categories).size) {
+      return 'Categoría no encontrada';
+    }
+  }
+
+  if (data.code) {
+    const existing = await Promotion.exists({
+      ...filter,
+      code: data.code.toUpperCase(),
+      ...(promotionId && { _id: { $ne: promotionId } })
+    });
+    if (existing) {
+      return `Ya existe un cupón con el código ${data.code.toUpperCase()}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = router;
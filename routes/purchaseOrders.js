@@ -0,0 +1,449 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const InventoryItem = require('../models/InventoryItem');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const populatePaths = [
+  { path: 'supplier', select: 'name contact leadTimeDays' },
+  { path: 'createdBy', select: 'name email' },
+  { path: 'receipts.receivedBy', select: 'name email' },
+  { path: 'lines.inventoryItem', select: 'name unit quantity' }
+];
+
+// @route   GET /api/purchase-orders
+// @desc    Get all purchase orders
+// @access  Private
+router.get('/', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100'),
+  query('status').optional().isIn(['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled']).withMessage('Estado inválido'),
+  query('supplier').optional().isMongoId().withMessage('ID de proveedor inválido'),
+  query('open').optional().isBoolean().withMessage('Open debe ser booleano')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter
+    const filter = {
+      restaurant: req.restaurant,
+      isActive: true
+    };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    } else if (req.query.open === 'true') {
+      filter.status = { $in: PurchaseOrder.OPEN_STATUSES };
+    }
+
+    if (req.query.supplier) {
+      filter.supplier = req.query.supplier;
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(filter)
+      .populate(populatePaths)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await PurchaseOrder.countDocuments(filter);
+
+    res.json({
+      status: 'success',
+      data: {
+        purchaseOrders,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/purchase-orders/:id
+// @desc    Get single purchase order
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    }).populate(populatePaths);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Orden de compra no encontrada'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { purchaseOrder }
+    });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/purchase-orders
+// @desc    Create draft purchase order
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('supplier').isMongoId().withMessage('ID de proveedor inválido'),
+  body('lines').isArray({ min: 1 }).withMessage('Debe tener al menos una línea'),
+  body('lines.*.inventoryItem').isMongoId().withMessage('ID de inventario inválido'),
+  body('lines.*.quantity').isFloat({ gt: 0 }).withMessage('La cantidad debe ser mayor a 0'),
+  body('lines.*.unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
+  body('lines.*.unitCost').optional().isFloat({ min: 0 }).withMessage('El costo unitario debe ser un número no negativo'),
+  body('expectedDate').optional().isISO8601().withMessage('Fecha esperada inválida'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { supplier, lines, expectedDate, notes } = req.body;
+
+    const supplierDoc = await Supplier.findOne({
+      _id: supplier,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!supplierDoc) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    const purchaseOrderLines = await buildLines(req.restaurant, lines);
+
+    const purchaseOrder = new PurchaseOrder({
+      supplier,
+      lines: purchaseOrderLines,
+      expectedDate,
+      notes,
+      createdBy: req.user._id,
+      restaurant: req.restaurant
+    });
+    await purchaseOrder.save();
+
+    await purchaseOrder.populate(populatePaths);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Orden de compra creada exitosamente',
+      data: { purchaseOrder }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Create purchase order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/purchase-orders/:id
+// @desc    Update draft purchase order
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('lines').optional().isArray({ min: 1 }).withMessage('Debe tener al menos una línea'),
+  body('lines.*.inventoryItem').optional().isMongoId().withMessage('ID de inventario inválido'),
+  body('lines.*.quantity').optional().isFloat({ gt: 0 }).withMessage('La cantidad debe ser mayor a 0'),
+  body('lines.*.unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
+  body('lines.*.unitCost').optional().isFloat({ min: 0 }).withMessage('El costo unitario debe ser un número no negativo'),
+  body('expectedDate').optional().isISO8601().withMessage('Fecha esperada inválida'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Orden de compra no encontrada'
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Solo se pueden modificar órdenes de compra en borrador'
+      });
+    }
+
+    const { lines, expectedDate, notes } = req.body;
+
+    if (lines) {
+      purchaseOrder.lines = await buildLines(req.restaurant, lines);
+    }
+    if (expectedDate !== undefined) {
+      purchaseOrder.expectedDate = expectedDate;
+    }
+    if (notes !== undefined) {
+      purchaseOrder.notes = notes;
+    }
+
+    await purchaseOrder.save();
+    await purchaseOrder.populate(populatePaths);
+
+    res.json({
+      status: 'success',
+      message: 'Orden de compra actualizada exitosamente',
+      data: { purchaseOrder }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Update purchase order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/purchase-orders/:id/send
+// @desc    Mark purchase order as sent to the supplier
+// @access  Private
+router.put('/:id/send', [auth, authorize('admin', 'manager')], async (req, res) => {
+  await runTransition(req, res, 'send', 'Orden de compra enviada exitosamente');
+});
+
+// @route   PUT /api/purchase-orders/:id/close
+// @desc    Close purchase order
+// @access  Private
+router.put('/:id/close', [auth, authorize('admin', 'manager')], async (req, res) => {
+  await runTransition(req, res, 'close', 'Orden de compra cerrada exitosamente');
+});
+
+// @route   PUT /api/purchase-orders/:id/cancel
+// @desc    Cancel purchase order
+// @access  Private
+router.put('/:id/cancel', [auth, authorize('admin', 'manager')], async (req, res) => {
+  await runTransition(req, res, 'cancel', 'Orden de compra cancelada exitosamente');
+});
+
+// @route   POST /api/purchase-orders/:id/receive
+// @desc    Receive goods of a purchase order
+// @access  Private
+router.post('/:id/receive', [
+  auth,
+  body('lines').isArray({ min: 1 }).withMessage('Debe recibir al menos una línea'),
+  body('lines.*.lineId').isMongoId().withMessage('ID de línea inválido'),
+  body('lines.*.quantity').isFloat({ gt: 0 }).withMessage('La cantidad recibida debe ser mayor a 0'),
+  body('lines.*.unitCost').optional().isFloat({ min: 0 }).withMessage('El costo unitario debe ser un número no negativo'),
+  body('lines.*.lotNumber').optional().trim().isLength({ max: 50 }).withMessage('Número de lote muy largo'),
+  body('lines.*.expiresAt').optional().isISO8601().withMessage('Fecha de vencimiento inválida'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Orden de compra no encontrada'
+      });
+    }
+
+    const lines = req.body.lines.map(line => ({
+      lineId: line.lineId,
+      quantity: Number(line.quantity),
+      unitCost: line.unitCost !== undefined ? Number(line.unitCost) : undefined,
+      lotNumber: line.lotNumber,
+      expiresAt: line.expiresAt ? new Date(line.expiresAt) : undefined
+    }));
+
+    await purchaseOrder.receive(lines, req.user._id, req.body.notes);
+    await purchaseOrder.populate(populatePaths);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('purchase-order-updated', {
+      type: 'received',
+      purchaseOrder
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Mercancía recibida exitosamente',
+      data: { purchaseOrder }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to run a status transition of a purchase order
+async function runTransition(req, res, transition, successMessage) {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Orden de compra no encontrada'
+      });
+    }
+
+    await purchaseOrder[transition]();
+    await purchaseOrder.populate(populatePaths);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('purchase-order-updated', {
+      type: purchaseOrder.status,
+      purchaseOrder
+    });
+
+    res.json({
+      status: 'success',
+      message: successMessage,
+      data: { purchaseOrder }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error(`Purchase order ${transition} error:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+// Helper function to build purchase order lines from the request
+async function buildLines(restaurantId, lines) {
+  const purchaseOrderLines = [];
+
+  for (const line of lines) {
+    const inventoryItem = await InventoryItem.findOne({
+      _id: line.inventoryItem,
+      restaurant: restaurantId,
+      isActive: true
+    });
+
+    if (!inventoryItem) {
+      const error = new Error(`Producto ${line.inventoryItem} no encontrado`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Lines are ordered in the purchase unit, which must convert to the stock unit
+    const unit = line.unit || inventoryItem.purchaseUnit || inventoryItem.unit;
+    const stockUnitsPerUnit = inventoryItem.toStockQuantity(1, unit);
+
+    purchaseOrderLines.push({
+      inventoryItem: inventoryItem._id,
+      name: inventoryItem.name,
+      unit,
+      quantityOrdered: Number(line.quantity),
+      unitCost: line.unitCost !== undefined
+        ? Number(line.unitCost)
+        : inventoryItem.costPrice * stockUnitsPerUnit
+    });
+  }
+
+  return purchaseOrderLines;
+}
+
+module.exports = router;
@@ -0,0 +1,308 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Recipe = require('../models/Recipe');
+const InventoryItem = require('../models/InventoryItem');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/recipes
+// @desc    Get all recipes
+// @access  Private
+router.get('/', [
+  auth,
+  query('product').optional().isMongoId().withMessage('ID de producto inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {
+      restaurant: req.restaurant,
+      isActive: true
+    };
+
+    if (req.query.product) {
+      filter.product = req.query.product;
+    }
+
+    const recipes = await Recipe.find(filter)
+      .populate('product', 'name category sellingPrice')
+      .populate('ingredients.inventoryItem', 'name category unit quantity costPrice')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: { recipes }
+    });
+  } catch (error) {
+    console.error('Get recipes error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/recipes/:id
+// @desc    Get single recipe
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    })
+    .populate('product', 'name category sellingPrice')
+    .populate('ingredients.inventoryItem', 'name category unit quantity costPrice');
+
+    if (!recipe) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Receta no encontrada'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { recipe }
+    });
+  } catch (error) {
+    console.error('Get recipe error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/recipes
+// @desc    Create recipe
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('product').isMongoId().withMessage('ID de producto inválido'),
+  body('ingredients').isArray({ min: 1 }).withMessage('Debe tener al menos un ingrediente'),
+  body('ingredients.*.inventoryItem').isMongoId().withMessage('ID de ingrediente inválido'),
+  body('ingredients.*.quantity').isFloat({ gt: 0 }).withMessage('La cantidad del ingrediente debe ser mayor a 0'),
+  body('ingredients.*.unit').isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { product, ingredients, notes } = req.body;
+
+    const productItem = await InventoryItem.findOne({
+      _id: product,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!productItem) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const existingRecipe = await Recipe.findOne({
+      restaurant: req.restaurant,
+      product,
+      isActive: true
+    });
+
+    if (existingRecipe) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Ya existe una receta para este producto'
+      });
+    }
+
+    const ingredientError = await validateIngredients(req.restaurant, product, ingredients);
+    if (ingredientError) {
+      return res.status(400).json({
+        status: 'error',
+        message: ingredientError
+      });
+    }
+
+    const recipe = new Recipe({
+      product,
+      ingredients,
+      notes,
+      restaurant: req.restaurant
+    });
+    await recipe.save();
+
+    await recipe.populate([
+      { path: 'product', select: 'name category sellingPrice' },
+      { path: 'ingredients.inventoryItem', select: 'name category unit quantity costPrice' }
+    ]);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Receta creada exitosamente',
+      data: { recipe }
+    });
+  } catch (error) {
+    console.error('Create recipe error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/recipes/:id
+// @desc    Update recipe
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('ingredients').optional().isArray({ min: 1 }).withMessage('Debe tener al menos un ingrediente'),
+  body('ingredients.*.inventoryItem').optional().isMongoId().withMessage('ID de ingrediente inválido'),
+  body('ingredients.*.quantity').optional().isFloat({ gt: 0 }).withMessage('La cantidad del ingrediente debe ser mayor a 0'),
+  body('ingredients.*.unit').optional().isIn(['unidad', 'kg', 'g', 'l', 'ml', 'caja', 'paquete']).withMessage('Unidad inválida'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const recipe = await Recipe.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!recipe) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Receta no encontrada'
+      });
+    }
+
+    const { ingredients, notes } = req.body;
+
+    if (ingredients) {
+      const ingredientError = await validateIngredients(req.restaurant, recipe.product, ingredients);
+      if (ingredientError) {
+        return res.status(400).json({
+          status: 'error',
+          message: ingredientError
+        });
+      }
+      recipe.ingredients = ingredients;
+    }
+
+    if (notes !== undefined) {
+      recipe.notes = notes;
+    }
+
+    await recipe.save();
+
+    await recipe.populate([
+      { path: 'product', select: 'name category sellingPrice' },
+      { path: 'ingredients.inventoryItem', select: 'name category unit quantity costPrice' }
+    ]);
+
+    res.json({
+      status: 'success',
+      message: 'Receta actualizada exitosamente',
+      data: { recipe }
+    });
+  } catch (error) {
+    console.error('Update recipe error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/recipes/:id
+// @desc    Delete recipe
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const recipe = await Recipe.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        restaurant: req.restaurant,
+        isActive: true
+      },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!recipe) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Receta no encontrada'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Receta eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete recipe error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to check that recipe ingredients exist and use compatible units.
+// Returns an error message or null when the ingredients are valid.
+async function validateIngredients(restaurantId, productId, ingredients) {
+  for (const ingredient of ingredients) {
+    if (ingredient.inventoryItem.toString() === productId.toString()) {
+      return 'Un producto no puede ser ingrediente de su propia receta';
+    }
+
+    const stockItem = await InventoryItem.findOne({
+      _id: ingredient.inventoryItem,
+      restaurant: restaurantId,
+      isActive: true
+    });
+
+    if (!stockItem) {
+      return `Ingrediente ${ingredient.inventoryItem} no encontrado`;
+    }
+
+    try {
+      stockItem.toStockQuantity(ingredient.quantity, ingredient.unit);
+    } catch (error) {
+      return `${stockItem.name}: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = router;
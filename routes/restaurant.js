@@ -1,5 +1,7 @@
 const express = require('express');
-const { auth } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const Restaurant = require('../models/Restaurant');
+const { auth, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -23,4 +25,44 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/restaurant/settings/taxes
+// @desc    Update tax settings (general IVA rate, prices with tax included)
+// @access  Private
+router.put('/settings/taxes', [
+  auth,
+  authorize('admin'),
+  body('taxRate').optional().isFloat({ min: 0, max: 1 }).withMessage('La tarifa debe estar entre 0 y 1'),
+  body('pricesIncludeTax').optional().isBoolean().withMessage('pricesIncludeTax debe ser booleano')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const restaurant = await Restaurant.findById(req.restaurant._id);
+    const { taxRate, pricesIncludeTax } = req.body;
+
+    if (taxRate !== undefined) restaurant.settings.taxRate = taxRate;
+    if (pricesIncludeTax !== undefined) restaurant.settings.pricesIncludeTax = pricesIncludeTax;
+    await restaurant.save();
+
+    res.json({
+      status: 'success',
+      message: 'Configuración de impuestos actualizada exitosamente',
+      data: { restaurant }
+    });
+  } catch (error) {
+    console.error('Update tax settings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 module.exports = router;
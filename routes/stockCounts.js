@@ -0,0 +1,333 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const StockCount = require('../models/StockCount');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const populatePaths = [
+  { path: 'category', select: 'name color' },
+  { path: 'openedBy', select: 'name email' },
+  { path: 'submittedBy', select: 'name email' },
+  { path: 'approvedBy', select: 'name email' },
+  { path: 'lines.counts.user', select: 'name email' }
+];
+
+// @route   GET /api/stock-counts
+// @desc    Get all stock counts
+// @access  Private
+router.get('/', [
+  auth,
+  query('page').optional().isInt({ min: 1 }).withMessage('Página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Límite debe ser entre 1 y 100'),
+  query('status').optional().isIn(['open', 'review', 'approved', 'cancelled']).withMessage('Estado inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      restaurant: req.restaurant,
+      isActive: true
+    };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const stockCounts = await StockCount.find(filter)
+      .select('-lines')
+      .populate('category', 'name color')
+      .populate('openedBy', 'name email')
+      .populate('approvedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await StockCount.countDocuments(filter);
+
+    res.json({
+      status: 'success',
+      data: {
+        stockCounts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get stock counts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/stock-counts/:id
+// @desc    Get single stock count
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const stockCount = await StockCount.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    }).populate(populatePaths);
+
+    if (!stockCount) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conteo de inventario no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { stockCount }
+    });
+  } catch (error) {
+    console.error('Get stock count error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/stock-counts/:id/variance
+// @desc    Get variance report of a stock count valued at cost
+// @access  Private
+router.get('/:id/variance', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const stockCount = await StockCount.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!stockCount) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conteo de inventario no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        stockCountId: stockCount._id,
+        status: stockCount.status,
+        snapshotAt: stockCount.snapshotAt,
+        report: stockCount.getVarianceReport()
+      }
+    });
+  } catch (error) {
+    console.error('Get stock count variance error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/stock-counts
+// @desc    Open a stock count, optionally for one category
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('category').optional().isMongoId().withMessage('Categoría inválida'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const stockCount = await StockCount.openCount(req.restaurant._id, req.user._id, {
+      category: req.body.category,
+      notes: req.body.notes
+    });
+
+    await stockCount.populate(populatePaths);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('stock-count-updated', {
+      type: 'opened',
+      stockCount
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Conteo de inventario abierto exitosamente',
+      data: { stockCount }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Open stock count error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/stock-counts/:id/counts
+// @desc    Record counted quantities
+// @access  Private
+router.post('/:id/counts', [
+  auth,
+  body('counts').isArray({ min: 1 }).withMessage('Debe registrar al menos un conteo'),
+  body('counts.*.inventoryItem').isMongoId().withMessage('ID de inventario inválido'),
+  body('counts.*.quantity').isFloat({ min: 0 }).withMessage('La cantidad contada debe ser un número no negativo'),
+  body('counts.*.location').optional().trim().isLength({ max: 50 }).withMessage('Ubicación muy larga')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const stockCount = await StockCount.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!stockCount) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conteo de inventario no encontrado'
+      });
+    }
+
+    const counts = req.body.counts.map(count => ({
+      inventoryItem: count.inventoryItem,
+      quantity: Number(count.quantity),
+      location: count.location
+    }));
+
+    await stockCount.recordCounts(counts, req.user._id);
+    await stockCount.populate(populatePaths);
+
+    res.json({
+      status: 'success',
+      message: 'Conteo registrado exitosamente',
+      data: { stockCount }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Record stock count error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/stock-counts/:id/submit
+// @desc    Send stock count to review
+// @access  Private
+router.put('/:id/submit', auth, async (req, res) => {
+  await runTransition(req, res, (stockCount) => stockCount.submit(req.user._id), 'Conteo enviado a revisión exitosamente');
+});
+
+// @route   PUT /api/stock-counts/:id/approve
+// @desc    Approve stock count and post adjustments
+// @access  Private
+router.put('/:id/approve', [auth, authorize('admin', 'manager')], async (req, res) => {
+  await runTransition(req, res, (stockCount) => stockCount.approve(req.user._id), 'Conteo aprobado y ajustes registrados exitosamente');
+});
+
+// @route   PUT /api/stock-counts/:id/cancel
+// @desc    Cancel stock count
+// @access  Private
+router.put('/:id/cancel', [auth, authorize('admin', 'manager')], async (req, res) => {
+  await runTransition(req, res, (stockCount) => stockCount.cancel(), 'Conteo cancelado exitosamente');
+});
+
+// Helper function to run a status transition of a stock count
+async function runTransition(req, res, transition, successMessage) {
+  try {
+    const stockCount = await StockCount.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!stockCount) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Conteo de inventario no encontrado'
+      });
+    }
+
+    await transition(stockCount);
+    await stockCount.populate(populatePaths);
+
+    // Emit real-time update
+    req.io.to(`restaurant-${req.restaurant}`).emit('stock-count-updated', {
+      type: stockCount.status,
+      stockCount
+    });
+
+    res.json({
+      status: 'success',
+      message: successMessage,
+      data: {
+        stockCount,
+        report: stockCount.getVarianceReport()
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Stock count transition error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/suppliers
+// @desc    Get all suppliers
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const suppliers = await Supplier.find({
+      restaurant: req.restaurant,
+      isActive: true
+    }).sort({ name: 1 });
+
+    res.json({
+      status: 'success',
+      data: { suppliers }
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/suppliers/:id
+// @desc    Get single supplier
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!supplier) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { supplier }
+    });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/suppliers/:id/open-purchase-orders
+// @desc    Get open purchase orders of a supplier with outstanding quantities
+// @access  Private
+router.get('/:id/open-purchase-orders', auth, async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!supplier) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    const purchaseOrders = await PurchaseOrder.getOpenOrders(req.restaurant, supplier._id)
+      .populate('lines.inventoryItem', 'name unit quantity');
+
+    // Outstanding quantities per item and purchase unit across all open purchase orders
+    const outstandingByItem = new Map();
+    for (const purchaseOrder of purchaseOrders) {
+      for (const line of purchaseOrder.lines) {
+        if (line.quantityOutstanding === 0) continue;
+
+        const key = `${line.inventoryItem._id}-${line.unit}`;
+        const current = outstandingByItem.get(key) || {
+          inventoryItem: line.inventoryItem,
+          unit: line.unit,
+          quantityOutstanding: 0,
+          valueOutstanding: 0
+        };
+        current.quantityOutstanding += line.quantityOutstanding;
+        current.valueOutstanding += line.quantityOutstanding * line.unitCost;
+        outstandingByItem.set(key, current);
+      }
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        supplier,
+        purchaseOrders,
+        outstanding: Array.from(outstandingByItem.values())
+      }
+    });
+  } catch (error) {
+    console.error('Get supplier open purchase orders error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/suppliers
+// @desc    Create supplier
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('El nombre es requerido y debe tener máximo 100 caracteres'),
+  body('taxId').optional().trim().isLength({ max: 30 }).withMessage('NIT muy largo'),
+  body('contact.name').optional().trim().isLength({ max: 100 }).withMessage('Nombre de contacto muy largo'),
+  body('contact.phone').optional().trim().isLength({ max: 20 }).withMessage('Teléfono muy largo'),
+  body('contact.email').optional().isEmail().normalizeEmail().withMessage('Email inválido'),
+  body('leadTimeDays').optional().isInt({ min: 0 }).withMessage('El tiempo de entrega debe ser un número entero no negativo'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = new Supplier({
+      ...req.body,
+      restaurant: req.restaurant
+    });
+    await supplier.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Proveedor creado exitosamente',
+      data: { supplier }
+    });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/suppliers/:id
+// @desc    Update supplier
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('El nombre debe tener máximo 100 caracteres'),
+  body('taxId').optional().trim().isLength({ max: 30 }).withMessage('NIT muy largo'),
+  body('contact.name').optional().trim().isLength({ max: 100 }).withMessage('Nombre de contacto muy largo'),
+  body('contact.phone').optional().trim().isLength({ max: 20 }).withMessage('Teléfono muy largo'),
+  body('contact.email').optional().isEmail().normalizeEmail().withMessage('Email inválido'),
+  body('leadTimeDays').optional().isInt({ min: 0 }).withMessage('El tiempo de entrega debe ser un número entero no negativo'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notas muy largas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        restaurant: req.restaurant,
+        isActive: true
+      },
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Proveedor actualizado exitosamente',
+      data: { supplier }
+    });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/suppliers/:id
+// @desc    Delete supplier
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const supplier = await Supplier.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        restaurant: req.restaurant,
+        isActive: true
+      },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Proveedor eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+module.exports = router;
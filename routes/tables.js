@@ -0,0 +1,492 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Table = require('../models/Table');
+const Area = require('../models/Area');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/tables
+// @desc    Get all tables (?area=, ?status=)
+// @access  Private
+router.get('/', [
+  auth,
+  query('area').optional().isMongoId().withMessage('Área inválida'),
+  query('status').optional().isIn(['free', 'occupied', 'reserved', 'needs_cleaning']).withMessage('Estado inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parámetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {
+      restaurant: req.restaurant,
+      isActive: true
+    };
+    if (req.query.area) filter.area = req.query.area;
+    if (req.query.status) filter.status = req.query.status;
+
+    const tables = await Table.find(filter)
+      .populate('area', 'name')
+      .populate('orders', 'orderNumber customer.name total status createdAt')
+      .sort({ number: 1 });
+
+    res.json({
+      status: 'success',
+      data: { tables }
+    });
+  } catch (error) {
+    console.error('Get tables error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/tables/floor-plan
+// @desc    Get the floor plan: the areas with their tables and the tables without area
+// @access  Private
+router.get('/floor-plan', auth, async (req, res) => {
+  try {
+    const [areas, tables] = await Promise.all([
+      Area.find({ restaurant: req.restaurant, isActive: true }).sort({ sortOrder: 1, name: 1 }),
+      Table.find({ restaurant: req.restaurant, isActive: true })
+        .populate('orders', 'orderNumber customer.name total status createdAt')
+        .sort({ number: 1 })
+    ]);
+
+    const tablesOf = (areaId) => tables.filter(table => (
+      areaId ? table.area && table.area.equals(areaId) : !table.area
+    ));
+
+    res.json({
+      status: 'success',
+      data: {
+        areas: areas.map(area => ({ ...area.toObject(), tables: tablesOf(area._id) })),
+        unassigned: tablesOf(null)
+      }
+    });
+  } catch (error) {
+    console.error('Get floor plan error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   GET /api/tables/:id
+// @desc    Get single table with its open orders
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const table = await Table.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    })
+    .populate('area', 'name')
+    .populate('mergedInto', 'number')
+    .populate('orders', 'orderNumber customer.name items.name items.quantity total status paymentStatus createdAt');
+
+    if (!table) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Mesa no encontrada'
+      });
+    }
+
+    const mergedTables = await Table.find({ mergedInto: table._id, isActive: true }).select('number');
+
+    res.json({
+      status: 'success',
+      data: { table, mergedTables }
+    });
+  } catch (error) {
+    console.error('Get table error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/tables
+// @desc    Create table
+// @access  Private
+router.post('/', [
+  auth,
+  authorize('admin', 'manager'),
+  body('number').trim().isLength({ min: 1, max: 10 }).withMessage('El número de mesa es requerido y debe tener máximo 10 caracteres'),
+  body('area').optional({ values: 'null' }).isMongoId().withMessage('Área inválida'),
+  body('capacity').optional().isInt({ min: 1 }).withMessage('La capacidad debe ser al menos 1'),
+  body('position.x').optional().isFloat().withMessage('La posición debe ser numérica'),
+  body('position.y').optional().isFloat().withMessage('La posición debe ser numérica'),
+  body('position.width').optional().isFloat({ min: 0 }).withMessage('El ancho debe ser un número no negativo'),
+  body('position.height').optional().isFloat({ min: 0 }).withMessage('El alto debe ser un número no negativo'),
+  body('position.rotation').optional().isFloat().withMessage('La rotación debe ser numérica'),
+  body('position.shape').optional().isIn(['square', 'round', 'rectangle']).withMessage('Forma inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { number, area, capacity, position } = req.body;
+
+    const tableError = await validateTable(req.restaurant, null, number, area);
+    if (tableError) {
+      return res.status(400).json({
+        status: 'error',
+        message: tableError
+      });
+    }
+
+    const table = new Table({
+      number,
+      area,
+      capacity,
+      position,
+      restaurant: req.restaurant
+    });
+    await table.save();
+
+    await Table.broadcast(req.io, req.restaurant._id, [table._id], 'created');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Mesa creada exitosamente',
+      data: { table }
+    });
+  } catch (error) {
+    console.error('Create table error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/tables/:id
+// @desc    Update table (number, area, capacity, position on the floor plan)
+// @access  Private
+router.put('/:id', [
+  auth,
+  authorize('admin', 'manager'),
+  body('number').optional().trim().isLength({ min: 1, max: 10 }).withMessage('El número de mesa debe tener máximo 10 caracteres'),
+  body('area').optional({ values: 'null' }).isMongoId().withMessage('Área inválida'),
+  body('capacity').optional().isInt({ min: 1 }).withMessage('La capacidad debe ser al menos 1'),
+  body('position.x').optional().isFloat().withMessage('La posición debe ser numérica'),
+  body('position.y').optional().isFloat().withMessage('La posición debe ser numérica'),
+  body('position.width').optional().isFloat({ min: 0 }).withMessage('El ancho debe ser un número no negativo'),
+  body('position.height').optional().isFloat({ min: 0 }).withMessage('El alto debe ser un número no negativo'),
+  body('position.rotation').optional().isFloat().withMessage('La rotación debe ser numérica'),
+  body('position.shape').optional().isIn(['square', 'round', 'rectangle']).withMessage('Forma inválida')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const table = await Table.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!table) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Mesa no encontrada'
+      });
+    }
+
+    const { number, area, capacity, position } = req.body;
+
+    const tableError = await validateTable(
+      req.restaurant,
+      table._id,
+      number !== undefined ? number : table.number,
+      area !== undefined ? area : table.area
+    );
+    if (tableError) {
+      return res.status(400).json({
+        status: 'error',
+        message: tableError
+      });
+    }
+
+    if (number !== undefined && number !== table.number && table.orders.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Mesa ${table.number} tiene pedidos abiertos, no se puede cambiar su número`
+      });
+    }
+
+    if (number !== undefined) table.number = number;
+    if (area !== undefined) table.area = area;
+    if (capacity !== undefined) table.capacity = capacity;
+    if (position !== undefined) {
+      ['x', 'y', 'width', 'height', 'rotation', 'shape'].forEach(field => {
+        if (position[field] !== undefined) table.position[field] = position[field];
+      });
+    }
+    await table.save();
+
+    await Table.broadcast(req.io, req.restaurant._id, [table._id], 'updated');
+
+    res.json({
+      status: 'success',
+      message: 'Mesa actualizada exitosamente',
+      data: { table }
+    });
+  } catch (error) {
+    console.error('Update table error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/tables/:id/status
+// @desc    Set the table free, reserved or needing cleaning (it is occupied by its orders)
+// @access  Private
+router.put('/:id/status', [
+  auth,
+  body('status').isIn(['free', 'reserved', 'needs_cleaning']).withMessage('Estado inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const table = await Table.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!table) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Mesa no encontrada'
+      });
+    }
+
+    await table.setStatus(req.body.status);
+
+    await Table.broadcast(req.io, req.restaurant._id, [table._id], 'status_updated');
+
+    res.json({
+      status: 'success',
+      message: 'Estado de la mesa actualizado exitosamente',
+      data: { table }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Update table status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/tables/:id/merge
+// @desc    Join other tables to this one; their open orders move to it
+// @access  Private
+router.post('/:id/merge', [
+  auth,
+  body('tables').isArray({ min: 1 }).withMessage('Debe indicar las mesas a unir'),
+  body('tables.*').isMongoId().withMessage('ID de mesa inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const table = await Table.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!table) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Mesa no encontrada'
+      });
+    }
+
+    const changed = await table.merge(req.body.tables);
+
+    await Table.broadcast(req.io, req.restaurant._id, changed, 'merged');
+
+    res.json({
+      status: 'success',
+      message: 'Mesas unidas exitosamente',
+      data: { table }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Merge tables error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   POST /api/tables/:id/split
+// @desc    Split the tables joined to this one, they are free again (the orders stay here)
+// @access  Private
+router.post('/:id/split', auth, async (req, res) => {
+  try {
+    const table = await Table.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!table) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Mesa no encontrada'
+      });
+    }
+
+    const changed = await table.split();
+    if (changed.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Mesa ${table.number} no tiene mesas unidas`
+      });
+    }
+
+    await Table.broadcast(req.io, req.restaurant._id, [table._id, ...changed], 'split');
+
+    res.json({
+      status: 'success',
+      message: 'Mesas separadas exitosamente',
+      data: { table }
+    });
+  } catch (error) {
+    console.error('Split tables error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/tables/:id
+// @desc    Delete table without open orders
+// @access  Private
+router.delete('/:id', [auth, authorize('admin', 'manager')], async (req, res) => {
+  try {
+    const table = await Table.findOne({
+      _id: req.params.id,
+      restaurant: req.restaurant,
+      isActive: true
+    });
+
+    if (!table) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Mesa no encontrada'
+      });
+    }
+
+    const hasMerged = await Table.exists({ mergedInto: table._id, isActive: true });
+    if (table.orders.length > 0 || table.mergedInto || hasMerged) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'La mesa tiene pedidos abiertos o está unida a otras mesas'
+      });
+    }
+
+    table.isActive = false;
+    await table.save();
+
+    await Table.broadcast(req.io, req.restaurant._id, [table._id], 'deleted');
+
+    res.json({
+      status: 'success',
+      message: 'Mesa eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Delete table error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Helper function to check the area exists and no other table has the same number.
+// Returns an error message or null when the table is valid.
+async function validateTable(restaurantId, tableId, number, areaId) {
+  if (areaId) {
+    const area = await Area.exists({
+      _id: areaId,
+      restaurant: restaurantId,
+      isActive: true
+    });
+    if (!area) {
+      return 'Área no encontrada';
+    }
+  }
+
+  const existing = await Table.exists({
+    restaurant: restaurantId,
+    number,
+    isActive: true,
+    ...(tableId && { _id: { $ne: tableId } })
+  });
+  if (existing) {
+    return `Ya existe la mesa ${number}`;
+  }
+
+  return null;
+}
+
+module.exports = router;
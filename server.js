@@ -18,6 +18,19 @@ const analyticsRoutes = require('./routes/analytics');
 const userRoutes = require('./routes/users');
 const dayRoutes = require('./routes/day');
 const restaurantRoutes = require('./routes/restaurant');
+const recipeRoutes = require('./routes/recipes');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const stockCountRoutes = require('./routes/stockCounts');
+const categoryRoutes = require('./routes/categories');
+const modifierGroupRoutes = require('./routes/modifierGroups');
+const bundleRoutes = require('./routes/bundles');
+const menuItemRoutes = require('./routes/menuItems');
+const priceListRoutes = require('./routes/priceLists');
+const promotionRoutes = require('./routes/promotions');
+const kitchenRoutes = require('./routes/kitchen');
+const areaRoutes = require('./routes/areas');
+const tableRoutes = require('./routes/tables');
 
 // Middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -87,10 +100,48 @@ if (process.env.NODE_ENV !== 'production' && server) {
 
   io.on('connection', (socket) => {
     console.log('🔌 Usuario conectado:', socket.id);
-    socket.on('join-restaurant', (restaurantId) => socket.join(`restaurant-${restaurantId}`));
+    socket.on('join-restaurant', (restaurantId) => {
+      socket.join(`restaurant-${restaurantId}`);
+      // Los avisos pendientes llegan a la primera pantalla que se conecta
+      if (mongoose.isValidObjectId(restaurantId)) notifyExpiringLots([String(restaurantId)]);
+    });
+    // Pantallas de cocina: una sala por estación (cocina, bar, postres...)
+    socket.on('join-station', ({ restaurantId, station } = {}) => socket.join(`kitchen-${restaurantId}-${station}`));
+    socket.on('leave-station', ({ restaurantId, station } = {}) => socket.leave(`kitchen-${restaurantId}-${station}`));
     socket.on('disconnect', () => console.log('🔌 Usuario desconectado:', socket.id));
   });
 
+  // ⏰ Aviso de lotes por vencer: cada hora, solo los lotes que entraron al plazo y solo a
+  // restaurantes con alguna pantalla conectada (los demás lo reciben al conectarse)
+  const StockLot = require('./models/StockLot');
+  const expiryAlertDays = parseInt(process.env.EXPIRY_ALERT_DAYS) || 3;
+  const connectedRestaurants = () => Array.from(io.sockets.adapter.rooms.keys())
+    .filter(room => room.startsWith('restaurant-'))
+    .map(room => room.slice('restaurant-'.length))
+    .filter(restaurantId => mongoose.isValidObjectId(restaurantId));
+  const notifyExpiringLots = async (restaurantIds = connectedRestaurants()) => {
+    try {
+      const lots = await StockLot.takeNewlyExpiring(expiryAlertDays, restaurantIds);
+
+      const lotsByRestaurant = new Map();
+      for (const lot of lots) {
+        const key = lot.restaurant.toString();
+        if (!lotsByRestaurant.has(key)) lotsByRestaurant.set(key, []);
+        lotsByRestaurant.get(key).push(lot);
+      }
+
+      lotsByRestaurant.forEach((restaurantLots, restaurantId) => {
+        io.to(`restaurant-${restaurantId}`).emit('lots-expiring', {
+          days: expiryAlertDays,
+          lots: restaurantLots
+        });
+      });
+    } catch (error) {
+      console.error('Expiring lots notification error:', error);
+    }
+  };
+  setInterval(() => notifyExpiringLots(), 60 * 60 * 1000).unref();
+
   // Hacer accesible io desde req
   app.use((req, res, next) => {
     req.io = io;
@@ -108,6 +159,14 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// 🖼 Archivos subidos (solo con almacenamiento en disco local)
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  const { getStorage } = require('./storage');
+  app.use('/uploads', express.static(getStorage().directory, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // 🚀 Rutas
 app.use('/api/auth', authRoutes);
 app.use('/api/inventory', auth, inventoryRoutes);
@@ -117,6 +176,19 @@ app.use('/api/analytics', auth, analyticsRoutes);
 app.use('/api/users', auth, userRoutes);
 app.use('/api/day', auth, dayRoutes);
 app.use('/api/restaurant', auth, restaurantRoutes);
+app.use('/api/recipes', auth, recipeRoutes);
+app.use('/api/suppliers', auth, supplierRoutes);
+app.use('/api/purchase-orders', auth, purchaseOrderRoutes);
+app.use('/api/stock-counts', auth, stockCountRoutes);
+app.use('/api/categories', auth, categoryRoutes);
+app.use('/api/modifier-groups', auth, modifierGroupRoutes);
+app.use('/api/bundles', auth, bundleRoutes);
+app.use('/api/menu-items', auth, menuItemRoutes);
+app.use('/api/price-lists', auth, priceListRoutes);
+app.use('/api/promotions', auth, promotionRoutes);
+app.use('/api/kitchen', auth, kitchenRoutes);
+app.use('/api/areas', auth, areaRoutes);
+app.use('/api/tables', auth, tableRoutes);
 
 // ❌ 404
 app.use('*', (req, res) => {
@@ -0,0 +1,31 @@
+const path = require('path');
+const createLocalDiskStorage = require('./localDisk');
+
+// Storage backends by name (STORAGE_DRIVER). A backend exposes
+// `save(key, buffer, contentType)` returning the public URL of the file and `remove(key)`.
+const backends = {
+  local: () => createLocalDiskStorage({
+    directory: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'),
+    baseUrl: process.env.UPLOADS_BASE_URL || '/uploads'
+  })
+};
+
+let storage;
+
+const registerStorage = (name, factory) => {
+  backends[name] = factory;
+  storage = null;
+};
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!backends[driver]) {
+      throw new Error(`Backend de almacenamiento desconocido: ${driver}`);
+    }
+    storage = backends[driver]();
+  }
+  return storage;
+};
+
+module.exports = { getStorage, registerStorage };
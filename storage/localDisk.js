@@ -0,0 +1,20 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Storage backend that keeps files on the local disk, served by the app under `baseUrl`
+const createLocalDiskStorage = ({ directory, baseUrl }) => ({
+  directory,
+
+  async save(key, buffer) {
+    const filePath = path.join(directory, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${baseUrl}/${key}`;
+  },
+
+  async remove(key) {
+    await fs.rm(path.join(directory, key), { force: true });
+  }
+});
+
+module.exports = createLocalDiskStorage;
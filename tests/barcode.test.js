@@ -0,0 +1,96 @@
+const request = require('supertest');
+const InventoryItem = require('../models/InventoryItem');
+const inventoryRoutes = require('../routes/inventory');
+const { buildApp, loginAs } = require('./helpers/api');
+const { id } = require('./helpers/factories');
+
+const buildItem = data => new InventoryItem({
+  name: 'Gaseosa',
+  restaurant: id(),
+  category: id(),
+  costPrice: 1,
+  sellingPrice: 2,
+  ...data
+});
+
+describe('InventoryItem barcodes', () => {
+  it('checks the check digit of EAN-13 and UPC codes', () => {
+    expect(InventoryItem.isValidBarcode('4006381333931', 'ean13')).toBe(true);
+    expect(InventoryItem.isValidBarcode('4006381333932', 'ean13')).toBe(false);
+    expect(InventoryItem.isValidBarcode('036000291452', 'upc')).toBe(true);
+    expect(InventoryItem.isValidBarcode('03600029145', 'upc')).toBe(false);
+    expect(InventoryItem.isValidBarcode('CAJA-12', 'internal')).toBe(true);
+  });
+
+  it('rejects invalid and repeated codes of an item', async () => {
+    const invalid = buildItem({ barcodes: [{ code: '4006381333932', type: 'ean13' }] });
+    await expect(invalid.validate()).rejects.toMatchObject({
+      errors: { barcodes: { message: 'Código de barras inválido, revise el dígito de control' } }
+    });
+
+    const repeated = buildItem({ barcodes: [{ code: 'abc-1' }, { code: 'ABC-1' }] });
+    await expect(repeated.validate()).rejects.toMatchObject({
+      errors: { barcodes: { message: 'El producto tiene códigos de barras repetidos' } }
+    });
+  });
+});
+
+describe('InventoryItem.findCodeConflict', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('finds the other active item using one of the codes, SKUs and barcodes alike', async () => {
+    const restaurant = id();
+    const own = id();
+    const other = buildItem({ name: 'Agua', sku: 'AG-1', barcodes: [{ code: '4006381333931', type: 'ean13' }] });
+    const findOne = jest.spyOn(InventoryItem, 'findOne').mockReturnValue({ select: async () => other });
+
+    await expect(InventoryItem.findCodeConflict(restaurant, { sku: ' 4006381333931 ' }, own))
+      .resolves.toEqual({ item: other, code: '4006381333931' });
+
+    expect(findOne.mock.calls[0][0]).toEqual({
+      restaurant,
+      isActive: true,
+      _id: { $ne: own },
+      $or: [
+        { sku: { $in: ['4006381333931'] } },
+        { 'barcodes.code': { $in: ['4006381333931'] } }
+      ]
+    });
+  });
+
+  it('does not look up items without codes', async () => {
+    const findOne = jest.spyOn(InventoryItem, 'findOne');
+
+    await expect(InventoryItem.findCodeConflict(id(), {})).resolves.toBeNull();
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/inventory/lookup/:code', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('finds the active item of a scanned code', async () => {
+    const app = buildApp('/api/inventory', inventoryRoutes);
+    const { restaurant, authorization } = loginAs('employee');
+    const item = buildItem({ sku: 'GAS-1' });
+    const findOne = jest.spyOn(InventoryItem, 'findOne')
+      .mockReturnValueOnce({ populate: async () => item })
+      .mockReturnValueOnce({ populate: async () => null });
+
+    const found = await request(app)
+      .get('/api/inventory/lookup/gas-1')
+      .set('Authorization', authorization);
+    expect(found.status).toBe(200);
+    expect(found.body.data.item.sku).toBe('GAS-1');
+    expect(findOne.mock.calls[0][0]).toEqual({
+      restaurant: expect.objectContaining({ _id: restaurant._id }),
+      isActive: true,
+      $or: [{ 'barcodes.code': 'GAS-1' }, { sku: 'GAS-1' }]
+    });
+
+    const missing = await request(app)
+      .get('/api/inventory/lookup/0000')
+      .set('Authorization', authorization);
+    expect(missing.status).toBe(404);
+  });
+});
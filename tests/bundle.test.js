@@ -0,0 +1,158 @@
+const request = require('supertest');
+const Bundle = require('../models/Bundle');
+const MenuItem = require('../models/MenuItem');
+const InventoryItem = require('../models/InventoryItem');
+const ModifierGroup = require('../models/ModifierGroup');
+const Category = require('../models/Category');
+const bundleRoutes = require('../routes/bundles');
+const { buildApp, loginAs } = require('./helpers/api');
+const { id } = require('./helpers/factories');
+
+describe('Bundle.buildOrderItems', () => {
+  const restaurant = id();
+  let burger;
+  let soda;
+  let juice;
+  let bundle;
+
+  const menuItem = (data) => new MenuItem({
+    restaurant,
+    inventoryItem: id(),
+    channels: ['dine-in', 'takeout', 'delivery'],
+    isActive: true,
+    ...data
+  });
+
+  beforeEach(() => {
+    burger = menuItem({ name: 'Hamburguesa', price: 20000, channelPrices: [{ channel: 'delivery', price: 30000 }] });
+    soda = menuItem({ name: 'Gaseosa', price: 5000, station: 'bar', taxClass: 'impoconsumo' });
+    juice = menuItem({ name: 'Jugo natural', price: 8000, channels: ['dine-in'] });
+
+    bundle = new Bundle({
+      name: 'Combo almuerzo',
+      price: 21000,
+      restaurant,
+      slots: [
+        { name: 'Plato', options: [{ menuItem: burger._id }] },
+        { name: 'Bebida', options: [{ menuItem: soda._id }, { menuItem: juice._id, extraPrice: 2000 }] }
+      ]
+    });
+
+    const menuItems = [burger, soda, juice];
+    jest.spyOn(MenuItem, 'findOne').mockImplementation(async (filter) =>
+      menuItems.find(item => item._id.equals(filter._id)) || null);
+    jest.spyOn(InventoryItem, 'findOne').mockImplementation(async (filter) =>
+      ({ _id: filter._id, name: 'Stock', costPrice: 1000, category: id() }));
+    jest.spyOn(ModifierGroup, 'resolveSelections').mockResolvedValue([]);
+    jest.spyOn(Category, 'stationFor').mockResolvedValue('cocina');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const select = (drink) => [
+    { slot: bundle.slots[0]._id, menuItem: burger._id },
+    { slot: bundle.slots[1]._id, menuItem: drink._id }
+  ];
+
+  it('splits the bundle price by the menu prices of the channel', async () => {
+    const lines = await bundle.buildOrderItems(2, select(soda), 'delivery');
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ menuItem: burger._id, name: 'Hamburguesa', quantity: 2, station: 'cocina' });
+    expect(lines[1]).toMatchObject({ menuItem: soda._id, name: 'Gaseosa', quantity: 2, station: 'bar' });
+    expect(lines.map(line => line.taxClass)).toEqual(['iva_general', 'impoconsumo']);
+    // 30000 (delivery price) and 5000 share 21000
+    expect(lines[0].unitPrice).toBeCloseTo(18000);
+    expect(lines[1].unitPrice).toBeCloseTo(3000);
+  });
+
+  it('charges the upcharge of the chosen option', async () => {
+    const lines = await bundle.buildOrderItems(1, select(juice), 'dine-in');
+
+    // 20000 and 8000 share 21000, plus 2000 on the juice
+    expect(lines[0].unitPrice).toBeCloseTo(15000);
+    expect(lines[1].unitPrice).toBeCloseTo(8000);
+  });
+
+  it("rejects menu items that are 86'd", async () => {
+    soda.isAvailable = false;
+
+    await expect(bundle.buildOrderItems(1, select(soda), 'dine-in'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Gaseosa está agotado' });
+  });
+
+  it('rejects menu items not offered on the channel', async () => {
+    await expect(bundle.buildOrderItems(1, select(juice), 'delivery'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Jugo natural no está disponible para domicilio' });
+  });
+
+  it('rejects menu items that are not options of the slot', async () => {
+    const selections = [
+      { slot: bundle.slots[0]._id, menuItem: soda._id },
+      { slot: bundle.slots[1]._id, menuItem: soda._id }
+    ];
+
+    await expect(bundle.buildOrderItems(1, selections, 'dine-in'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Combo almuerzo: producto no disponible en Plato' });
+  });
+
+  it('requires a choice for every slot', async () => {
+    await expect(bundle.buildOrderItems(1, select(soda).slice(0, 1), 'dine-in'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Combo almuerzo: debe elegir Bebida' });
+  });
+
+  it('prices each unit of slots holding several units', async () => {
+    bundle.slots[1].quantity = 2;
+
+    const lines = await bundle.buildOrderItems(1, select(soda), 'dine-in');
+
+    // 20000 and 2 x 5000 share 21000
+    expect(lines[1]).toMatchObject({ quantity: 2, bundleSlot: 'Bebida' });
+    expect(lines[1].unitPrice).toBeCloseTo(3500);
+    expect(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)).toBeCloseTo(21000);
+  });
+});
+
+describe('POST /api/bundles', () => {
+  let app;
+  let authorization;
+  const menuItemId = id().toString();
+
+  const send = slots => request(app)
+    .post('/api/bundles')
+    .set('Authorization', authorization)
+    .send({ name: 'Combo almuerzo', price: 21000, slots });
+
+  beforeEach(() => {
+    app = buildApp('/api/bundles', bundleRoutes);
+    ({ authorization } = loginAs('manager'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('creates the bundle with the menu items of its slots', async () => {
+    const count = jest.spyOn(MenuItem, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Bundle.prototype, 'save').mockImplementation(async function() { return this; });
+
+    const response = await send([{ name: 'Plato', options: [{ menuItem: menuItemId }] }]);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.bundle.slots[0].options[0]).toEqual({ menuItem: menuItemId, extraPrice: 0 });
+    expect(count.mock.calls[0][0]).toMatchObject({ _id: { $in: [menuItemId] }, isActive: true });
+  });
+
+  it('rejects slots with unknown or repeated menu items', async () => {
+    jest.spyOn(MenuItem, 'countDocuments').mockResolvedValue(0);
+    const save = jest.spyOn(Bundle.prototype, 'save');
+
+    const unknown = await send([{ name: 'Plato', options: [{ menuItem: menuItemId }] }]);
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toBe('Plato: producto no encontrado');
+
+    const repeated = await send([{ name: 'Bebida', options: [{ menuItem: menuItemId }, { menuItem: menuItemId }] }]);
+    expect(repeated.status).toBe(400);
+    expect(repeated.body.message).toBe('Bebida: un producto está repetido');
+
+    expect(save).not.toHaveBeenCalled();
+  });
+});
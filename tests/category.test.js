@@ -0,0 +1,102 @@
+const request = require('supertest');
+const Category = require('../models/Category');
+const InventoryItem = require('../models/InventoryItem');
+const categoryRoutes = require('../routes/categories');
+const { buildApp, loginAs } = require('./helpers/api');
+const { id } = require('./helpers/factories');
+
+const restaurant = id();
+
+// Bebidas > Cocteles > Sin alcohol, and Comidas
+const drinks = { _id: id(), name: 'Bebidas' };
+const cocktails = { _id: id(), name: 'Cocteles', parent: drinks._id };
+const virgin = { _id: id(), name: 'Sin alcohol', parent: cocktails._id };
+const food = { _id: id(), name: 'Comidas' };
+const categories = [virgin, drinks, cocktails, food];
+
+describe('Category hierarchy', () => {
+  beforeEach(() => {
+    jest.spyOn(Category, 'find').mockReturnValue({
+      select: async () => categories,
+      sort: () => ({ lean: async () => categories })
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('nests the categories under their parents', async () => {
+    const tree = await Category.getTree(restaurant);
+
+    expect(tree.map(node => node.name)).toEqual(['Bebidas', 'Comidas']);
+    expect(tree[0].children[0].name).toBe('Cocteles');
+    expect(tree[0].children[0].children.map(node => node.name)).toEqual(['Sin alcohol']);
+  });
+
+  it('gives a category with all its sub-categories', async () => {
+    const ids = await Category.getDescendantIds(restaurant, drinks._id.toString());
+
+    expect(ids.map(categoryId => categoryId.toString())).toEqual(
+      [drinks, cocktails, virgin].map(category => category._id.toString())
+    );
+  });
+
+  it('names each category by its full path', async () => {
+    const paths = await Category.getPaths(restaurant);
+
+    expect(paths.get(virgin._id.toString())).toBe('Bebidas / Cocteles / Sin alcohol');
+    expect(paths.get(food._id.toString())).toBe('Comidas');
+  });
+});
+
+describe('category routes', () => {
+  let app;
+  let authorization;
+
+  beforeEach(() => {
+    app = buildApp('/api/categories', categoryRoutes);
+    ({ authorization } = loginAs('manager'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('does not move a category inside its own sub-categories', async () => {
+    const category = new Category({ ...drinks, restaurant });
+    jest.spyOn(Category, 'findOne')
+      .mockResolvedValueOnce(category)
+      .mockResolvedValueOnce(cocktails);
+    jest.spyOn(Category, 'getDescendantIds').mockResolvedValue([drinks._id, cocktails._id, virgin._id]);
+    const save = jest.spyOn(Category.prototype, 'save');
+
+    const response = await request(app)
+      .put(`/api/categories/${drinks._id}`)
+      .set('Authorization', authorization)
+      .send({ parent: cocktails._id.toString() });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Una categoría no puede estar dentro de sí misma o de sus subcategorías');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('does not delete a category that still has products', async () => {
+    jest.spyOn(Category, 'findOne').mockResolvedValue(new Category({ ...food, restaurant }));
+    jest.spyOn(Category, 'exists').mockResolvedValue(null);
+    jest.spyOn(InventoryItem, 'exists').mockResolvedValue({ _id: id() });
+
+    const response = await request(app)
+      .delete(`/api/categories/${food._id}`)
+      .set('Authorization', authorization);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('La categoría tiene productos, muévalos a otra categoría primero');
+  });
+
+  it('is managed by managers and admins only', async () => {
+    ({ authorization } = loginAs('employee'));
+
+    const response = await request(app)
+      .delete(`/api/categories/${food._id}`)
+      .set('Authorization', authorization);
+
+    expect(response.status).toBe(403);
+  });
+});
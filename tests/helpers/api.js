@@ -0,0 +1,59 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Builds an app with a router mounted as server.js does. Socket events are kept in `app.emitted`.
+function buildApp(path, router) {
+  const app = express();
+  app.emitted = [];
+
+  const io = {
+    to: room => ({
+      emit: (event, data) => app.emitted.push({ room, event, data })
+    })
+  };
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.io = io;
+    next();
+  });
+  app.use(path, router);
+  return app;
+}
+
+// Makes the auth middleware find a user of the given role; returns the user and its Authorization header
+function loginAs(role = 'admin', restaurantData = {}) {
+  const restaurant = {
+    _id: new mongoose.Types.ObjectId(),
+    settings: { pricesIncludeTax: true },
+    taxRateFor: () => 0,
+    toString() {
+      return this._id.toString();
+    },
+    ...restaurantData
+  };
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Usuario',
+    email: 'usuario@example.com',
+    role,
+    isActive: true,
+    restaurant
+  };
+
+  jest.spyOn(User, 'findById').mockReturnValue({
+    populate: jest.fn().mockResolvedValue({ ...user, toObject: () => ({ ...user }) })
+  });
+
+  return {
+    user,
+    restaurant,
+    authorization: `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`
+  };
+}
+
+module.exports = { buildApp, loginAs };
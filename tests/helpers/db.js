@@ -0,0 +1,11 @@
+// Makes documents of the models save without a database: validation and save middleware still run
+function stubWrites(...models) {
+  models.forEach(Model => {
+    jest.spyOn(Model.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(Model.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    // Saving a document without changes checks it still exists
+    jest.spyOn(Model.collection, 'findOne').mockImplementation(async filter => ({ _id: filter._id }));
+  });
+}
+
+module.exports = { stubWrites };
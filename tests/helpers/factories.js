@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query result that also answers .select() and .session() like a mongoose query
+const query = result => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  promise.session = () => promise;
+  return promise;
+};
+
+// Order line of one hamburguesa at 10, overridden by `data`
+const orderLine = (data = {}) => ({
+  inventoryItem: id(),
+  name: 'Hamburguesa',
+  quantity: 1,
+  unitPrice: 10,
+  cost: 4,
+  totalPrice: 10,
+  ...data
+});
+
+// Unsaved order of Ana in a restaurant of its own, with one line unless `data` brings the items
+const buildOrder = (data = {}) => new Order({
+  customer: { name: 'Ana' },
+  restaurant: id(),
+  createdBy: id(),
+  items: [orderLine()],
+  ...data
+});
+
+module.exports = { id, query, orderLine, buildOrder };
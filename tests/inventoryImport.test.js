@@ -0,0 +1,90 @@
+const request = require('supertest');
+const InventoryItem = require('../models/InventoryItem');
+const Category = require('../models/Category');
+const Supplier = require('../models/Supplier');
+const inventoryRoutes = require('../routes/inventory');
+const { buildApp, loginAs } = require('./helpers/api');
+const { id } = require('./helpers/factories');
+
+const categoryId = id().toString();
+const supplierId = id();
+
+const csv = rows => Buffer.from([
+  'sku,name,category,unit,quantity,costPrice,sellingPrice,barcodes',
+  ...rows
+].join('\n'));
+
+describe('POST /api/inventory/import', () => {
+  let app;
+  let authorization;
+  let user;
+
+  beforeEach(() => {
+    app = buildApp('/api/inventory', inventoryRoutes);
+    ({ authorization, user } = loginAs('manager'));
+    jest.spyOn(InventoryItem, 'find').mockResolvedValue([]);
+    jest.spyOn(InventoryItem, 'findCodeConflict').mockResolvedValue(null);
+    jest.spyOn(Category, 'getPaths').mockResolvedValue(new Map([[categoryId, 'Bebidas']]));
+    jest.spyOn(Supplier, 'distinct').mockResolvedValue([supplierId]);
+    jest.spyOn(InventoryItem, 'createWithOpeningStock').mockImplementation(async data => ({ _id: id(), ...data }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('creates new items recording their quantity as opening stock', async () => {
+    const response = await request(app)
+      .post('/api/inventory/import')
+      .set('Authorization', authorization)
+      .attach('file', csv(['A1,Gaseosa,Bebidas,unidad,24,1,2,internal=G1']), 'items.csv');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toMatchObject({ created: 1, failed: 0 });
+    expect(InventoryItem.createWithOpeningStock).toHaveBeenCalledWith(
+      expect.objectContaining({ sku: 'A1', quantity: '24', category: categoryId }),
+      { user: user._id, notes: 'Stock inicial (importación)' }
+    );
+  });
+
+  it.each([['true'], ['false']])('reports barcodes repeated in the file (dryRun=%s)', async dryRun => {
+    jest.spyOn(InventoryItem.prototype, 'validate').mockResolvedValue();
+
+    const response = await request(app)
+      .post(`/api/inventory/import?dryRun=${dryRun}`)
+      .set('Authorization', authorization)
+      .attach('file', csv([
+        'A1,Gaseosa,Bebidas,unidad,24,1,2,internal=G1',
+        'A2,Gaseosa light,Bebidas,unidad,12,1,2,internal=g1'
+      ]), 'items.csv');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toMatchObject({ created: 1, failed: 1 });
+    expect(response.body.data.rows[1]).toMatchObject({
+      row: 3,
+      action: 'error',
+      errors: [{ field: 'barcodes', message: 'Código G1 repetido en el archivo' }]
+    });
+    expect(InventoryItem.createWithOpeningStock).toHaveBeenCalledTimes(dryRun === 'true' ? 0 : 1);
+  });
+
+  it('rejects preferred suppliers of other restaurants', async () => {
+    const otherSupplier = id();
+    const file = Buffer.from([
+      'sku,name,category,unit,quantity,costPrice,sellingPrice,preferredSupplier',
+      `A1,Gaseosa,Bebidas,unidad,24,1,2,${supplierId}`,
+      `A2,Agua,Bebidas,unidad,12,1,2,${otherSupplier}`
+    ].join('\n'));
+
+    const response = await request(app)
+      .post('/api/inventory/import')
+      .set('Authorization', authorization)
+      .attach('file', file, 'items.csv');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toMatchObject({ created: 1, failed: 1 });
+    expect(response.body.data.rows[1]).toMatchObject({
+      action: 'error',
+      errors: [{ field: 'preferredSupplier', message: 'Proveedor no encontrado' }]
+    });
+    expect(Supplier.distinct.mock.calls[0][1]).toMatchObject({ isActive: true });
+  });
+});
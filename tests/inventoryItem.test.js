@@ -0,0 +1,349 @@
+const request = require('supertest');
+const InventoryItem = require('../models/InventoryItem');
+const StockMovement = require('../models/StockMovement');
+const StockLot = require('../models/StockLot');
+const Category = require('../models/Category');
+const Supplier = require('../models/Supplier');
+const inventoryRoutes = require('../routes/inventory');
+const { buildApp, loginAs } = require('./helpers/api');
+const { id, query } = require('./helpers/factories');
+
+describe('InventoryItem.adjustStock', () => {
+  const item = { _id: id(), restaurant: id(), name: 'Tomate', quantity: 5, costPrice: 2, costingMethod: 'average' };
+
+  beforeEach(() => {
+    jest.spyOn(StockMovement, 'create').mockImplementation(async ([movement]) => [movement]);
+    jest.spyOn(StockLot, 'consume').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('records the change applied to the stock', async () => {
+    const update = jest.spyOn(InventoryItem, 'findOneAndUpdate').mockResolvedValue(item);
+
+    const movement = await InventoryItem.adjustStock(item._id, -3, { type: 'sale' });
+
+    expect(update.mock.calls[0][0]).toEqual({ _id: item._id, quantity: { $gte: 3 - 1e-6 } });
+    expect(movement).toMatchObject({ type: 'sale', quantity: -3, quantityBefore: 5, quantityAfter: 2, unitCost: 2 });
+  });
+
+  it('rejects taking more stock than there is without recording a movement', async () => {
+    jest.spyOn(InventoryItem, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(InventoryItem, 'findById').mockReturnValue(query(item));
+
+    await expect(InventoryItem.adjustStock(item._id, -8, { type: 'sale' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Stock insuficiente de Tomate. Disponible: 5, requerido: 8'
+    });
+    expect(StockMovement.create).not.toHaveBeenCalled();
+    expect(StockLot.consume).not.toHaveBeenCalled();
+  });
+
+  it('returns null for an item that does not exist', async () => {
+    jest.spyOn(InventoryItem, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(InventoryItem, 'findById').mockReturnValue(query(null));
+
+    await expect(InventoryItem.adjustStock(item._id, -1)).resolves.toBeNull();
+  });
+});
+
+describe('InventoryItem#updateQuantity', () => {
+  // Loaded from the database, without changes
+  const buildItem = () => InventoryItem.hydrate({
+    _id: id(),
+    name: 'Tomate',
+    restaurant: id(),
+    category: id(),
+    unit: 'kg',
+    quantity: 5,
+    costPrice: 2,
+    sellingPrice: 4
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('changes the stock through adjustStock and refreshes the item', async () => {
+    const item = buildItem();
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock').mockResolvedValue({});
+    jest.spyOn(InventoryItem, 'findById').mockResolvedValue({ quantity: 3, costPrice: 2, totalValue: 6, isLowStock: false });
+    const userId = id();
+
+    await item.updateQuantity(2, 'subtract', { user: userId });
+
+    expect(adjust).toHaveBeenCalledWith(item._id, -2, { type: 'manual_subtract', user: userId }, {});
+    expect(item.quantity).toBe(3);
+    expect(item.isModified('quantity')).toBe(false);
+  });
+
+  it('sets the quantity only while the stock is still the one read', async () => {
+    const item = buildItem();
+    jest.spyOn(InventoryItem, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(InventoryItem, 'findById').mockReturnValue(query({ name: 'Tomate', quantity: 4 }));
+    const create = jest.spyOn(StockMovement, 'create');
+
+    await expect(item.updateQuantity(8, 'set')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'El stock de Tomate cambió mientras se actualizaba. Disponible: 4, intente de nuevo'
+    });
+    expect(InventoryItem.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: item._id, quantity: 5 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('rejects subtracting more than there is instead of emptying the stock', async () => {
+    const item = buildItem();
+    jest.spyOn(InventoryItem, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(InventoryItem, 'findById').mockReturnValue(query(item));
+
+    await expect(item.updateQuantity(7, 'subtract')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Stock insuficiente de Tomate. Disponible: 5, requerido: 7'
+    });
+  });
+
+  it('saves the other changes of the item first', async () => {
+    const item = buildItem();
+    item.minQuantity = 2;
+    const save = jest.spyOn(item, 'save').mockResolvedValue(item);
+    jest.spyOn(InventoryItem, 'adjustStock').mockResolvedValue({});
+    jest.spyOn(InventoryItem, 'findById').mockResolvedValue({ quantity: 6 });
+
+    await item.updateQuantity(1, 'add');
+
+    expect(save).toHaveBeenCalled();
+    expect(InventoryItem.adjustStock).toHaveBeenCalledWith(item._id, 1, { type: 'manual_add' }, {});
+  });
+});
+
+describe('InventoryItem costing', () => {
+  beforeEach(() => {
+    jest.spyOn(StockMovement, 'create').mockImplementation(async ([movement]) => [movement]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('averages the cost of received stock with the stock on hand', async () => {
+    const item = { _id: id(), restaurant: id(), quantity: 4, costPrice: 2, costingMethod: 'average' };
+    const update = jest.spyOn(InventoryItem, 'findOneAndUpdate').mockResolvedValue(item);
+
+    const movement = await InventoryItem.adjustStock(item._id, 6, { type: 'purchase' }, { costPrice: 3 });
+
+    const [{ $set: stockUpdate }] = update.mock.calls[0][1];
+    expect(stockUpdate.costPrice).toEqual({
+      $cond: [
+        { $gt: ['$quantity', 0] },
+        { $divide: [{ $add: [{ $multiply: ['$quantity', '$costPrice'] }, 18] }, { $add: ['$quantity', 6] }] },
+        3
+      ]
+    });
+    expect(movement.unitCost).toBe(3);
+  });
+
+  it('costs FIFO stock from the lots it takes and revalues the item from the lots left', async () => {
+    const item = { _id: id(), restaurant: id(), quantity: 5, costPrice: 2.5, costingMethod: 'fifo' };
+    jest.spyOn(InventoryItem, 'findOneAndUpdate').mockResolvedValue(item);
+    jest.spyOn(StockLot, 'consume').mockResolvedValue([
+      { lot: id(), quantity: 2, unitCost: 3 },
+      { lot: id(), quantity: 1, unitCost: 2 }
+    ]);
+    const revalue = jest.spyOn(InventoryItem, 'revalueFromLots').mockResolvedValue({});
+
+    const movement = await InventoryItem.adjustStock(item._id, -3, { type: 'sale' });
+
+    expect(movement.unitCost).toBeCloseTo(8 / 3);
+    expect(revalue).toHaveBeenCalledWith(item._id, undefined);
+  });
+
+  it('values a FIFO item at its lots, stock outside the lots at the current cost', async () => {
+    const item = { _id: id(), quantity: 5, costPrice: 1 };
+    jest.spyOn(InventoryItem, 'findById').mockReturnValue(query(item));
+    jest.spyOn(StockLot, 'find').mockReturnValue(query([
+      { remainingQuantity: 2, unitCost: 3 },
+      { remainingQuantity: 1, unitCost: 2 }
+    ]));
+    const update = jest.spyOn(InventoryItem, 'findByIdAndUpdate').mockResolvedValue({});
+
+    await InventoryItem.revalueFromLots(item._id);
+
+    expect(update).toHaveBeenCalledWith(item._id, { totalValue: 10, costPrice: 2 }, { new: true, session: undefined });
+  });
+});
+
+describe('InventoryItem.createWithOpeningStock', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('saves the item empty and records the initial quantity as an adjustment with its lot', async () => {
+    const save = jest.spyOn(InventoryItem.prototype, 'save').mockImplementation(async function() { return this; });
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock').mockResolvedValue({});
+    jest.spyOn(InventoryItem, 'findById').mockResolvedValue('saved');
+    const userId = id();
+
+    const result = await InventoryItem.createWithOpeningStock(
+      { name: 'Harina', quantity: 12, costPrice: 3, restaurant: id() },
+      { user: userId }
+    );
+
+    expect(save.mock.instances[0].quantity).toBe(0);
+    expect(adjust).toHaveBeenCalledWith(
+      save.mock.instances[0]._id,
+      12,
+      { type: 'adjustment', notes: 'Stock inicial', user: userId },
+      { costPrice: 3, lot: {} }
+    );
+    expect(result).toBe('saved');
+  });
+
+  it('records no movement without initial quantity', async () => {
+    jest.spyOn(InventoryItem.prototype, 'save').mockImplementation(async function() { return this; });
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock');
+
+    const item = await InventoryItem.createWithOpeningStock({ name: 'Sal', restaurant: id() });
+
+    expect(item.quantity).toBe(0);
+    expect(adjust).not.toHaveBeenCalled();
+  });
+});
+
+describe('InventoryItem unit conversions', () => {
+  const buildItem = data => new InventoryItem({
+    name: 'Gaseosa',
+    category: id(),
+    unit: 'unidad',
+    costPrice: 1,
+    sellingPrice: 2,
+    restaurant: id(),
+    ...data
+  });
+
+  it('converts through item conversions and standard units', () => {
+    const item = buildItem({ unit: 'paquete', unitConversions: [{ unit: 'kg', factor: 2 }] });
+
+    expect(item.toStockQuantity(3, 'paquete')).toBe(3);
+    expect(item.toStockQuantity(1.5, 'kg')).toBe(3);
+    expect(item.toStockQuantity(500, 'g')).toBe(1);
+    expect(() => item.toStockQuantity(1, 'l')).toThrow('No se puede convertir de l a paquete para Gaseosa');
+  });
+
+  it('rejects a purchase unit that does not convert to the stock unit', async () => {
+    const item = buildItem({ purchaseUnit: 'caja' });
+
+    await expect(item.validate()).rejects.toMatchObject({
+      errors: { purchaseUnit: { message: 'No se puede convertir de caja a unidad, agregue una conversión de unidad' } }
+    });
+
+    item.unitConversions = [{ unit: 'caja', factor: 24 }];
+    await expect(item.validate()).resolves.toBeUndefined();
+  });
+});
+
+describe('InventoryItem.getReorderSuggestions', () => {
+  const Order = require('../models/Order');
+  const PurchaseOrder = require('../models/PurchaseOrder');
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('reorders what will not last the supplier lead time, counting what is already on order', async () => {
+    const restaurantId = id();
+    const supplier = new Supplier({ name: 'Fruver', leadTimeDays: 3, restaurant: restaurantId });
+    const tomato = new InventoryItem({
+      name: 'Tomate', unit: 'kg', quantity: 12, minQuantity: 5, maxQuantity: 40, costPrice: 2, restaurant: restaurantId
+    });
+    const onion = new InventoryItem({
+      name: 'Cebolla', unit: 'kg', quantity: 12, minQuantity: 5, maxQuantity: 40, costPrice: 1, restaurant: restaurantId
+    });
+    const rice = new InventoryItem({
+      name: 'Arroz', unit: 'kg', quantity: 2, minQuantity: 5, maxQuantity: 20, costPrice: 3, restaurant: restaurantId
+    });
+    [tomato, onion].forEach(item => { item.preferredSupplier = supplier; });
+
+    // Tomato: 90 kg in 30 days is 3 kg a day, 9 kg during the lead time on top of the minimum
+    jest.spyOn(Order, 'aggregate').mockResolvedValue([{ _id: tomato._id, consumed: 90 }]);
+    jest.spyOn(PurchaseOrder, 'getOpenOrders').mockResolvedValue([
+      { lines: [{ inventoryItem: rice._id, quantityOutstanding: 2000, unit: 'g' }] }
+    ]);
+    jest.spyOn(InventoryItem, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue([tomato, onion, rice]) });
+
+    const { suggestions, skipped } = await InventoryItem.getReorderSuggestions(restaurantId, 30);
+
+    expect(skipped).toEqual([]);
+    expect(suggestions).toHaveLength(2);
+    expect(suggestions[0]).toMatchObject({ supplier: { name: 'Fruver', leadTimeDays: 3 }, estimatedCost: 56 });
+    expect(suggestions[0].items).toEqual([expect.objectContaining({
+      name: 'Tomate', dailyUsage: 3, daysOfCover: 4, suggestedQuantity: 28
+    })]);
+    expect(suggestions[1]).toMatchObject({ supplier: null });
+    expect(suggestions[1].items).toEqual([expect.objectContaining({ name: 'Arroz', onOrder: 2, suggestedQuantity: 16 })]);
+  });
+
+  it('skips items whose purchase unit cannot be converted instead of failing', async () => {
+    const restaurantId = id();
+    const good = new InventoryItem({
+      name: 'Gaseosa', unit: 'unidad', purchaseUnit: 'caja', unitConversions: [{ unit: 'caja', factor: 24 }],
+      quantity: 2, minQuantity: 10, maxQuantity: 50, costPrice: 1, restaurant: restaurantId
+    });
+    const broken = new InventoryItem({
+      name: 'Servilletas', unit: 'unidad', quantity: 0, minQuantity: 5, maxQuantity: 20, restaurant: restaurantId
+    });
+    // Saved before purchase units were validated
+    broken.purchaseUnit = 'paquete';
+
+    jest.spyOn(Order, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(PurchaseOrder, 'getOpenOrders').mockResolvedValue([]);
+    jest.spyOn(InventoryItem, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue([good, broken]) });
+
+    const { suggestions, skipped } = await InventoryItem.getReorderSuggestions(restaurantId, 30);
+
+    expect(suggestions).toHaveLength(1);
+    expect(suggestions[0].items[0]).toMatchObject({
+      name: 'Gaseosa',
+      suggestedQuantity: 48,
+      purchaseUnit: 'caja',
+      purchaseQuantity: 2,
+      purchaseUnitCost: 24
+    });
+    expect(skipped).toEqual([expect.objectContaining({
+      name: 'Servilletas',
+      purchaseUnit: 'paquete',
+      reason: 'No se puede convertir de paquete a unidad para Servilletas'
+    })]);
+  });
+});
+
+describe('preferred supplier of an item', () => {
+  let app;
+  let authorization;
+
+  beforeEach(() => {
+    app = buildApp('/api/inventory', inventoryRoutes);
+    ({ authorization } = loginAs('manager'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('must be a supplier of the restaurant, when creating and when editing', async () => {
+    const item = InventoryItem.hydrate({ _id: id(), name: 'Tomate', restaurant: id(), category: id(), unit: 'kg' });
+    jest.spyOn(Category, 'findOne').mockResolvedValue({ _id: item.category });
+    jest.spyOn(InventoryItem, 'findOne').mockResolvedValue(item);
+    jest.spyOn(InventoryItem, 'findCodeConflict').mockResolvedValue(null);
+    const exists = jest.spyOn(Supplier, 'exists').mockResolvedValue(null);
+    const create = jest.spyOn(InventoryItem, 'createWithOpeningStock');
+    const save = jest.spyOn(InventoryItem.prototype, 'save');
+    const supplier = id().toString();
+
+    const created = await request(app)
+      .post('/api/inventory')
+      .set('Authorization', authorization)
+      .send({ name: 'Tomate', category: item.category.toString(), unit: 'kg', quantity: 0, costPrice: 2, sellingPrice: 3, preferredSupplier: supplier });
+    expect(created.status).toBe(400);
+    expect(created.body.message).toBe('Proveedor no encontrado');
+    expect(create).not.toHaveBeenCalled();
+
+    const updated = await request(app)
+      .put(`/api/inventory/${item._id}`)
+      .set('Authorization', authorization)
+      .send({ preferredSupplier: supplier });
+    expect(updated.status).toBe(400);
+    expect(updated.body.message).toBe('Proveedor no encontrado');
+    expect(save).not.toHaveBeenCalled();
+    expect(exists.mock.calls[1][0]).toMatchObject({ _id: supplier, isActive: true });
+  });
+});
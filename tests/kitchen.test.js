@@ -0,0 +1,156 @@
+const request = require('supertest');
+const Order = require('../models/Order');
+const Category = require('../models/Category');
+const kitchenRoutes = require('../routes/kitchen');
+const { buildApp, loginAs } = require('./helpers/api');
+const { stubWrites } = require('./helpers/db');
+const { id, orderLine, buildOrder } = require('./helpers/factories');
+
+const cook = { _id: id(), role: 'employee' };
+
+// Order with a burger for the grill and lemonades for the bar
+const buildTicketOrder = (data = {}) => buildOrder({
+  items: [
+    orderLine({ station: 'parrilla' }),
+    orderLine({ name: 'Limonada', quantity: 2, unitPrice: 4, cost: 1, station: 'bar', totalPrice: 8 })
+  ],
+  inventoryDecrementedAt: new Date(),
+  ...data
+});
+
+describe('Order item preparation', () => {
+  beforeEach(() => stubWrites(Order));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('starts preparing with the first bumped item and is ready with the last one', async () => {
+    const order = buildTicketOrder({ status: 'confirmed' });
+    const [burger, lemonade] = order.items;
+
+    await order.bumpItem(burger._id, cook);
+    expect(burger.prepStatus).toBe('ready');
+    expect(burger.readyAt).toBeInstanceOf(Date);
+    expect(order.status).toBe('preparing');
+
+    await order.bumpItem(lemonade._id, cook);
+    expect(order.status).toBe('ready');
+    expect(order.statusHistory.map(entry => entry.to)).toEqual(['preparing', 'ready']);
+  });
+
+  it('does not bump an item twice', async () => {
+    const order = buildTicketOrder({ status: 'preparing' });
+    await order.bumpItem(order.items[0]._id, cook);
+
+    await expect(order.bumpItem(order.items[0]._id, cook))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Hamburguesa ya está listo' });
+  });
+
+  it('sends a recalled item back to the station and the order back to preparing', async () => {
+    const order = buildTicketOrder({ status: 'preparing' });
+    await order.bumpItem(order.items[0]._id, cook);
+    await order.bumpItem(order.items[1]._id, cook);
+
+    await order.recallItem(order.items[1]._id, cook);
+
+    expect(order.items[1].prepStatus).toBe('pending');
+    expect(order.items[1].readyAt).toBeUndefined();
+    expect(order.status).toBe('preparing');
+    expect(order.statusHistory[order.statusHistory.length - 1].reason).toBe('Limonada devuelto a cocina');
+  });
+
+  it('only recalls ready items of orders in the kitchen', async () => {
+    const order = buildTicketOrder({ status: 'preparing' });
+    await expect(order.recallItem(order.items[0]._id, cook))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Hamburguesa no está listo' });
+
+    const delivered = buildTicketOrder({ status: 'delivered' });
+    await expect(delivered.bumpItem(delivered.items[0]._id, cook))
+      .rejects.toMatchObject({ statusCode: 400, message: 'El pedido no está en cocina' });
+  });
+
+  it('builds the ticket of a station with its items only', () => {
+    const order = buildTicketOrder({ status: 'preparing' });
+
+    const ticket = order.toKitchenTicket('bar');
+
+    expect(ticket.items.map(item => item.name)).toEqual(['Limonada']);
+    expect(order.kitchenStations()).toEqual(['parrilla', 'bar']);
+  });
+});
+
+describe('Category.stationFor', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('takes the station of the closest category that has one', async () => {
+    const parent = { _id: id(), station: 'parrilla' };
+    const child = { _id: id(), parent: parent._id };
+    const categories = [parent, child];
+    jest.spyOn(Category, 'findById').mockImplementation(categoryId => ({
+      select: async () => categories.find(category => category._id.equals(categoryId)) || null
+    }));
+
+    await expect(Category.stationFor(child._id)).resolves.toBe('parrilla');
+  });
+
+  it('uses the default station without a category', async () => {
+    await expect(Category.stationFor(undefined)).resolves.toBe('cocina');
+  });
+});
+
+describe('kitchen routes', () => {
+  let app;
+  let authorization;
+
+  beforeEach(() => {
+    stubWrites(Order);
+    app = buildApp('/api/kitchen', kitchenRoutes);
+    ({ authorization } = loginAs('employee'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lists the tickets with pending items of the station and their age', async () => {
+    const older = buildTicketOrder({ status: 'preparing', createdAt: new Date(Date.now() - 20 * 60 * 1000) });
+    const newer = buildTicketOrder({ status: 'confirmed', createdAt: new Date(Date.now() - 5 * 60 * 1000) });
+    older.items[1].prepStatus = 'ready';
+    const find = jest.spyOn(Order, 'find').mockReturnValue({ sort: async () => [older, newer] });
+
+    const response = await request(app)
+      .get('/api/kitchen/BAR')
+      .set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(find.mock.calls[0][0].items).toEqual({ $elemMatch: { station: 'bar', prepStatus: 'pending' } });
+    expect(response.body.data.tickets).toHaveLength(1);
+    expect(response.body.data.tickets[0]).toMatchObject({ order: newer._id.toString(), ageMinutes: 5 });
+  });
+
+  it('bumps an item and sends the ticket to its station', async () => {
+    const order = buildTicketOrder({ status: 'preparing' });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    const response = await request(app)
+      .put(`/api/kitchen/orders/${order._id}/items/${order.items[1]._id}/bump`)
+      .set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Limonada listo');
+    expect(response.body.data.ticket.items).toEqual([expect.objectContaining({ name: 'Limonada', prepStatus: 'ready' })]);
+    expect(app.emitted).toContainEqual(expect.objectContaining({
+      room: `kitchen-${order.restaurant}-bar`,
+      event: 'kitchen-updated'
+    }));
+  });
+
+  it('rejects invalid order and item ids before looking the order up', async () => {
+    const findOne = jest.spyOn(Order, 'findOne');
+
+    const response = await request(app)
+      .put(`/api/kitchen/orders/nope/items/${id()}/recall`)
+      .set('Authorization', authorization);
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([expect.objectContaining({ path: 'orderId', msg: 'ID de pedido inválido' })]);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
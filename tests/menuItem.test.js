@@ -0,0 +1,121 @@
+const request = require('supertest');
+const MenuItem = require('../models/MenuItem');
+const InventoryItem = require('../models/InventoryItem');
+const Recipe = require('../models/Recipe');
+const Order = require('../models/Order');
+const menuItemRoutes = require('../routes/menuItems');
+const orderRoutes = require('../routes/orders');
+const { buildApp, loginAs } = require('./helpers/api');
+const { id } = require('./helpers/factories');
+
+const restaurant = id();
+
+const buildMenuItem = data => new MenuItem({
+  name: 'Hamburguesa',
+  price: 20000,
+  restaurant,
+  inventoryItem: id(),
+  channels: ['dine-in', 'takeout'],
+  ...data
+});
+
+describe('MenuItem prices and channels', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('uses the channel price when there is one', () => {
+    const menuItem = buildMenuItem({ channelPrices: [{ channel: 'delivery', price: 24000 }] });
+
+    expect(menuItem.priceFor('delivery')).toBe(24000);
+    expect(menuItem.priceFor('takeout')).toBe(20000);
+  });
+
+  it('sells either a stock item or a recipe, with one price per channel', async () => {
+    const both = buildMenuItem({ recipe: id() });
+    await expect(both.validate()).rejects.toMatchObject({
+      errors: { inventoryItem: { message: 'Debe indicar un producto de inventario o una receta' } }
+    });
+
+    const repeated = buildMenuItem({
+      channelPrices: [{ channel: 'delivery', price: 24000 }, { channel: 'delivery', price: 25000 }]
+    });
+    await expect(repeated.validate()).rejects.toMatchObject({
+      errors: { channelPrices: { message: 'Hay más de un precio para el mismo canal' } }
+    });
+  });
+
+  it('orders the product of its recipe', async () => {
+    const product = { _id: id(), name: 'Hamburguesa preparada' };
+    const menuItem = buildMenuItem({ inventoryItem: undefined, recipe: id() });
+    jest.spyOn(Recipe, 'findOne').mockResolvedValue({ product: product._id });
+    const findStock = jest.spyOn(InventoryItem, 'findOne').mockResolvedValue(product);
+
+    await expect(menuItem.resolveForOrder('dine-in')).resolves.toBe(product);
+    expect(findStock).toHaveBeenCalledWith({ _id: product._id, restaurant, isActive: true });
+  });
+
+  it("rejects 86'd items, other channels and missing stock items", async () => {
+    await expect(buildMenuItem({ isAvailable: false }).resolveForOrder('dine-in'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Hamburguesa está agotado' });
+
+    await expect(buildMenuItem().resolveForOrder('delivery'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Hamburguesa no está disponible para domicilio' });
+
+    jest.spyOn(InventoryItem, 'findOne').mockResolvedValue(null);
+    await expect(buildMenuItem().resolveForOrder('dine-in'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Hamburguesa: producto de inventario no encontrado' });
+  });
+});
+
+describe('PUT /api/menu-items/:id/availability', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("86's an item without touching the stock and tells the restaurant", async () => {
+    const app = buildApp('/api/menu-items', menuItemRoutes);
+    const { restaurant: userRestaurant, authorization } = loginAs('employee');
+    const menuItem = buildMenuItem({ isAvailable: false });
+    const update = jest.spyOn(MenuItem, 'findOneAndUpdate').mockResolvedValue(menuItem);
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock');
+
+    const response = await request(app)
+      .put(`/api/menu-items/${menuItem._id}/availability`)
+      .set('Authorization', authorization)
+      .send({ isAvailable: false });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Producto marcado como agotado');
+    expect(update.mock.calls[0][1]).toEqual({ isAvailable: false });
+    expect(adjust).not.toHaveBeenCalled();
+    expect(app.emitted).toContainEqual(expect.objectContaining({
+      room: `restaurant-${userRestaurant}`,
+      event: 'menu-updated'
+    }));
+  });
+});
+
+describe('PUT /api/orders/:id', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('does not move an order with lines to another channel', async () => {
+    const app = buildApp('/api/orders', orderRoutes);
+    const { authorization } = loginAs('employee');
+    const order = Order.hydrate({
+      _id: id(),
+      type: 'takeout',
+      customer: { name: 'Ana' },
+      restaurant,
+      items: [{ _id: id(), menuItem: id(), inventoryItem: id(), name: 'Hamburguesa', quantity: 1, unitPrice: 20000, totalPrice: 20000 }]
+    });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    const save = jest.spyOn(order, 'save');
+
+    const response = await request(app)
+      .put(`/api/orders/${order._id}`)
+      .set('Authorization', authorization)
+      .send({ type: 'delivery' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('No se puede cambiar el tipo de un pedido con items, sus precios son los del canal actual');
+    expect(save).not.toHaveBeenCalled();
+    expect(order.type).toBe('takeout');
+  });
+});
@@ -0,0 +1,123 @@
+const ModifierGroup = require('../models/ModifierGroup');
+const InventoryItem = require('../models/InventoryItem');
+const Order = require('../models/Order');
+const { stubWrites } = require('./helpers/db');
+const { id } = require('./helpers/factories');
+
+const restaurant = id();
+
+const cheese = new InventoryItem({
+  name: 'Queso',
+  restaurant,
+  category: id(),
+  unit: 'kg',
+  costPrice: 10,
+  sellingPrice: 12
+});
+
+// Burger with a required size and up to two extras
+const size = new ModifierGroup({
+  name: 'Tamaño',
+  isRequired: true,
+  maxSelections: 1,
+  restaurant,
+  options: [{ name: 'Sencilla', priceDelta: 0 }, { name: 'Doble', priceDelta: 4 }]
+});
+const extras = new ModifierGroup({
+  name: 'Extras',
+  maxSelections: 2,
+  restaurant,
+  options: [
+    { name: 'Extra queso', priceDelta: 1.5, maxQuantity: 2, inventoryItem: cheese, quantity: 30, unit: 'g' },
+    { name: 'Tocino', priceDelta: 2, isActive: false }
+  ]
+});
+const burger = { name: 'Hamburguesa', modifierGroups: [size._id, extras._id] };
+
+describe('ModifierGroup.resolveSelections', () => {
+  beforeEach(() => {
+    jest.spyOn(ModifierGroup, 'find').mockReturnValue({ populate: async () => [size, extras] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('snapshots the options chosen with their price and stock in the stock unit', async () => {
+    const modifiers = await ModifierGroup.resolveSelections(restaurant, burger, [
+      { option: size.options[1]._id.toString() },
+      { option: extras.options[0]._id.toString(), quantity: 2 }
+    ]);
+
+    expect(modifiers).toEqual([
+      expect.objectContaining({ groupName: 'Tamaño', name: 'Doble', priceDelta: 4, quantity: 1, inventoryItem: undefined }),
+      expect.objectContaining({ groupName: 'Extras', name: 'Extra queso', priceDelta: 1.5, quantity: 2, inventoryItem: cheese._id })
+    ]);
+    expect(modifiers[1].stockQuantity).toBeCloseTo(0.03);
+  });
+
+  it('requires the required groups and keeps the selection limits', async () => {
+    await expect(ModifierGroup.resolveSelections(restaurant, burger, []))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Hamburguesa: debe elegir al menos 1 en Tamaño' });
+
+    await expect(ModifierGroup.resolveSelections(restaurant, burger, [
+      { option: size.options[0]._id.toString() },
+      { option: size.options[1]._id.toString() }
+    ])).rejects.toMatchObject({ message: 'Hamburguesa: puede elegir máximo 1 en Tamaño' });
+
+    await expect(ModifierGroup.resolveSelections(restaurant, burger, [
+      { option: size.options[0]._id.toString() },
+      { option: extras.options[0]._id.toString(), quantity: 3 }
+    ])).rejects.toMatchObject({ message: 'Extra queso se puede elegir máximo 2 veces' });
+  });
+
+  it('rejects inactive options and options of groups the item does not have', async () => {
+    const bacon = extras.options[1]._id.toString();
+    await expect(ModifierGroup.resolveSelections(restaurant, burger, [{ option: bacon }]))
+      .rejects.toMatchObject({ message: `Modificador ${bacon} no disponible para Hamburguesa` });
+
+    const unknown = id().toString();
+    await expect(ModifierGroup.resolveSelections(restaurant, burger, [{ option: unknown }]))
+      .rejects.toMatchObject({ message: `Modificador ${unknown} no disponible para Hamburguesa` });
+  });
+});
+
+describe('ModifierGroup validation', () => {
+  it('does not allow a maximum below the minimum', async () => {
+    const group = new ModifierGroup({ name: 'Salsas', minSelections: 3, maxSelections: 2, restaurant, options: [{ name: 'Ajo' }] });
+
+    await expect(group.validate()).rejects.toMatchObject({
+      errors: { maxSelections: { message: 'El máximo de selecciones no puede ser menor al mínimo' } }
+    });
+  });
+});
+
+describe('Order items with modifiers', () => {
+  beforeEach(() => stubWrites(Order));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('prices each unit with the price of its modifiers', async () => {
+    const order = new Order({
+      customer: { name: 'Ana' },
+      restaurant,
+      createdBy: id(),
+      items: [{
+        inventoryItem: id(),
+        name: 'Hamburguesa',
+        quantity: 2,
+        unitPrice: 10,
+        cost: 4,
+        totalPrice: 20,
+        modifiers: [
+          { group: size._id, groupName: 'Tamaño', option: size.options[1]._id, name: 'Doble', priceDelta: 4, quantity: 1 },
+          { group: extras._id, groupName: 'Extras', option: extras.options[0]._id, name: 'Extra queso', priceDelta: 1.5, quantity: 2 }
+        ]
+      }],
+      inventoryDecrementedAt: new Date()
+    });
+
+    await order.save();
+
+    expect(order.items[0].totalPrice).toBe(34);
+    expect(order.subtotal).toBe(34);
+  });
+});
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const Order = require('../models/Order');
+const orderRoutes = require('../routes/orders');
+const { buildApp, loginAs } = require('./helpers/api');
+const { stubWrites } = require('./helpers/db');
+const { id, orderLine, buildOrder } = require('./helpers/factories');
+
+const waiter = { _id: id(), role: 'employee' };
+
+// Dine-in order with a starter and a main; the main is held
+const buildCourseOrder = (data = {}) => buildOrder({
+  customer: { name: 'Mesa 4' },
+  type: 'dine-in',
+  items: [
+    orderLine({ name: 'Lomo', unitPrice: 30, cost: 12, station: 'parrilla', course: 'plato_fuerte', totalPrice: 30 }),
+    orderLine({ name: 'Empanadas', quantity: 2, unitPrice: 5, cost: 2, station: 'cocina', course: 'entrada', totalPrice: 10 })
+  ],
+  courses: [{ course: 'plato_fuerte', status: 'held', heldAt: new Date() }],
+  inventoryDecrementedAt: new Date(),
+  ...data
+});
+
+describe('Order courses', () => {
+  beforeEach(() => stubWrites(Order));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('fires the courses that were not held when the order is created, in serving order', async () => {
+    const order = buildCourseOrder();
+    await order.save();
+
+    expect(order.courses.map(entry => [entry.course, entry.status])).toEqual([
+      ['entrada', 'fired'],
+      ['plato_fuerte', 'held']
+    ]);
+  });
+
+  it('keeps held courses off the station tickets and the bump', async () => {
+    const order = buildCourseOrder();
+    await order.save();
+
+    expect(order.toKitchenTicket('parrilla').items).toEqual([]);
+    await expect(order.bumpItem(order.items[0]._id, waiter))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Plato fuerte está retenido, no se ha marchado' });
+  });
+
+  it('sends a ready order back to preparing when a held course is fired', async () => {
+    const order = buildCourseOrder();
+    await order.save();
+    await order.bumpItem(order.items[1]._id, waiter);
+    order.status = 'ready';
+
+    await order.fireCourse('plato_fuerte', waiter);
+
+    expect(order.status).toBe('preparing');
+    expect(order.courses[1]).toMatchObject({ status: 'fired', firedAt: expect.any(Date) });
+    expect(order.toKitchenTicket('parrilla').items.map(item => item.name)).toEqual(['Lomo']);
+  });
+
+  it('does not hold courses with ready items or of orders not eaten at a table', async () => {
+    const order = buildCourseOrder();
+    await order.save();
+    await order.bumpItem(order.items[1]._id, waiter);
+
+    await expect(order.holdCourse('entrada'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Entrada ya tiene items listos' });
+
+    const takeout = buildCourseOrder({ type: 'takeout', courses: [] });
+    await takeout.save();
+    await expect(takeout.holdCourse('entrada'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Solo los pedidos en mesa pueden retener cursos' });
+  });
+
+  it('rejects courses the order does not have', async () => {
+    const order = buildCourseOrder();
+    await order.save();
+
+    await expect(order.fireCourse('postre', waiter)).rejects.toMatchObject({ statusCode: 404, message: 'El pedido no tiene Postre' });
+  });
+});
+
+describe('PUT /api/orders/:id/courses/:course/fire', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('fires the course and sends its items to the stations', async () => {
+    stubWrites(Order);
+    const app = buildApp('/api/orders', orderRoutes);
+    const { authorization } = loginAs('employee');
+    const order = buildCourseOrder();
+    await order.save();
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    const response = await request(app)
+      .put(`/api/orders/${order._id}/courses/plato_fuerte/fire`)
+      .set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Curso en marcha');
+    const parrilla = app.emitted.find(event => event.room === `kitchen-${order.restaurant}-parrilla`);
+    expect(parrilla.data).toMatchObject({ type: 'course_fired' });
+    expect(parrilla.data.ticket.items.map(item => item.name)).toEqual(['Lomo']);
+  });
+});
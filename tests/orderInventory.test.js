@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const InventoryItem = require('../models/InventoryItem');
+const Recipe = require('../models/Recipe');
+const { id, query, orderLine, buildOrder } = require('./helpers/factories');
+
+const twoBurgers = () => [orderLine({ quantity: 2, totalPrice: 20 })];
+
+describe('Order.decrementInventory', () => {
+  let session;
+
+  beforeEach(() => {
+    session = { withTransaction: jest.fn(work => work()), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('takes nothing when one of the ingredients is short', async () => {
+    const order = buildOrder({ items: twoBurgers() });
+    const bread = { _id: id(), name: 'Pan', quantity: 10 };
+    const meat = { _id: id(), name: 'Carne', quantity: 1 };
+    jest.spyOn(Recipe, 'explodeItems').mockResolvedValue([
+      { inventoryItem: bread._id, quantity: 2 },
+      { inventoryItem: meat._id, quantity: 2 }
+    ]);
+    jest.spyOn(InventoryItem, 'find').mockReturnValue(query([bread, meat]));
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock');
+
+    await expect(order.decrementInventory(id())).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Stock insuficiente para Carne. Disponible: 1, requerido: 2'
+    });
+    expect(adjust).not.toHaveBeenCalled();
+    expect(order.inventoryDecrementedAt).toBeUndefined();
+  });
+
+  it('records the stock consumed and its cost', async () => {
+    const order = buildOrder({ items: twoBurgers() });
+    const bread = { _id: id(), name: 'Pan', quantity: 10 };
+    jest.spyOn(Recipe, 'explodeItems').mockImplementation(async (restaurantId, items) =>
+      [{ inventoryItem: bread._id, quantity: items.reduce((sum, item) => sum + item.quantity, 0) }]);
+    jest.spyOn(InventoryItem, 'find').mockReturnValue(query([bread]));
+    jest.spyOn(InventoryItem, 'adjustStock').mockResolvedValue({ lots: [], unitCost: 1.5 });
+
+    await order.decrementInventory(id());
+
+    expect(InventoryItem.adjustStock).toHaveBeenCalledWith(bread._id, -2, expect.objectContaining({ type: 'sale' }), { session });
+    expect(order.stockConsumption[0]).toMatchObject({ quantity: 2, unitCost: 1.5 });
+    expect(order.items[0].cost).toBe(1.5);
+    expect(order.inventoryDecrementedAt).toBeInstanceOf(Date);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('takes the stock in one transaction and records nothing when an item runs out meanwhile', async () => {
+    const order = buildOrder({ items: twoBurgers() });
+    const bread = { _id: id(), name: 'Pan', quantity: 10 };
+    const meat = { _id: id(), name: 'Carne', quantity: 10 };
+    jest.spyOn(Recipe, 'explodeItems').mockResolvedValue([
+      { inventoryItem: bread._id, quantity: 2 },
+      { inventoryItem: meat._id, quantity: 2 }
+    ]);
+    jest.spyOn(InventoryItem, 'find').mockReturnValue(query([bread, meat]));
+    const shortage = Object.assign(new Error('Stock insuficiente de Carne. Disponible: 1, requerido: 2'), { statusCode: 400 });
+    jest.spyOn(InventoryItem, 'adjustStock')
+      .mockResolvedValueOnce({ lots: [], unitCost: 1 })
+      .mockRejectedValueOnce(shortage);
+
+    await expect(order.decrementInventory(id())).rejects.toBe(shortage);
+
+    expect(session.withTransaction).toHaveBeenCalledTimes(1);
+    expect(InventoryItem.adjustStock.mock.calls.map(call => call[3])).toEqual([{ session }, { session }]);
+    expect(order.stockConsumption).toHaveLength(0);
+    expect(order.inventoryDecrementedAt).toBeUndefined();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
+
+describe('Order#updateItemCosts', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('costs each item at the stock its recipe consumed', async () => {
+    const order = buildOrder({ items: twoBurgers() });
+    const bread = id();
+    const meat = id();
+    order.stockConsumption = [
+      { inventoryItem: bread, quantity: 2, unitCost: 0.5 },
+      { inventoryItem: meat, quantity: 0.3, unitCost: 20 }
+    ];
+    jest.spyOn(Recipe, 'explodeItems').mockResolvedValue([
+      { inventoryItem: bread, quantity: 2 },
+      { inventoryItem: meat, quantity: 0.3 }
+    ]);
+
+    await order.updateItemCosts();
+
+    expect(order.items[0].cost).toBeCloseTo(3.5);
+  });
+
+  it('keeps the estimated cost when some of the stock has no recorded cost', async () => {
+    const order = buildOrder({ items: twoBurgers() });
+    order.stockConsumption = [{ inventoryItem: id(), quantity: 2, unitCost: 1 }];
+    jest.spyOn(Recipe, 'explodeItems').mockResolvedValue([{ inventoryItem: id(), quantity: 2 }]);
+
+    await order.updateItemCosts();
+
+    expect(order.items[0].cost).toBe(4);
+  });
+});
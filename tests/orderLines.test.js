@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Order = require('../models/Order');
+const Promotion = require('../models/Promotion');
+const MenuItem = require('../models/MenuItem');
+const InventoryItem = require('../models/InventoryItem');
+const Recipe = require('../models/Recipe');
+const orderRoutes = require('../routes/orders');
+const { buildApp, loginAs } = require('./helpers/api');
+const { stubWrites } = require('./helpers/db');
+const { id, query, orderLine, buildOrder } = require('./helpers/factories');
+
+const burgerId = id();
+const sodaId = id();
+
+// Takeout order of two burgers with bacon and a soda: 29000
+const buildTakeoutOrder = (restaurant, promotions = []) => {
+  const order = buildOrder({
+    type: 'takeout',
+    restaurant,
+    items: [
+      orderLine({
+        menuItem: burgerId,
+        quantity: 2,
+        unitPrice: 10000,
+        cost: 4000,
+        modifiers: [{ name: 'Tocineta', priceDelta: 2000 }],
+        totalPrice: 24000
+      }),
+      orderLine({ menuItem: sodaId, name: 'Gaseosa', unitPrice: 5000, cost: 1000, totalPrice: 5000 })
+    ],
+    promotions
+  });
+  order.subtotal = 29000;
+  return order;
+};
+
+describe('Order#adjustItem', () => {
+  it('recalculates the line total with its modifiers', () => {
+    const order = buildTakeoutOrder(id());
+
+    const item = order.adjustItem(order.items[0]._id, 1);
+
+    expect(item.totalPrice).toBe(12000);
+  });
+});
+
+describe('Order#reconcileInventory', () => {
+  const bread = { _id: id(), name: 'Pan', quantity: 10 };
+  const lot = id();
+
+  // Order already in the kitchen: its 2 breads were taken from one lot at 1.5
+  const preparingOrder = () => {
+    const order = buildTakeoutOrder(id());
+    order.items = [{ inventoryItem: bread._id, name: 'Sánduche', quantity: 2, unitPrice: 10, cost: 1.5, totalPrice: 20 }];
+    order.inventoryDecrementedAt = new Date();
+    order.stockConsumption = [{ inventoryItem: bread._id, quantity: 2, unitCost: 1.5, lots: [{ lot, quantity: 2, unitCost: 1.5 }] }];
+    return order;
+  };
+
+  let session;
+
+  beforeEach(() => {
+    jest.spyOn(Recipe, 'explodeItems').mockImplementation(async (restaurantId, items) =>
+      [{ inventoryItem: bread._id, quantity: items.reduce((sum, item) => sum + item.quantity, 0) }]);
+    jest.spyOn(InventoryItem, 'find').mockReturnValue(query([bread]));
+    session = { withTransaction: jest.fn(work => work()), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('takes the stock of the units added, averaging their cost', async () => {
+    const order = preparingOrder();
+    order.items[0].quantity = 4;
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock').mockResolvedValue({ unitCost: 2.5, lots: [] });
+
+    await order.reconcileInventory(id());
+
+    expect(adjust).toHaveBeenCalledWith(bread._id.toString(), -2, expect.objectContaining({ type: 'sale', order: order._id }), { session });
+    expect(order.stockConsumption[0]).toMatchObject({ quantity: 4, unitCost: 2 });
+    expect(order.items[0].cost).toBe(2);
+  });
+
+  it('gives the stock of the units removed back to the lots it came from', async () => {
+    const order = preparingOrder();
+    order.items[0].quantity = 1;
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock').mockResolvedValue({});
+
+    await order.reconcileInventory(id());
+
+    expect(adjust).toHaveBeenCalledWith(
+      bread._id.toString(),
+      1,
+      expect.objectContaining({ type: 'cancellation_restore' }),
+      { restoreLots: [{ lot, quantity: 1, unitCost: 1.5 }], costPrice: 1.5, session }
+    );
+    expect(order.stockConsumption[0]).toMatchObject({ quantity: 1 });
+    expect(order.stockConsumption[0].lots[0].quantity).toBe(1);
+  });
+
+  it('keeps the recorded consumption when a change fails inside the transaction', async () => {
+    const order = preparingOrder();
+    order.items[0].quantity = 4;
+    jest.spyOn(InventoryItem, 'adjustStock').mockRejectedValue(new Error('Stock insuficiente de Pan'));
+
+    await expect(order.reconcileInventory(id())).rejects.toThrow('Stock insuficiente de Pan');
+
+    expect(order.stockConsumption[0]).toMatchObject({ quantity: 2, unitCost: 1.5 });
+    expect(order.stockConsumption[0].lots).toHaveLength(1);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('takes nothing when the units added are short', async () => {
+    const order = preparingOrder();
+    order.items[0].quantity = 20;
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock');
+
+    await expect(order.reconcileInventory(id())).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Stock insuficiente para Pan. Disponible: 10, requerido: 18'
+    });
+    expect(adjust).not.toHaveBeenCalled();
+  });
+});
+
+describe('Order#saveLineChanges', () => {
+  beforeEach(() => {
+    stubWrites(Order);
+    jest.spyOn(Order.prototype, 'reconcileInventory').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('sends a ready order back to preparing with the new items and fires their course', async () => {
+    const order = buildTakeoutOrder(id());
+    order.status = 'ready';
+    order.inventoryDecrementedAt = new Date();
+    order.items.forEach(item => {
+      item.prepStatus = 'ready';
+      item.readyAt = new Date();
+    });
+    order.addItem({ inventoryItem: id(), name: 'Postre', quantity: 1, unitPrice: 6000, cost: 2000, course: 'postre', totalPrice: 6000 });
+
+    await order.saveLineChanges({ _id: id(), role: 'employee' });
+
+    expect(order.status).toBe('preparing');
+    expect(order.statusHistory[order.statusHistory.length - 1].reason).toBe('Items agregados al pedido');
+    expect(order.courses.map(entry => [entry.course, entry.status])).toEqual([
+      ['plato_fuerte', 'fired'],
+      ['postre', 'fired']
+    ]);
+    expect(order.subtotal).toBe(35000);
+    expect(Order.prototype.reconcileInventory).toHaveBeenCalled();
+  });
+});
+
+describe('changing the lines of an order with coupons', () => {
+  let app;
+  let authorization;
+  let restaurant;
+
+  const coupon = (data) => new Promotion({
+    name: 'Cupón',
+    type: 'fixed',
+    value: 3000,
+    restaurant: restaurant._id,
+    ...data
+  });
+  // Promotion.find answering only the coupons asked for, as the query of Promotion.evaluate
+  const findCoupons = (...coupons) => jest.spyOn(Promotion, 'find').mockImplementation(async filter =>
+    coupons.filter(promotion => filter.$or[1].code.$in.includes(promotion.code)));
+  const applied = promotion => ({
+    promotion: promotion._id,
+    name: promotion.name,
+    code: promotion.code,
+    type: promotion.type,
+    amount: 3000
+  });
+
+  beforeEach(() => {
+    app = buildApp('/api/orders', orderRoutes);
+    ({ authorization, restaurant } = loginAs('employee'));
+    jest.spyOn(MenuItem, 'find').mockReturnValue(query([]));
+    jest.spyOn(Promotion, 'release').mockResolvedValue();
+    jest.spyOn(Order.prototype, 'saveLineChanges').mockResolvedValue();
+    jest.spyOn(Order.prototype, 'populate').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('drops a coupon whose minimum subtotal is no longer met and gives its use back', async () => {
+    const minimum = coupon({ code: 'MIN20', minSubtotal: 20000 });
+    const order = buildTakeoutOrder(restaurant._id, [applied(minimum)]);
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    findCoupons(minimum);
+
+    // 12000 + 5000 is below the minimum, the stale 24000 of the burger line was not
+    const response = await request(app)
+      .put(`/api/orders/${order._id}/items/${order.items[0]._id}`)
+      .set('Authorization', authorization)
+      .send({ quantity: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.removedCoupons).toEqual(['MIN20']);
+    expect(order.promotions).toHaveLength(0);
+    expect(Promotion.release).toHaveBeenCalledWith([expect.objectContaining({ code: 'MIN20' })]);
+  });
+
+  it('drops a coupon whose item was removed and keeps the ones that still apply', async () => {
+    const sodaCoupon = coupon({ code: 'SODA', scope: 'items', menuItems: [sodaId] });
+    const orderCoupon = coupon({ code: 'TODO' });
+    const order = buildTakeoutOrder(restaurant._id, [applied(sodaCoupon), applied(orderCoupon)]);
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    findCoupons(sodaCoupon, orderCoupon);
+
+    const response = await request(app)
+      .delete(`/api/orders/${order._id}/items/${order.items[1]._id}`)
+      .set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.removedCoupons).toEqual(['SODA']);
+    expect(order.promotions.map(promotion => promotion.code)).toEqual(['TODO']);
+    expect(Promotion.release).toHaveBeenCalledWith([expect.objectContaining({ code: 'SODA' })]);
+  });
+
+  it('gives nothing back when the line change cannot be saved', async () => {
+    const minimum = coupon({ code: 'MIN20', minSubtotal: 20000 });
+    const order = buildTakeoutOrder(restaurant._id, [applied(minimum)]);
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    findCoupons(minimum);
+    Order.prototype.saveLineChanges.mockRejectedValue(new Error('write conflict'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app)
+      .put(`/api/orders/${order._id}/items/${order.items[0]._id}`)
+      .set('Authorization', authorization)
+      .send({ quantity: 1 });
+
+    expect(response.status).toBe(500);
+    expect(Promotion.release).not.toHaveBeenCalled();
+  });
+});
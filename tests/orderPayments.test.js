@@ -0,0 +1,209 @@
+const request = require('supertest');
+const Order = require('../models/Order');
+const Promotion = require('../models/Promotion');
+const orderRoutes = require('../routes/orders');
+const { buildApp, loginAs } = require('./helpers/api');
+const { stubWrites } = require('./helpers/db');
+const { id, orderLine, buildOrder } = require('./helpers/factories');
+
+const cashier = { _id: id() };
+
+// 2 x 10 (asiento 1) + 7 (asiento 2) with IVA 19% on top, and 3.33 exento shared: 35.46
+const checkItems = () => [
+  orderLine({ quantity: 2, taxRate: 0.19, seat: 1, totalPrice: 0 }),
+  orderLine({ name: 'Jugo', unitPrice: 7, cost: 2, taxRate: 0.19, seat: 2, totalPrice: 0 }),
+  orderLine({ name: 'Papas', unitPrice: 3.33, cost: 1, taxRate: 0, totalPrice: 0 })
+];
+
+describe('Order payments', () => {
+  let order;
+
+  beforeEach(async () => {
+    stubWrites(Order);
+    order = buildOrder({ items: checkItems(), pricesIncludeTax: false });
+    await order.save();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('derives the payment status and method from the payments', async () => {
+    expect(order.total).toBeCloseTo(35.46);
+
+    await order.addPayment({ method: 'card', amount: 20 }, cashier);
+    expect(order.paymentStatus).toBe('partially_paid');
+    expect(order.paymentMethod).toBe('card');
+
+    const cash = await order.addPayment({ method: 'cash', tendered: 20 }, cashier);
+    expect(cash).toMatchObject({ amount: 15.46, tendered: 20, change: 4.54 });
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.paymentMethod).toBe('mixed');
+  });
+
+  it('rejects payments above what is due', async () => {
+    await expect(order.addPayment({ method: 'card', amount: 40 }, cashier))
+      .rejects.toMatchObject({ statusCode: 400, message: 'El monto excede el saldo pendiente de 35.46' });
+  });
+
+  it('rejects cash tendered below the amount and tendered amounts on cards', async () => {
+    await expect(order.addPayment({ method: 'cash', amount: 10, tendered: 5 }, cashier))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(order.addPayment({ method: 'card', amount: 10, tendered: 20 }, cashier))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Solo los pagos en efectivo reciben un monto entregado' });
+  });
+
+  it('derives the status again when a payment is refunded', async () => {
+    const payment = await order.addPayment({ method: 'card' }, cashier);
+    expect(order.paymentStatus).toBe('paid');
+
+    await order.refundPayment(payment._id, cashier, 'Cobro duplicado');
+    expect(order.paymentStatus).toBe('pending');
+    expect(order.paymentSummary()).toMatchObject({ paid: 0, due: 35.46 });
+
+    await expect(order.refundPayment(payment._id, cashier)).rejects.toMatchObject({ message: 'El pago ya fue reembolsado' });
+  });
+});
+
+describe('Order split checks', () => {
+  let order;
+
+  beforeEach(async () => {
+    stubWrites(Order);
+    order = buildOrder({ items: checkItems(), pricesIncludeTax: false });
+    await order.save();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('splits by seat with a check for the shared items', async () => {
+    await order.splitChecks('seat');
+
+    expect(order.checks.map(check => [check.name, check.amount])).toEqual([
+      ['Asiento 1', 23.8],
+      ['Asiento 2', 8.33],
+      ['Compartido', 3.33]
+    ]);
+  });
+
+  it('splits in equal parts, the last one taking the rounding difference', async () => {
+    await order.splitChecks('equal', { parts: 4 });
+
+    expect(order.checks.map(check => check.amount)).toEqual([8.87, 8.87, 8.87, 8.85]);
+  });
+
+  it('splits by item sharing an item between checks', async () => {
+    const [burger, juice, fries] = order.items;
+
+    await expect(order.splitChecks('item', {
+      checks: [{ items: [{ item: burger._id, quantity: 1.5 }] }, { items: [{ item: juice._id }, { item: fries._id }] }]
+    })).rejects.toMatchObject({ message: 'Las cuentas deben repartir exactamente 2 de Hamburguesa' });
+
+    await order.splitChecks('item', {
+      checks: [
+        { items: [{ item: burger._id, quantity: 1.5 }] },
+        { items: [{ item: burger._id, quantity: 0.5 }, { item: juice._id }, { item: fries._id }] }
+      ]
+    });
+    expect(order.checks.map(check => check.amount)).toEqual([17.85, 17.61]);
+  });
+
+  it('takes payments per check and keeps the checks once paid', async () => {
+    await order.splitChecks('seat');
+
+    await expect(order.addPayment({ method: 'card' }, cashier))
+      .rejects.toMatchObject({ message: 'La cuenta está dividida, indique la cuenta que se paga' });
+
+    await order.addPayment({ method: 'card', check: order.checks[0]._id }, cashier);
+    expect(order.paymentStatus).toBe('partially_paid');
+    await expect(order.addPayment({ method: 'cash', check: order.checks[0]._id }, cashier))
+      .rejects.toMatchObject({ message: 'Asiento 1 ya está pagada' });
+    await expect(order.clearChecks()).rejects.toMatchObject({ statusCode: 400 });
+    await expect(order.splitChecks('equal', { parts: 2 })).rejects.toMatchObject({ statusCode: 400 });
+
+    for (const check of order.checks.slice(1)) {
+      await order.addPayment({ method: 'transfer', check: check._id }, cashier);
+    }
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.paymentSummary().checks.every(check => check.due === 0)).toBe(true);
+  });
+});
+
+describe('order routes with payments', () => {
+  let app;
+  let authorization;
+  let order;
+
+  beforeEach(async () => {
+    stubWrites(Order);
+    app = buildApp('/api/orders', orderRoutes);
+    ({ authorization } = loginAs('manager'));
+    order = buildOrder({ items: checkItems(), pricesIncludeTax: false, paymentMethod: 'card' });
+    await order.save();
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    jest.spyOn(Order.prototype, 'populate').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects discounts and coupons while the order has payments', async () => {
+    await order.addPayment({ method: 'cash', amount: 10 }, cashier);
+    const evaluate = jest.spyOn(Promotion, 'evaluate');
+
+    const discount = await request(app)
+      .post(`/api/orders/${order._id}/discounts`)
+      .set('Authorization', authorization)
+      .send({ amount: 5, reason: 'Cliente frecuente' });
+    const coupon = await request(app)
+      .post(`/api/orders/${order._id}/coupons`)
+      .set('Authorization', authorization)
+      .send({ code: 'DIEZ' });
+
+    expect(discount.status).toBe(400);
+    expect(discount.body.message).toBe('El pedido tiene pagos registrados, reembólselos antes de cambiar sus descuentos');
+    expect(coupon.status).toBe(400);
+    expect(evaluate).not.toHaveBeenCalled();
+    expect(order.promotions).toHaveLength(0);
+  });
+
+  it('accepts discounts again once the payments are refunded', async () => {
+    const payment = await order.addPayment({ method: 'cash', amount: 10 }, cashier);
+    await order.refundPayment(payment._id, cashier);
+
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/discounts`)
+      .set('Authorization', authorization)
+      .send({ amount: 5, reason: 'Cliente frecuente' });
+
+    expect(response.status).toBe(200);
+    expect(order.discount).toBe(5);
+  });
+
+  it('does not change the lines of an order with payments', async () => {
+    await order.addPayment({ method: 'cash', amount: 10 }, cashier);
+    const save = jest.spyOn(order, 'saveLineChanges');
+
+    const adjust = await request(app)
+      .put(`/api/orders/${order._id}/items/${order.items[0]._id}`)
+      .set('Authorization', authorization)
+      .send({ quantity: 1 });
+    const remove = await request(app)
+      .delete(`/api/orders/${order._id}/items/${order.items[1]._id}`)
+      .set('Authorization', authorization);
+
+    expect(adjust.status).toBe(400);
+    expect(adjust.body.message).toBe('El pedido tiene pagos registrados, reembólselos antes de cambiar sus items');
+    expect(remove.status).toBe(400);
+    expect(save).not.toHaveBeenCalled();
+    expect(order.items).toHaveLength(3);
+  });
+
+  it('does not let the payment method be set by hand', async () => {
+    const response = await request(app)
+      .put(`/api/orders/${order._id}`)
+      .set('Authorization', authorization)
+      .send({ paymentMethod: 'cash', notes: 'Sin cebolla' });
+
+    expect(response.status).toBe(200);
+    expect(order.notes).toBe('Sin cebolla');
+    expect(order.paymentMethod).toBe('card');
+  });
+});
@@ -0,0 +1,57 @@
+const request = require('supertest');
+const Order = require('../models/Order');
+const Promotion = require('../models/Promotion');
+const orderRoutes = require('../routes/orders');
+const { buildApp, loginAs } = require('./helpers/api');
+const { id, orderLine, buildOrder } = require('./helpers/factories');
+
+describe('POST /api/orders/:id/coupons', () => {
+  let app;
+  let authorization;
+  let order;
+  const coupon = { promotion: id(), name: 'Cupón 10%', code: 'DIEZ', type: 'percentage', amount: 2 };
+
+  beforeEach(() => {
+    app = buildApp('/api/orders', orderRoutes);
+    let restaurant;
+    ({ authorization, restaurant } = loginAs('employee'));
+    order = buildOrder({
+      type: 'takeout',
+      restaurant: restaurant._id,
+      items: [orderLine({ menuItem: id(), quantity: 2, totalPrice: 20 })]
+    });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    jest.spyOn(Promotion, 'evaluate').mockResolvedValue([coupon]);
+    jest.spyOn(Promotion, 'redeem').mockResolvedValue();
+    jest.spyOn(Promotion, 'release').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('redeems the coupon and saves it on the order', async () => {
+    jest.spyOn(Order.prototype, 'save').mockResolvedValue();
+
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/coupons`)
+      .set('Authorization', authorization)
+      .send({ code: 'diez' });
+
+    expect(response.status).toBe(200);
+    expect(Promotion.redeem).toHaveBeenCalledWith([coupon]);
+    expect(Promotion.release).not.toHaveBeenCalled();
+    expect(order.promotions.map(promotion => promotion.code)).toEqual(['DIEZ']);
+  });
+
+  it('gives the coupon use back when the order cannot be saved', async () => {
+    jest.spyOn(Order.prototype, 'save').mockRejectedValue(new Error('write conflict'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/coupons`)
+      .set('Authorization', authorization)
+      .send({ code: 'DIEZ' });
+
+    expect(response.status).toBe(500);
+    expect(Promotion.release).toHaveBeenCalledWith([coupon]);
+  });
+});
@@ -0,0 +1,130 @@
+const request = require('supertest');
+const Order = require('../models/Order');
+const Promotion = require('../models/Promotion');
+const orderRoutes = require('../routes/orders');
+const { buildApp, loginAs } = require('./helpers/api');
+const { stubWrites } = require('./helpers/db');
+const { id, buildOrder } = require('./helpers/factories');
+
+const employee = { _id: id(), role: 'employee' };
+const manager = { _id: id(), role: 'manager' };
+
+describe('Order#updateStatus', () => {
+  beforeEach(() => {
+    stubWrites(Order);
+    jest.spyOn(Order.prototype, 'decrementInventory').mockImplementation(async function() {
+      this.inventoryDecrementedAt = new Date();
+    });
+    jest.spyOn(Order.prototype, 'restoreInventory').mockResolvedValue();
+    jest.spyOn(Promotion, 'release').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps the history of the changes and takes the stock when preparation starts', async () => {
+    const order = buildOrder();
+
+    await order.updateStatus('confirmed', employee);
+    await order.updateStatus('preparing', employee, 'Cliente con prisa');
+
+    expect(order.status).toBe('preparing');
+    expect(order.statusHistory.map(entry => [entry.from, entry.to, entry.reason])).toEqual([
+      ['pending', 'confirmed', undefined],
+      ['confirmed', 'preparing', 'Cliente con prisa']
+    ]);
+    expect(order.statusHistory[0].changedBy).toEqual(employee._id);
+    expect(Order.prototype.decrementInventory).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects changes that are not allowed naming the allowed ones', async () => {
+    const order = buildOrder({ status: 'confirmed' });
+
+    await expect(order.updateStatus('delivered', employee)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'No se puede pasar un pedido confirmado a entregado. Estados permitidos: en preparación, cancelado'
+    });
+    expect(order.statusHistory).toHaveLength(0);
+  });
+
+  it('does not leave cancelled orders', async () => {
+    const order = buildOrder({ status: 'cancelled' });
+
+    await expect(order.updateStatus('pending', manager)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'No se puede pasar un pedido cancelado a pendiente'
+    });
+  });
+
+  it('only lets managers cancel orders already in preparation', async () => {
+    const order = buildOrder({ status: 'preparing' });
+
+    await expect(order.updateStatus('cancelled', employee)).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Solo un gerente puede pasar un pedido en preparación a cancelado'
+    });
+
+    await order.updateStatus('cancelled', manager);
+    expect(order.isActive).toBe(false);
+    expect(Order.prototype.restoreInventory).toHaveBeenCalledWith(manager._id);
+    expect(Promotion.release).toHaveBeenCalledWith(order.promotions);
+  });
+
+  it('records when the order was delivered', async () => {
+    const order = buildOrder({
+      status: 'ready',
+      inventoryDecrementedAt: new Date(),
+      createdAt: new Date(Date.now() - 25 * 60 * 1000)
+    });
+
+    await order.updateStatus('delivered', employee);
+
+    expect(order.completedAt).toBeInstanceOf(Date);
+    expect(order.actualTime).toBe(25);
+    expect(Order.prototype.decrementInventory).not.toHaveBeenCalled();
+  });
+
+  it('lists the statuses each role can move the order to', () => {
+    const order = buildOrder({ status: 'ready' });
+
+    expect(order.nextStatuses('employee')).toEqual(['delivered', 'preparing']);
+    expect(order.nextStatuses('manager')).toEqual(['delivered', 'preparing', 'cancelled']);
+  });
+});
+
+describe('PUT /api/orders/:id/status', () => {
+  let app;
+  let authorization;
+  let order;
+
+  beforeEach(() => {
+    stubWrites(Order);
+    app = buildApp('/api/orders', orderRoutes);
+    ({ authorization } = loginAs('employee'));
+    order = buildOrder({ status: 'confirmed', inventoryDecrementedAt: new Date() });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    jest.spyOn(Order.prototype, 'populate').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('changes the status and returns the next allowed ones', async () => {
+    const response = await request(app)
+      .put(`/api/orders/${order._id}/status`)
+      .set('Authorization', authorization)
+      .send({ status: 'preparing' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.nextStatuses).toEqual(['ready']);
+    expect(app.emitted.map(event => event.event)).toContain('order-updated');
+  });
+
+  it('answers the error of a transition that is not allowed', async () => {
+    const response = await request(app)
+      .put(`/api/orders/${order._id}/status`)
+      .set('Authorization', authorization)
+      .send({ status: 'ready' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('No se puede pasar un pedido confirmado a listo. Estados permitidos: en preparación, cancelado');
+  });
+});
@@ -0,0 +1,74 @@
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const { stubWrites } = require('./helpers/db');
+const { orderLine, buildOrder } = require('./helpers/factories');
+
+const taxedItems = () => [
+  orderLine({ unitPrice: 11900, cost: 4000, taxClass: 'iva_general', taxRate: 0.19, totalPrice: 0 }),
+  orderLine({ name: 'Cerveza', quantity: 2, unitPrice: 5400, cost: 2000, taxClass: 'impoconsumo', taxRate: 0.08, totalPrice: 0 }),
+  orderLine({ name: 'Agua', unitPrice: 2000, cost: 500, taxClass: 'exento', taxRate: 0, totalPrice: 0 })
+];
+
+describe('Restaurant#taxRateFor', () => {
+  it('uses the restaurant rate for the general IVA and fixed rates for the other classes', () => {
+    const restaurant = new Restaurant({ settings: { taxRate: 0.16 } });
+
+    expect(restaurant.taxRateFor('iva_general')).toBe(0.16);
+    expect(restaurant.taxRateFor()).toBe(0.16);
+    expect(restaurant.taxRateFor('iva_reducido')).toBe(0.05);
+    expect(restaurant.taxRateFor('impoconsumo')).toBe(0.08);
+    expect(restaurant.taxRateFor('exento')).toBe(0);
+  });
+});
+
+describe('Order taxes', () => {
+  beforeEach(() => stubWrites(Order));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('takes the taxes out of prices that include them', async () => {
+    const order = buildOrder({ items: taxedItems(), pricesIncludeTax: true });
+    await order.save();
+
+    expect(order.subtotal).toBe(24700);
+    expect(order.tax).toBeCloseTo(1900 + 800);
+    expect(order.total).toBe(24700);
+    expect(order.taxBreakdown.map(entry => [entry.taxClass, entry.rate, Math.round(entry.base), Math.round(entry.amount)]))
+      .toEqual([
+        ['iva_general', 0.19, 10000, 1900],
+        ['impoconsumo', 0.08, 10000, 800],
+        ['exento', 0, 2000, 0]
+      ]);
+  });
+
+  it('adds the taxes to prices that do not include them', async () => {
+    const order = buildOrder({ items: taxedItems(), pricesIncludeTax: false });
+    await order.save();
+
+    expect(order.tax).toBeCloseTo(11900 * 0.19 + 10800 * 0.08);
+    expect(order.total).toBeCloseTo(24700 + 11900 * 0.19 + 10800 * 0.08);
+  });
+
+  it('taxes the discounted price, sharing the discount by the price of each item', async () => {
+    const order = buildOrder({
+      items: taxedItems(),
+      pricesIncludeTax: false,
+      promotions: [{ name: 'Descuento manual', type: 'manual', amount: 2470 }]
+    });
+    await order.save();
+
+    // 10% of the subtotal, so each item is taxed on 90% of its price
+    expect(order.discount).toBe(2470);
+    expect(order.tax).toBeCloseTo((11900 * 0.19 + 10800 * 0.08) * 0.9);
+    expect(order.total).toBeCloseTo(24700 - 2470 + (11900 * 0.19 + 10800 * 0.08) * 0.9);
+  });
+
+  it('does not discount more than the subtotal', async () => {
+    const order = buildOrder({ items: taxedItems(), promotions: [{ name: 'Cortesía', type: 'manual', amount: 50000 }] });
+    await order.save();
+
+    expect(order.discount).toBe(24700);
+    expect(order.tax).toBeCloseTo(0);
+    expect(order.total).toBe(0);
+  });
+});
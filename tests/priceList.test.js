@@ -0,0 +1,121 @@
+const request = require('supertest');
+const PriceList = require('../models/PriceList');
+const MenuItem = require('../models/MenuItem');
+const Restaurant = require('../models/Restaurant');
+const priceListRoutes = require('../routes/priceLists');
+const { buildApp, loginAs } = require('./helpers/api');
+const { id } = require('./helpers/factories');
+
+const restaurant = id();
+const beer = id();
+const wings = id();
+
+// Friday 18:00 and 23:30, Monday 18:00 in Bogotá
+const fridayEvening = new Date('2026-10-16T23:00:00Z');
+const fridayNight = new Date('2026-10-17T04:30:00Z');
+const mondayEvening = new Date('2026-10-19T23:00:00Z');
+
+const buildList = data => new PriceList({ name: 'Lista', restaurant, items: [], ...data });
+
+const happyHour = buildList({
+  name: 'Happy hour',
+  priority: 10,
+  schedules: [{ days: ['friday'], startTime: '17:00', endTime: '19:00' }],
+  items: [{ menuItem: beer, price: 5000 }]
+});
+const lateNight = buildList({
+  name: 'Trasnocho',
+  priority: 5,
+  channels: ['delivery'],
+  schedules: [{ startTime: '23:00', endTime: '02:00' }],
+  items: [{ menuItem: wings, price: 15000 }]
+});
+const delivery = buildList({
+  name: 'Domicilios',
+  channels: ['delivery'],
+  items: [{ menuItem: beer, price: 8000 }, { menuItem: wings, price: 18000 }]
+});
+
+describe('PriceList.resolvePrices', () => {
+  beforeEach(() => {
+    jest.spyOn(Restaurant, 'findById').mockReturnValue({ select: async () => ({ settings: { timezone: 'America/Bogota' } }) });
+    jest.spyOn(PriceList, 'find').mockReturnValue({ sort: async () => [happyHour, lateNight, delivery] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('takes each price from the list with the highest priority in effect', async () => {
+    const prices = await PriceList.resolvePrices(restaurant, 'delivery', fridayEvening);
+
+    expect(prices.get(beer.toString())).toEqual({ price: 5000, priceList: happyHour._id, priceListName: 'Happy hour' });
+    expect(prices.get(wings.toString())).toMatchObject({ price: 18000, priceListName: 'Domicilios' });
+  });
+
+  it('applies schedules in the restaurant timezone, also across midnight', async () => {
+    const night = await PriceList.resolvePrices(restaurant, 'delivery', fridayNight);
+    expect(night.get(beer.toString())).toMatchObject({ price: 8000 });
+    expect(night.get(wings.toString())).toMatchObject({ price: 15000, priceListName: 'Trasnocho' });
+
+    const monday = await PriceList.resolvePrices(restaurant, 'dine-in', mondayEvening);
+    expect(monday.size).toBe(0);
+  });
+});
+
+describe('PriceList validation', () => {
+  it('rejects date ranges that end before they start and repeated items', async () => {
+    const list = buildList({
+      startDate: new Date('2026-12-31'),
+      endDate: new Date('2026-12-01'),
+      items: [{ menuItem: beer, price: 5000 }, { menuItem: beer, price: 6000 }]
+    });
+
+    await expect(list.validate()).rejects.toMatchObject({
+      errors: {
+        endDate: { message: 'La fecha de fin no puede ser anterior a la de inicio' },
+        items: { message: 'Un producto del menú está repetido en la lista' }
+      }
+    });
+  });
+});
+
+describe('price list routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp('/api/price-lists', priceListRoutes);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('shows the prices that would be charged now on a channel', async () => {
+    const { authorization } = loginAs('employee');
+    const resolve = jest.spyOn(PriceList, 'resolvePrices').mockResolvedValue(new Map([
+      [beer.toString(), { price: 5000, priceList: happyHour._id, priceListName: 'Happy hour' }]
+    ]));
+
+    const response = await request(app)
+      .get('/api/price-lists/current?channel=delivery')
+      .set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(resolve.mock.calls[0][1]).toBe('delivery');
+    expect(response.body.data.prices).toEqual([
+      { menuItem: beer.toString(), price: 5000, priceList: happyHour._id.toString(), priceListName: 'Happy hour' }
+    ]);
+  });
+
+  it('rejects lists with menu items that do not exist', async () => {
+    const { authorization } = loginAs('manager');
+    jest.spyOn(MenuItem, 'countDocuments').mockResolvedValue(1);
+    const save = jest.spyOn(PriceList.prototype, 'save');
+
+    const response = await request(app)
+      .post('/api/price-lists')
+      .set('Authorization', authorization)
+      .send({ name: 'Happy hour', items: [{ menuItem: beer.toString(), price: 5000 }, { menuItem: wings.toString(), price: 9000 }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Producto del menú no encontrado');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
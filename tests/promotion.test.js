@@ -0,0 +1,100 @@
+const Promotion = require('../models/Promotion');
+const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const { id, query } = require('./helpers/factories');
+
+const restaurant = id();
+const promotion = data => new Promotion({ name: 'Promo', type: 'percentage', value: 10, restaurant, ...data });
+
+describe('Promotion#calculateDiscount', () => {
+  const burger = id();
+  const drinks = id();
+  const lines = [
+    { menuItem: burger, quantity: 2, totalPrice: 20000 },
+    { menuItem: id(), category: drinks, quantity: 3, totalPrice: 9000 }
+  ];
+
+  it('takes a percentage of the whole order', () => {
+    expect(promotion({ value: 10 }).calculateDiscount(lines)).toBe(2900);
+  });
+
+  it('does not take more than the eligible lines with a fixed amount', () => {
+    const fixed = promotion({ type: 'fixed', value: 25000, scope: 'items', menuItems: [burger] });
+    expect(fixed.calculateDiscount(lines)).toBe(20000);
+  });
+
+  it('only counts the lines of the promotion categories', () => {
+    expect(promotion({ scope: 'categories', categories: [drinks] }).calculateDiscount(lines, [drinks])).toBe(900);
+  });
+
+  it('gives away the cheapest units on buy X get Y', () => {
+    const twoForOne = promotion({ type: 'buy_x_get_y', value: 100, buyQuantity: 1, getQuantity: 1 });
+    // Units of 10000, 10000, 3000, 3000 and 3000: two free units, the 3000 ones
+    expect(twoForOne.calculateDiscount(lines)).toBe(6000);
+  });
+});
+
+describe('Promotion.evaluate', () => {
+  const items = [
+    { menuItem: id(), quantity: 1, totalPrice: 10000 },
+    { menuItem: id(), bundleLine: id(), quantity: 1, totalPrice: 8000 }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(MenuItem, 'find').mockReturnValue(query([]));
+    jest.spyOn(Category, 'getDescendantIds').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('applies automatic promotions to the lines outside bundles', async () => {
+    const automatic = promotion({ value: 10 });
+    jest.spyOn(Promotion, 'find').mockResolvedValue([automatic]);
+
+    await expect(Promotion.evaluate(restaurant, items)).resolves.toEqual([
+      { promotion: automatic._id, name: 'Promo', code: undefined, type: 'percentage', amount: 1000 }
+    ]);
+  });
+
+  it('skips automatic promotions out of their dates or below their minimum', async () => {
+    jest.spyOn(Promotion, 'find').mockResolvedValue([
+      promotion({ endDate: new Date('2026-01-01') }),
+      promotion({ minSubtotal: 50000 })
+    ]);
+
+    await expect(Promotion.evaluate(restaurant, items, [], new Date('2026-06-01'))).resolves.toEqual([]);
+  });
+
+  it.each([
+    ['that does not exist', [], 'Cupón NADA no existe'],
+    ['that expired', [promotion({ code: 'NADA', endDate: new Date('2026-01-01') })], 'Cupón NADA vencido'],
+    ['below its minimum', [promotion({ code: 'NADA', minSubtotal: 50000 })], 'Cupón NADA requiere un pedido mínimo de 50000'],
+    ['without its items', [promotion({ code: 'NADA', scope: 'items', menuItems: [id()] })], 'Cupón NADA no aplica a los productos del pedido']
+  ])('rejects a coupon %s naming it', async (reason, promotions, message) => {
+    jest.spyOn(Promotion, 'find').mockResolvedValue(promotions);
+
+    await expect(Promotion.evaluate(restaurant, items, [' nada '], new Date('2026-06-01')))
+      .rejects.toMatchObject({ statusCode: 400, coupon: 'NADA', message });
+  });
+});
+
+describe('Promotion.redeem', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('gives back the uses already taken when a coupon ran out', async () => {
+    const first = { promotion: id(), code: 'UNO' };
+    const second = { promotion: id(), code: 'DOS' };
+    jest.spyOn(Promotion, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ _id: first.promotion })
+      .mockResolvedValueOnce(null);
+    const update = jest.spyOn(Promotion, 'updateOne').mockResolvedValue({});
+
+    await expect(Promotion.redeem([first, { promotion: id(), type: 'percentage' }, second]))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Cupón DOS agotado' });
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update).toHaveBeenCalledWith(
+      { _id: first.promotion, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } }
+    );
+  });
+});
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const InventoryItem = require('../models/InventoryItem');
+const { id } = require('./helpers/factories');
+
+const buildPurchaseOrder = item => new PurchaseOrder({
+  poNumber: 'OC-0001',
+  supplier: id(),
+  restaurant: id(),
+  createdBy: id(),
+  status: 'sent',
+  lines: [{ inventoryItem: item._id, name: item.name, unit: 'caja', quantityOrdered: 3, unitCost: 48 }]
+});
+
+describe('PurchaseOrder.receive', () => {
+  let item;
+  let session;
+
+  beforeEach(() => {
+    item = new InventoryItem({
+      name: 'Gaseosa',
+      unit: 'unidad',
+      unitConversions: [{ unit: 'caja', factor: 24 }],
+      restaurant: id()
+    });
+    session = { withTransaction: jest.fn(work => work()), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(InventoryItem, 'findById').mockImplementation(async itemId => (item._id.equals(itemId) ? item : null));
+    jest.spyOn(InventoryItem, 'adjustStock').mockResolvedValue({});
+    jest.spyOn(PurchaseOrder.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('receives the lines in the stock unit inside one transaction', async () => {
+    const purchaseOrder = buildPurchaseOrder(item);
+    const line = purchaseOrder.lines[0];
+
+    await purchaseOrder.receive([{ lineId: line._id, quantity: 2, lotNumber: 'L1' }], id());
+
+    expect(InventoryItem.adjustStock).toHaveBeenCalledWith(
+      item._id,
+      48,
+      expect.objectContaining({ type: 'receiving', purchaseOrder: purchaseOrder._id }),
+      expect.objectContaining({ costPrice: 2, session, lot: { lotNumber: 'L1', expiresAt: undefined } })
+    );
+    expect(PurchaseOrder.prototype.save).toHaveBeenCalledWith({ session });
+    expect(session.endSession).toHaveBeenCalled();
+    expect(line.quantityReceived).toBe(2);
+    expect(purchaseOrder.status).toBe('partially_received');
+    expect(purchaseOrder.receipts).toHaveLength(1);
+  });
+
+  it('adds up a line received several times against what is outstanding', async () => {
+    const purchaseOrder = buildPurchaseOrder(item);
+    const lineId = purchaseOrder.lines[0]._id;
+
+    await expect(purchaseOrder.receive([
+      { lineId, quantity: 2, lotNumber: 'L1' },
+      { lineId, quantity: 2, lotNumber: 'L2' }
+    ], id())).rejects.toMatchObject({ statusCode: 400, message: 'La cantidad recibida de Gaseosa excede la pendiente (3)' });
+
+    expect(InventoryItem.adjustStock).not.toHaveBeenCalled();
+    expect(purchaseOrder.lines[0].quantityReceived).toBe(0);
+  });
+
+  it('touches no stock when a later line cannot be converted or its item is gone', async () => {
+    const other = new InventoryItem({ name: 'Queso', unit: 'kg', restaurant: item.restaurant });
+    const purchaseOrder = buildPurchaseOrder(item);
+    purchaseOrder.lines.push({ inventoryItem: other._id, name: 'Queso', unit: 'caja', quantityOrdered: 1, unitCost: 10 });
+    const [first, second] = purchaseOrder.lines;
+
+    await expect(purchaseOrder.receive([
+      { lineId: first._id, quantity: 1 },
+      { lineId: second._id, quantity: 1 }
+    ], id())).rejects.toMatchObject({ statusCode: 400, message: 'El producto de Queso ya no existe en el inventario' });
+
+    InventoryItem.findById.mockImplementation(async itemId => (item._id.equals(itemId) ? item : other));
+    await expect(purchaseOrder.receive([
+      { lineId: first._id, quantity: 1 },
+      { lineId: second._id, quantity: 1 }
+    ], id())).rejects.toMatchObject({ statusCode: 400, message: 'No se puede convertir de caja a kg para Queso' });
+
+    expect(InventoryItem.adjustStock).not.toHaveBeenCalled();
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+const Recipe = require('../models/Recipe');
+const InventoryItem = require('../models/InventoryItem');
+const { id, query } = require('./helpers/factories');
+
+const restaurant = id();
+const stockItem = data => new InventoryItem({ restaurant, category: id(), costPrice: 1, sellingPrice: 2, ...data });
+
+describe('Recipe.explodeItems', () => {
+  const burger = id();
+  const bread = stockItem({ name: 'Pan', unit: 'unidad' });
+  const meat = stockItem({ name: 'Carne', unit: 'kg' });
+  const onion = stockItem({ name: 'Cebolla', unit: 'kg' });
+  const soda = id();
+
+  beforeEach(() => {
+    const recipe = {
+      product: burger,
+      ingredients: [
+        { inventoryItem: bread, quantity: 1, unit: 'unidad' },
+        { inventoryItem: meat, quantity: 150, unit: 'g' },
+        { inventoryItem: onion, quantity: 20, unit: 'g' },
+        { inventoryItem: null, quantity: 1, unit: 'unidad' }
+      ]
+    };
+    jest.spyOn(Recipe, 'find').mockReturnValue({ populate: async () => [recipe] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('turns dishes into their ingredients in the stock unit and other items into themselves', async () => {
+    const consumption = await Recipe.explodeItems(restaurant, [
+      { inventoryItem: burger, quantity: 2 },
+      { inventoryItem: soda, quantity: 3 }
+    ]);
+
+    expect(consumption.map(entry => [entry.inventoryItem.toString(), entry.quantity])).toEqual([
+      [bread._id.toString(), 2],
+      [meat._id.toString(), 0.3],
+      [onion._id.toString(), 0.04],
+      [soda.toString(), 3]
+    ]);
+  });
+
+  it('adds the stock of the modifiers and leaves out the ingredients taken off', async () => {
+    const consumption = await Recipe.explodeItems(restaurant, [{
+      inventoryItem: burger,
+      quantity: 2,
+      modifiers: [
+        { name: 'Sin cebolla', inventoryItem: onion._id, stockQuantity: -0.02, quantity: 1 },
+        { name: 'Carne extra', inventoryItem: meat._id, stockQuantity: 0.15, quantity: 1 }
+      ]
+    }]);
+
+    expect(consumption.map(entry => [entry.inventoryItem.toString(), entry.quantity])).toEqual([
+      [bread._id.toString(), 2],
+      [meat._id.toString(), 0.6]
+    ]);
+  });
+});
+
+describe('Recipe.checkAvailability', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lists the stock that is short, inactive items having none', async () => {
+    const bread = { _id: id(), name: 'Pan', unit: 'unidad', quantity: 1, isActive: true };
+    const cheese = { _id: id(), name: 'Queso', unit: 'kg', quantity: 5, isActive: false };
+    jest.spyOn(Recipe, 'explodeItems').mockResolvedValue([
+      { inventoryItem: bread._id, quantity: 2 },
+      { inventoryItem: cheese._id, quantity: 0.1 }
+    ]);
+    jest.spyOn(InventoryItem, 'find').mockReturnValue(query([bread, cheese]));
+
+    await expect(Recipe.checkAvailability(restaurant, [])).resolves.toEqual([
+      { inventoryItem: bread._id, name: 'Pan', unit: 'unidad', available: 1, required: 2 },
+      { inventoryItem: cheese._id, name: 'Queso', unit: 'kg', available: 0, required: 0.1 }
+    ]);
+  });
+});
@@ -0,0 +1,4 @@
+const mongoose = require('mongoose');
+
+// Tests run without a database: queries that were not mocked fail instead of waiting for a connection
+mongoose.set('bufferCommands', false);
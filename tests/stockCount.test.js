@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const StockCount = require('../models/StockCount');
+const InventoryItem = require('../models/InventoryItem');
+const Category = require('../models/Category');
+const { stubWrites } = require('./helpers/db');
+const { id } = require('./helpers/factories');
+
+const restaurant = id();
+const counter = id();
+const other = id();
+
+const tomato = id();
+const onion = id();
+const rice = id();
+
+const buildCount = (data = {}) => new StockCount({
+  restaurant,
+  openedBy: counter,
+  lines: [
+    { inventoryItem: tomato, name: 'Tomate', unit: 'kg', expectedQuantity: 10, unitCost: 2 },
+    { inventoryItem: onion, name: 'Cebolla', unit: 'kg', expectedQuantity: 5, unitCost: 1 },
+    { inventoryItem: rice, name: 'Arroz', unit: 'kg', expectedQuantity: 20, unitCost: 3 }
+  ],
+  ...data
+});
+
+describe('StockCount counts and variances', () => {
+  beforeEach(() => stubWrites(StockCount));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('adds up the counts of each location and replaces a recount', async () => {
+    const count = buildCount();
+
+    await count.recordCounts([
+      { inventoryItem: tomato, quantity: 5, location: 'bodega' },
+      { inventoryItem: onion, quantity: 7 }
+    ], counter);
+    await count.recordCounts([{ inventoryItem: tomato, quantity: 3, location: 'cocina' }], other);
+    await count.recordCounts([{ inventoryItem: tomato, quantity: 4, location: 'bodega' }], counter);
+
+    expect(count.lines[0]).toMatchObject({ countedQuantity: 7, variance: -3, varianceValue: -6 });
+    expect(count.lines[0].counts).toHaveLength(2);
+    expect(count.lines[1]).toMatchObject({ countedQuantity: 7, variance: 2, varianceValue: 2 });
+    expect(count.lines[2].countedQuantity).toBeUndefined();
+  });
+
+  it('reports the shrinkage and surplus of the counted lines', async () => {
+    const count = buildCount();
+    await count.recordCounts([
+      { inventoryItem: tomato, quantity: 7 },
+      { inventoryItem: onion, quantity: 7 }
+    ], counter);
+
+    expect(count.getVarianceReport()).toMatchObject({
+      totalLines: 3,
+      countedLines: 2,
+      uncountedLines: 1,
+      linesWithVariance: 2,
+      shrinkageValue: -6,
+      surplusValue: 2,
+      netVarianceValue: -4
+    });
+  });
+
+  it('rejects products that are not part of the count and counts that are no longer open', async () => {
+    const count = buildCount();
+    expect(() => count.recordCounts([{ inventoryItem: id(), quantity: 1 }], counter))
+      .toThrow('no pertenece a este conteo');
+
+    await count.submit(counter);
+    expect(() => count.recordCounts([{ inventoryItem: tomato, quantity: 1 }], counter))
+      .toThrow('Solo se pueden registrar conteos en un conteo abierto');
+  });
+});
+
+describe('StockCount#approve', () => {
+  let session;
+
+  beforeEach(() => {
+    stubWrites(StockCount);
+    session = { withTransaction: jest.fn(work => work()), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('posts the variances of the counted lines as adjustments in one transaction', async () => {
+    const count = buildCount();
+    await count.recordCounts([
+      { inventoryItem: tomato, quantity: 7 },
+      { inventoryItem: onion, quantity: 5 }
+    ], counter);
+    await count.submit(counter);
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock').mockResolvedValue({});
+    const manager = id();
+
+    await count.approve(manager);
+
+    expect(adjust).toHaveBeenCalledTimes(1);
+    expect(adjust).toHaveBeenCalledWith(
+      tomato,
+      -3,
+      expect.objectContaining({ type: 'adjustment', stockCount: count._id, user: manager }),
+      { session }
+    );
+    expect(count).toMatchObject({ status: 'approved', approvedBy: manager });
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('only approves counts in review', async () => {
+    const count = buildCount();
+
+    await expect(count.approve(id())).rejects.toMatchObject({ message: 'Solo se pueden aprobar conteos en revisión' });
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+  });
+});
+
+describe('StockCount.openCount', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('does not open a count overlapping one in course', async () => {
+    const sauces = id();
+    const drinks = id();
+    jest.spyOn(Category, 'exists').mockResolvedValue({ _id: sauces });
+    jest.spyOn(Category, 'getDescendantIds').mockImplementation(async (restaurantId, categoryId) =>
+      (categoryId.equals(drinks) ? [drinks, sauces] : [categoryId]));
+    jest.spyOn(StockCount, 'find').mockReturnValue({ select: async () => [{ category: drinks }] });
+
+    await expect(StockCount.openCount(restaurant, counter, { category: sauces }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Ya existe un conteo de inventario en curso para estos productos' });
+  });
+
+  it('snapshots the quantity and cost of the products', async () => {
+    jest.spyOn(StockCount, 'find').mockReturnValue({ select: async () => [] });
+    jest.spyOn(InventoryItem, 'find').mockReturnValue({
+      sort: async () => [{ _id: tomato, name: 'Tomate', unit: 'kg', quantity: 10, costPrice: 2 }]
+    });
+    const create = jest.spyOn(StockCount, 'create').mockImplementation(async data => data);
+
+    await StockCount.openCount(restaurant, counter, { notes: 'Cierre de mes' });
+
+    expect(create.mock.calls[0][0]).toMatchObject({
+      notes: 'Cierre de mes',
+      openedBy: counter,
+      lines: [{ inventoryItem: tomato, name: 'Tomate', unit: 'kg', expectedQuantity: 10, unitCost: 2 }]
+    });
+  });
+});
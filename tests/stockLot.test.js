@@ -0,0 +1,77 @@
+const StockLot = require('../models/StockLot');
+const { id } = require('./helpers/factories');
+
+describe('StockLot.takeNewlyExpiring', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('returns only the lots not notified yet and marks them', async () => {
+    const lots = [{ _id: id() }, { _id: id() }];
+    const query = { where: jest.fn(), populate: jest.fn().mockResolvedValue(lots) };
+    query.where.mockReturnValue(query);
+    const getExpiring = jest.spyOn(StockLot, 'getExpiringLots').mockReturnValue(query);
+    const update = jest.spyOn(StockLot, 'updateMany').mockResolvedValue({});
+
+    const restaurants = [id().toString()];
+
+    await expect(StockLot.takeNewlyExpiring(3, restaurants)).resolves.toBe(lots);
+
+    expect(getExpiring).toHaveBeenCalledWith(null, 3);
+    expect(query.where).toHaveBeenCalledWith({ expiryNotifiedAt: null, restaurant: { $in: restaurants } });
+    expect(update).toHaveBeenCalledWith(
+      { _id: { $in: lots.map(lot => lot._id) } },
+      { expiryNotifiedAt: expect.any(Date) }
+    );
+  });
+
+  it('marks nothing when no lot entered the window', async () => {
+    const query = { where: jest.fn(), populate: jest.fn().mockResolvedValue([]) };
+    query.where.mockReturnValue(query);
+    jest.spyOn(StockLot, 'getExpiringLots').mockReturnValue(query);
+    const update = jest.spyOn(StockLot, 'updateMany');
+
+    await expect(StockLot.takeNewlyExpiring(3, [id().toString()])).resolves.toEqual([]);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('marks nothing when no restaurant has a screen connected', async () => {
+    const getExpiring = jest.spyOn(StockLot, 'getExpiringLots');
+    const update = jest.spyOn(StockLot, 'updateMany');
+
+    await expect(StockLot.takeNewlyExpiring(3, [])).resolves.toEqual([]);
+    expect(getExpiring).not.toHaveBeenCalled();
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('StockLot.consume', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('takes stock first-expiring-first-out, lots without expiry last', async () => {
+    const lot = (expiresAt, remainingQuantity, unitCost) => ({
+      _id: id(),
+      expiresAt,
+      receivedAt: new Date('2026-01-01'),
+      remainingQuantity,
+      unitCost
+    });
+    const noExpiry = lot(undefined, 5, 1);
+    const late = lot(new Date('2026-03-01'), 5, 2);
+    const early = lot(new Date('2026-02-01'), 2, 3);
+    const query = Promise.resolve([noExpiry, late, early]);
+    query.session = () => query;
+    jest.spyOn(StockLot, 'find').mockReturnValue(query);
+    const update = jest.spyOn(StockLot, 'findOneAndUpdate').mockResolvedValue({});
+
+    const allocations = await StockLot.consume(id(), 4);
+
+    expect(allocations).toEqual([
+      { lot: early._id, quantity: 2, unitCost: 3 },
+      { lot: late._id, quantity: 2, unitCost: 2 }
+    ]);
+    expect(update).toHaveBeenCalledWith(
+      { _id: early._id, remainingQuantity: { $gte: 2 } },
+      { $inc: { remainingQuantity: -2 } },
+      { session: undefined }
+    );
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const createLocalDiskStorage = require('../storage/localDisk');
+const { getStorage, registerStorage } = require('../storage');
+
+describe('local disk storage', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('saves files under their key and returns their public URL', async () => {
+    const storage = createLocalDiskStorage({ directory, baseUrl: '/uploads' });
+
+    const url = await storage.save('items/foto.jpg', Buffer.from('imagen'));
+
+    expect(url).toBe('/uploads/items/foto.jpg');
+    await expect(fs.readFile(path.join(directory, 'items/foto.jpg'), 'utf8')).resolves.toBe('imagen');
+
+    await storage.remove('items/foto.jpg');
+    await expect(fs.access(path.join(directory, 'items/foto.jpg'))).rejects.toThrow();
+  });
+
+  it('ignores removing a file that does not exist', async () => {
+    const storage = createLocalDiskStorage({ directory, baseUrl: '/uploads' });
+
+    await expect(storage.remove('items/no-existe.jpg')).resolves.toBeUndefined();
+  });
+});
+
+describe('getStorage', () => {
+  const driver = process.env.STORAGE_DRIVER;
+
+  afterEach(() => {
+    if (driver === undefined) delete process.env.STORAGE_DRIVER;
+    else process.env.STORAGE_DRIVER = driver;
+  });
+
+  it('uses the backend named by STORAGE_DRIVER', () => {
+    const backend = { save: jest.fn(), remove: jest.fn() };
+    registerStorage('memory', () => backend);
+    process.env.STORAGE_DRIVER = 'memory';
+
+    expect(getStorage()).toBe(backend);
+  });
+
+  it('rejects an unknown backend', () => {
+    registerStorage('memory', () => ({}));
+    process.env.STORAGE_DRIVER = 'ftp';
+
+    expect(() => getStorage()).toThrow('Backend de almacenamiento desconocido: ftp');
+  });
+});
@@ -0,0 +1,243 @@
+const request = require('supertest');
+const Table = require('../models/Table');
+const Order = require('../models/Order');
+const MenuItem = require('../models/MenuItem');
+const PriceList = require('../models/PriceList');
+const Promotion = require('../models/Promotion');
+const ModifierGroup = require('../models/ModifierGroup');
+const Recipe = require('../models/Recipe');
+const orderRoutes = require('../routes/orders');
+const { buildApp, loginAs } = require('./helpers/api');
+const { stubWrites } = require('./helpers/db');
+const { id } = require('./helpers/factories');
+
+const restaurant = id();
+
+const buildTable = (data = {}) => new Table({ number: '1', restaurant, ...data });
+
+describe('Table.resolveForOrder', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('gives the table a merged table was joined to', async () => {
+    const main = buildTable({ number: '1' });
+    const joined = buildTable({ number: '2', mergedInto: main._id });
+    jest.spyOn(Table, 'findOne')
+      .mockResolvedValueOnce(joined)
+      .mockResolvedValueOnce(main);
+
+    await expect(Table.resolveForOrder(restaurant, null, '2')).resolves.toBe(main);
+  });
+
+  it('accepts any table number when the restaurant has no tables', async () => {
+    jest.spyOn(Table, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Table, 'exists').mockResolvedValue(null);
+
+    await expect(Table.resolveForOrder(restaurant, null, '12')).resolves.toBeNull();
+  });
+
+  it('rejects unknown tables and tables waiting to be cleaned', async () => {
+    jest.spyOn(Table, 'findOne').mockResolvedValueOnce(null);
+    jest.spyOn(Table, 'exists').mockResolvedValue({ _id: id() });
+    await expect(Table.resolveForOrder(restaurant, null, '12'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Mesa 12 no encontrada' });
+
+    Table.findOne.mockResolvedValueOnce(buildTable({ status: 'needs_cleaning' }));
+    await expect(Table.resolveForOrder(restaurant, null, '1'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Mesa 1 está por limpiar' });
+  });
+});
+
+describe('Table occupancy', () => {
+  beforeEach(() => {
+    stubWrites(Table);
+    jest.spyOn(Table, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('is occupied while it has orders and splits its merged tables once free', async () => {
+    const table = buildTable();
+    const joined = id();
+    const first = id();
+    const second = id();
+    jest.spyOn(Table, 'find').mockReturnValue({ select: async () => [{ _id: joined }] });
+
+    await table.occupy(first);
+    await table.occupy(second);
+    expect(table.status).toBe('occupied');
+    expect(table.orders).toHaveLength(2);
+
+    await expect(table.release(first)).resolves.toEqual([table._id]);
+    expect(table.status).toBe('occupied');
+
+    await expect(table.release(second)).resolves.toEqual([table._id, joined]);
+    expect(table.status).toBe('free');
+    expect(Table.updateMany).toHaveBeenLastCalledWith(
+      { mergedInto: table._id },
+      { $set: { status: 'free', orders: [] }, $unset: { mergedInto: 1, occupiedAt: 1 } }
+    );
+  });
+
+  it('only sets the statuses that do not come from the orders', async () => {
+    const table = buildTable();
+    await expect(table.setStatus('occupied')).rejects.toMatchObject({ message: 'La mesa se ocupa al abrir un pedido en ella' });
+
+    await table.occupy(id());
+    await expect(table.setStatus('reserved')).rejects.toMatchObject({ message: 'Mesa 1 tiene pedidos abiertos' });
+  });
+});
+
+describe('Table#merge', () => {
+  beforeEach(() => {
+    stubWrites(Table);
+    jest.spyOn(Table, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Table, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('moves the orders of the joined tables to the main table', async () => {
+    const main = buildTable({ number: '1' });
+    const order = id();
+    const other = buildTable({ number: '2', status: 'occupied', orders: [order] });
+    jest.spyOn(Table, 'find').mockResolvedValue([other]);
+    const moveOrders = jest.spyOn(Order, 'updateMany').mockResolvedValue({});
+
+    await expect(main.merge([other._id])).resolves.toEqual([main._id, other._id]);
+
+    expect(moveOrders).toHaveBeenCalledWith({ _id: { $in: [order] } }, { table: main._id, tableNumber: '1' });
+    expect(main.orders).toEqual([order]);
+    expect(main.status).toBe('occupied');
+    expect(other.orders).toHaveLength(0);
+    expect(other.mergedInto).toEqual(main._id);
+  });
+
+  it('rejects joining a table to itself or to tables already joined elsewhere', async () => {
+    const main = buildTable({ number: '1' });
+    jest.spyOn(Table, 'find').mockResolvedValueOnce([main]);
+    await expect(main.merge([main._id])).rejects.toMatchObject({ message: 'Una mesa no puede unirse consigo misma' });
+
+    const elsewhere = buildTable({ number: '3', mergedInto: id() });
+    Table.find.mockResolvedValueOnce([elsewhere]);
+    await expect(main.merge([elsewhere._id])).rejects.toMatchObject({ message: 'Mesa 3 ya está unida a otra mesa' });
+  });
+});
+
+describe('POST /api/orders at a table', () => {
+  let app;
+  let authorization;
+  let table;
+  const coupon = { promotion: id(), code: 'DIEZ', name: 'Diez por ciento', amount: 2000 };
+
+  const createOrder = () => request(app)
+    .post('/api/orders')
+    .set('Authorization', authorization)
+    .send({
+      customer: { name: 'Mesa 1' },
+      type: 'dine-in',
+      table: table._id.toString(),
+      items: [{ menuItem: id().toString(), quantity: 1 }],
+      coupons: ['DIEZ']
+    });
+
+  beforeEach(() => {
+    stubWrites(Table);
+    jest.spyOn(Table, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Table, 'find').mockReturnValue({ select: async () => [] });
+    jest.spyOn(Table, 'broadcast').mockResolvedValue();
+    app = buildApp('/api/orders', orderRoutes);
+    ({ authorization } = loginAs('employee'));
+    table = buildTable();
+    jest.spyOn(Table, 'resolveForOrder').mockResolvedValue(table);
+
+    const menuItem = new MenuItem({ name: 'Lomo', price: 20000, restaurant, inventoryItem: id(), station: 'parrilla' });
+    jest.spyOn(menuItem, 'resolveForOrder').mockResolvedValue({ _id: menuItem.inventoryItem, costPrice: 8000 });
+    jest.spyOn(MenuItem, 'findOne').mockResolvedValue(menuItem);
+    jest.spyOn(PriceList, 'resolvePrices').mockResolvedValue(new Map());
+    jest.spyOn(ModifierGroup, 'resolveSelections').mockResolvedValue([]);
+    jest.spyOn(Recipe, 'checkAvailability').mockResolvedValue([]);
+    jest.spyOn(Promotion, 'evaluate').mockResolvedValue([coupon]);
+    jest.spyOn(Promotion, 'redeem').mockResolvedValue();
+    jest.spyOn(Promotion, 'release').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('seats the order at the table it was saved for', async () => {
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Order.prototype, 'populate').mockResolvedValue();
+
+    const response = await createOrder();
+
+    expect(response.status).toBe(201);
+    expect(table.orders.map(orderId => orderId.toString())).toEqual([response.body.data.order._id]);
+    expect(table.status).toBe('occupied');
+    expect(Promotion.release).not.toHaveBeenCalled();
+  });
+
+  it('uses no coupon and saves no order when the table cannot be taken', async () => {
+    jest.spyOn(table, 'save').mockRejectedValue(new Error('write conflict'));
+    const save = jest.spyOn(Order.prototype, 'save');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await createOrder();
+
+    expect(response.status).toBe(500);
+    expect(Promotion.redeem).not.toHaveBeenCalled();
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('gives the coupon back and frees the table when the order cannot be saved', async () => {
+    jest.spyOn(Order.prototype, 'save').mockRejectedValue(new Error('write conflict'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await createOrder();
+
+    expect(response.status).toBe(500);
+    expect(Promotion.release).toHaveBeenCalledWith([coupon]);
+    expect(table.orders).toHaveLength(0);
+    expect(table.status).toBe('free');
+  });
+});
+
+describe('PUT /api/orders/:id/table', () => {
+  beforeEach(() => {
+    stubWrites(Table);
+    jest.spyOn(Table, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Table, 'find').mockReturnValue({ select: async () => [] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps the order at its table when the move cannot be saved', async () => {
+    const app = buildApp('/api/orders', orderRoutes);
+    const { authorization } = loginAs('employee');
+    const order = new Order({
+      customer: { name: 'Mesa 1' },
+      type: 'dine-in',
+      restaurant,
+      createdBy: id(),
+      items: [{ inventoryItem: id(), name: 'Lomo', quantity: 1, unitPrice: 30, cost: 12, totalPrice: 30 }]
+    });
+    const current = buildTable({ number: '1', status: 'occupied', orders: [order._id] });
+    const target = buildTable({ number: '2' });
+    order.table = current._id;
+    order.tableNumber = '1';
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    jest.spyOn(Table, 'findById').mockResolvedValue(current);
+    jest.spyOn(Table, 'resolveForOrder').mockResolvedValue(target);
+    jest.spyOn(order, 'save').mockRejectedValue(new Error('write conflict'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app)
+      .put(`/api/orders/${order._id}/table`)
+      .set('Authorization', authorization)
+      .send({ table: target._id.toString() });
+
+    expect(response.status).toBe(500);
+    expect(current.orders).toEqual([order._id]);
+    expect(current.status).toBe('occupied');
+    expect(target.orders).toHaveLength(0);
+    expect(target.status).toBe('free');
+  });
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const InventoryItem = require('../models/InventoryItem');
+const StockMovement = require('../models/StockMovement');
+const inventoryRoutes = require('../routes/inventory');
+const { buildApp, loginAs } = require('./helpers/api');
+const { id } = require('./helpers/factories');
+
+describe('POST /api/inventory/:id/waste', () => {
+  let app;
+  let authorization;
+  let item;
+
+  beforeEach(() => {
+    app = buildApp('/api/inventory', inventoryRoutes);
+    ({ authorization } = loginAs('employee'));
+    item = new InventoryItem({
+      name: 'Tomate',
+      restaurant: id(),
+      category: id(),
+      unit: 'kg',
+      quantity: 4,
+      costPrice: 2.5,
+      sellingPrice: 4
+    });
+    jest.spyOn(InventoryItem, 'findOne').mockResolvedValue(item);
+    jest.spyOn(InventoryItem, 'findById').mockResolvedValue(item);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('takes the waste off the stock in the stock unit and reports its cost', async () => {
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock')
+      .mockImplementation(async (itemId, change, movement) => ({ ...movement, quantity: change, unitCost: 2.5 }));
+
+    const response = await request(app)
+      .post(`/api/inventory/${item._id}/waste`)
+      .set('Authorization', authorization)
+      .send({ quantity: 800, unit: 'g', reason: 'expired', notes: 'Se pasó' });
+
+    expect(response.status).toBe(201);
+    expect(adjust).toHaveBeenCalledWith(item._id, -0.8, expect.objectContaining({ type: 'waste', reason: 'expired', notes: 'Se pasó' }));
+    expect(response.body.data.cost).toBeCloseTo(2);
+    expect(app.emitted).toContainEqual(expect.objectContaining({ event: 'inventory-updated' }));
+  });
+
+  it('rejects waste larger than the stock and unknown reasons', async () => {
+    const adjust = jest.spyOn(InventoryItem, 'adjustStock');
+
+    const tooMuch = await request(app)
+      .post(`/api/inventory/${item._id}/waste`)
+      .set('Authorization', authorization)
+      .send({ quantity: 5, reason: 'damaged' });
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.message).toBe('La merma excede el stock de Tomate. Disponible: 4');
+
+    const unknownReason = await request(app)
+      .post(`/api/inventory/${item._id}/waste`)
+      .set('Authorization', authorization)
+      .send({ quantity: 1, reason: 'stolen' });
+    expect(unknownReason.status).toBe(400);
+    expect(unknownReason.body.errors[0].msg).toBe('Motivo inválido');
+
+    expect(adjust).not.toHaveBeenCalled();
+  });
+});
+
+describe('StockMovement.getWasteSummary', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('values the waste of the period at the cost of each movement', async () => {
+    const restaurant = id();
+    const start = new Date('2026-10-01');
+    const end = new Date('2026-10-31');
+    const aggregate = jest.spyOn(StockMovement, 'aggregate')
+      .mockResolvedValueOnce([{ _id: null, totalCost: 12, totalEntries: 3 }])
+      .mockResolvedValue([]);
+
+    await expect(StockMovement.getWasteSummary(restaurant, start, end)).resolves.toEqual({
+      totalCost: 12,
+      totalEntries: 3,
+      byReason: [],
+      byCategory: [],
+      byDay: []
+    });
+
+    const [match, group] = aggregate.mock.calls[0][0];
+    expect(match.$match).toEqual({ restaurant, type: 'waste', createdAt: { $gte: start, $lte: end } });
+    expect(group.$group.totalCost).toEqual({
+      $sum: { $multiply: [{ $abs: '$quantity' }, { $ifNull: ['$unitCost', 0] }] }
+    });
+  });
+
+  it('reports no cost for a period without waste', async () => {
+    jest.spyOn(StockMovement, 'aggregate').mockResolvedValue([]);
+
+    await expect(StockMovement.getWasteSummary(id(), new Date(), new Date()))
+      .resolves.toMatchObject({ totalCost: 0, totalEntries: 0 });
+  });
+});